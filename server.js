@@ -3,16 +3,22 @@ const multer = require('multer');
 const cors = require('cors');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
 const pdf = require('pdf-parse');
 const mammoth = require('mammoth');
 const helmet = require('helmet');
+const { rateLimit } = require('express-rate-limit');
 const { v4: uuidv4 } = require('uuid');
 const { GoogleGenerativeAI } = require('@google/generative-ai');
 const { createClient } = require('@supabase/supabase-js');
+const PDFDocument = require('pdfkit');
+const { Document, Packer, Paragraph, TextRun, HeadingLevel, AlignmentType, BorderStyle, Header, Footer } = require('docx');
+const JSZip = require('jszip');
 
 
 require('dotenv').config();
-// Initialize Supabase client (add after genAI initialization)
+// Initialize Supabase client
 const supabase = createClient(
   process.env.SUPABASE_URL,
   process.env.SUPABASE_SERVICE_KEY
@@ -23,15 +29,559 @@ const supabase = createClient(
 const app = express();
 const PORT = process.env.PORT || 3001;
 
-// Initialize Gemini AI
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-const model = genAI.getGenerativeModel({ model: "gemini-2.5-flash" });
+// Documents longer than this are split into sections and analyzed chunk by chunk
+const SINGLE_PASS_MAX_CHARS = 100000;
+const CHUNK_TARGET_CHARS = parseInt(process.env.CHUNK_TARGET_CHARS, 10) || 80000;
+const CHUNK_CONCURRENCY = parseInt(process.env.CHUNK_CONCURRENCY, 10) || 2;
+const MAX_DOCUMENT_CHARS = parseInt(process.env.MAX_DOCUMENT_CHARS, 10) || 1000000;
+
+// Total model calls per analysis (first attempt + re-prompts) before giving up on invalid output
+const ANALYSIS_MAX_ATTEMPTS = parseInt(process.env.ANALYSIS_MAX_ATTEMPTS, 10) || 2;
+
+// Observability - structured JSON logs tagged with the request id, and Prometheus metrics.
+// Every log line is one JSON object on stdout (stderr for warn/error). Fields whose names look
+// sensitive are replaced before writing, so contract text, prompts and credentials never reach the logs.
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LOG_LEVELS[(process.env.LOG_LEVEL || '').toLowerCase()] ? process.env.LOG_LEVEL.toLowerCase() : 'info';
+const LOG_SENSITIVE_KEY_PATTERN = /^(authorization|cookie|set-cookie|password|secret|token|access_?token|refresh_?token|api_?key|email|parties|prompt|text|document_?text|original_?text|question|answer|content|passages)$/i;
+const LOG_SCRUB_PATTERNS = [
+  [/\bBearer\s+[\w.~+/-]+=*/gi, 'Bearer [REDACTED]'],
+  [/\beyJ[\w-]+\.[\w-]+\.[\w-]+/g, '[REDACTED_TOKEN]'],
+  [/[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g, '[REDACTED_EMAIL]']
+];
+const LOG_MAX_DEPTH = 5;
+
+// Carries { requestId, userId } through every async call made while handling a request
+const requestContext = new AsyncLocalStorage();
+
+function scrubLogString(value) {
+  return LOG_SCRUB_PATTERNS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), value);
+}
+
+function serializeLogError(error) {
+  return {
+    name: error.name,
+    message: scrubLogString(String(error.message)),
+    code: error.code,
+    stack: error.stack ? scrubLogString(error.stack) : undefined
+  };
+}
+
+function scrubLogFields(value, depth = 0) {
+  if (value instanceof Error) return serializeLogError(value);
+  if (typeof value === 'string') return scrubLogString(value);
+  if (!value || typeof value !== 'object') return value;
+  if (depth >= LOG_MAX_DEPTH) return '[Truncated]';
+  if (Array.isArray(value)) return value.map(item => scrubLogFields(item, depth + 1));
+
+  const scrubbed = {};
+  for (const [key, fieldValue] of Object.entries(value)) {
+    scrubbed[key] = LOG_SENSITIVE_KEY_PATTERN.test(key) && fieldValue !== undefined && fieldValue !== null
+      ? '[REDACTED]'
+      : scrubLogFields(fieldValue, depth + 1);
+  }
+  return scrubbed;
+}
+
+function writeLog(level, message, fields = {}) {
+  if (LOG_LEVELS[level] < LOG_LEVELS[LOG_LEVEL]) return;
+
+  const context = requestContext.getStore();
+  const entry = {
+    time: new Date().toISOString(),
+    level: level,
+    msg: message,
+    requestId: context ? context.requestId : undefined,
+    userId: context ? context.userId : undefined,
+    ...scrubLogFields(fields)
+  };
+  const stream = LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(JSON.stringify(entry) + '\n');
+}
+
+const logger = {
+  debug: (message, fields) => writeLog('debug', message, fields),
+  info: (message, fields) => writeLog('info', message, fields),
+  warn: (message, fields) => writeLog('warn', message, fields),
+  error: (message, fields) => writeLog('error', message, fields)
+};
+
+// Minimal Prometheus registry - counters and histograms rendered in the text exposition format
+const METRIC_DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+const metricsRegistry = [];
+
+function formatMetricLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) =>
+    `${name}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`
+  );
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function pickMetricLabels(labelNames, labels) {
+  const picked = {};
+  labelNames.forEach(name => { picked[name] = labels[name] === undefined || labels[name] === null ? '' : labels[name]; });
+  return picked;
+}
+
+function createCounter(name, help, labelNames = []) {
+  const series = new Map();
+  const counter = {
+    inc(labels = {}, amount = 1) {
+      const picked = pickMetricLabels(labelNames, labels);
+      const key = JSON.stringify(picked);
+      const entry = series.get(key) || { labels: picked, value: 0 };
+      entry.value += amount;
+      series.set(key, entry);
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      series.forEach(entry => lines.push(`${name}${formatMetricLabels(entry.labels)} ${entry.value}`));
+      return lines.join('\n');
+    }
+  };
+  metricsRegistry.push(counter);
+  return counter;
+}
+
+function createHistogram(name, help, labelNames = [], buckets = METRIC_DURATION_BUCKETS) {
+  const series = new Map();
+  const histogram = {
+    observe(labels = {}, value) {
+      const picked = pickMetricLabels(labelNames, labels);
+      const key = JSON.stringify(picked);
+      const entry = series.get(key) || { labels: picked, counts: buckets.map(() => 0), sum: 0, count: 0 };
+      buckets.forEach((bound, index) => { if (value <= bound) entry.counts[index]++; });
+      entry.sum += value;
+      entry.count++;
+      series.set(key, entry);
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      series.forEach(entry => {
+        buckets.forEach((bound, index) => {
+          lines.push(`${name}_bucket${formatMetricLabels({ ...entry.labels, le: bound })} ${entry.counts[index]}`);
+        });
+        lines.push(`${name}_bucket${formatMetricLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`);
+        lines.push(`${name}_sum${formatMetricLabels(entry.labels)} ${entry.sum}`);
+        lines.push(`${name}_count${formatMetricLabels(entry.labels)} ${entry.count}`);
+      });
+      return lines.join('\n');
+    }
+  };
+  metricsRegistry.push(histogram);
+  return histogram;
+}
+
+function renderMetrics() {
+  return metricsRegistry.map(metric => metric.render()).join('\n') + '\n';
+}
+
+const metrics = {
+  httpRequests: createCounter('http_requests_total', 'HTTP requests handled, by route and status code', ['method', 'route', 'status']),
+  httpRequestDuration: createHistogram('http_request_duration_seconds', 'HTTP request latency in seconds, by route', ['method', 'route']),
+  llmRequests: createCounter('llm_requests_total', 'AI model calls, by provider, task and outcome', ['provider', 'task', 'outcome']),
+  llmRequestDuration: createHistogram('llm_request_duration_seconds', 'AI model call latency in seconds, by provider and task', ['provider', 'task']),
+  llmTokens: createCounter('llm_tokens_total', 'AI model tokens reported by the provider, by task and token type', ['provider', 'task', 'type']),
+  extractionErrors: createCounter('file_extraction_errors_total', 'Documents whose text could not be extracted, by file type and reason', ['file_type', 'reason'])
+};
+
+function secondsSince(startedAt) {
+  return Number(process.hrtime.bigint() - startedAt) / 1e9;
+}
+
+// Providers call this with whatever usage their API reports; missing counts are skipped
+function recordLlmUsage(provider, task, usage) {
+  if (!usage) return;
+  const counts = { prompt: usage.promptTokens, completion: usage.completionTokens };
+  Object.entries(counts).forEach(([type, count]) => {
+    if (Number.isFinite(count) && count > 0) {
+      metrics.llmTokens.inc({ provider, task: task || 'unknown', type }, count);
+    }
+  });
+}
+
+function geminiUsage(usageMetadata) {
+  return usageMetadata
+    ? { promptTokens: usageMetadata.promptTokenCount, completionTokens: usageMetadata.candidatesTokenCount }
+    : null;
+}
+
+// LLM provider layer - every AI call goes through `llmProvider` so models/vendors can be swapped.
+// A provider exposes:
+//   name, textModel, ttsModel
+//   isConfigured()                              -> boolean
+//   generateText(prompt, { task, input, json }) -> Promise<string>
+//   generateTextStream(prompt, { task, input }) -> async iterable of text chunks
+//   generateSpeech({ text, voiceName, stylePrompt }) -> Promise<{ audioData, mimeType }>
+// `task` identifies what the prompt is for so the stub can return a matching canned response,
+// `json: true` asks the provider for a JSON-only response where it supports it.
+// Providers report token counts with recordLlmUsage(); latency and failures are recorded by
+// instrumentLlmProvider, which wraps whichever provider is selected.
+
+function createGeminiProvider() {
+  const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+  const textModel = process.env.GEMINI_TEXT_MODEL || 'gemini-2.5-flash';
+  const ttsModel = process.env.GEMINI_TTS_MODEL || 'gemini-2.5-flash-preview-tts';
+  const model = genAI.getGenerativeModel({ model: textModel });
+
+  return {
+    name: 'gemini',
+    textModel: textModel,
+    ttsModel: ttsModel,
+
+    isConfigured() {
+      return !!process.env.GEMINI_API_KEY;
+    },
+
+    async generateText(prompt, options = {}) {
+      const result = await model.generateContent({
+        contents: [{ role: 'user', parts: [{ text: prompt }] }],
+        generationConfig: options.json ? { responseMimeType: 'application/json' } : undefined
+      });
+      const response = await result.response;
+      recordLlmUsage('gemini', options.task, geminiUsage(response.usageMetadata));
+      return response.text();
+    },
+
+    async *generateTextStream(prompt, options = {}) {
+      const result = await model.generateContentStream(prompt);
+      for await (const chunk of result.stream) {
+        yield chunk.text();
+      }
+      const response = await result.response;
+      recordLlmUsage('gemini', options.task, geminiUsage(response.usageMetadata));
+    },
+
+    async generateSpeech({ text, voiceName, stylePrompt }) {
+      const speechModel = genAI.getGenerativeModel({ model: ttsModel });
+
+      // Build the prompt with optional style instructions
+      const prompt = stylePrompt
+        ? `${stylePrompt}: ${text}`
+        : text;
+
+      const result = await speechModel.generateContent({
+        contents: [{ parts: [{ text: prompt }] }],
+        generationConfig: {
+          responseModalities: ['AUDIO'],
+          speechConfig: {
+            voiceConfig: {
+              prebuiltVoiceConfig: {
+                voiceName: voiceName // Options: Puck, Charon, Kore, Fenrir, Aoede
+              }
+            }
+          }
+        }
+      });
+
+      const response = await result.response;
+      recordLlmUsage('gemini', 'speech', geminiUsage(response.usageMetadata));
+
+      // Extract audio data from response
+      const audioData = response.candidates?.[0]?.content?.parts?.[0]?.inlineData?.data;
+
+      if (!audioData) {
+        throw new Error('No audio data returned from Gemini TTS');
+      }
+
+      return {
+        audioData: audioData, // Base64 encoded PCM audio
+        mimeType: 'audio/pcm;codec=pcm;rate=24000'
+      };
+    }
+  };
+}
+
+// Canned responses for the stub provider, keyed by task
+const STUB_RESPONSES = {
+  'contract-analysis': ({ input }) => {
+    const wordCount = (input || '').split(/\s+/).filter(Boolean).length;
+    return JSON.stringify({
+      summary: {
+        documentType: 'Service Agreement',
+        mainPurpose: 'Stub analysis generated without calling an AI model',
+        keyHighlights: ['Services are provided by Party 1', 'Party 2 pays monthly invoices', 'Either party may terminate with notice'],
+        whatIsIncluded: ['Scope of services', 'Payment terms', 'Termination', 'Liability'],
+        contractSummary: 'This is a deterministic stub analysis used for development and testing. It does not reflect the contents of the uploaded document.',
+        wordCount: wordCount,
+        estimatedReadingTime: `${Math.max(1, Math.round(wordCount / 200))} minutes`
+      },
+      riskAssessment: {
+        overallRisk: 'Medium',
+        greenPoints: 2,
+        yellowPoints: 1,
+        redPoints: 1,
+        riskScore: 0,
+        greenRisks: [
+          { type: 'Payment', description: 'Payment terms are clear and fair', location: 'Section 2' },
+          { type: 'Definitions', description: 'Key words are clearly defined', location: 'Section 1' }
+        ],
+        yellowRisks: [
+          { type: 'Termination', description: 'Notice period for ending the contract is not stated', location: 'Section 5', recommendation: 'Ask for a fixed notice period such as 30 days' }
+        ],
+        redRisks: [
+          { type: 'Liability', description: 'Liability is not capped, so costs could be unlimited', location: 'Section 7', recommendation: 'Add a cap on liability before signing' }
+        ]
+      },
+      legalReferences: [
+        { reference: 'Indian Contract Act 1872', context: 'Governing law clause', shortExplanation: 'The main law for contracts in India. It decides when a contract is valid and enforceable.', relevance: 'High' }
+      ],
+      vagueTerms: [
+        { term: 'reasonable efforts', context: 'Party 1 shall use reasonable efforts', issue: 'It is not clear how much effort is enough', suggestion: 'Describe the exact steps expected' }
+      ],
+      keyTerms: [
+        { category: 'Payment', term: 'Net 30', explanation: 'Invoices must be paid within 30 days', importance: 'High' },
+        { category: 'Termination', term: 'Termination for convenience', explanation: 'Either side can end the contract without a reason', importance: 'Medium' }
+      ],
+      recommendations: ['Add a cap on liability', 'Agree on a clear notice period'],
+      redFlags: ['Unlimited liability'],
+      suggestedQuestions: [
+        { question: 'What are my main obligations under this contract?', answer: 'You must pay invoices within 30 days.', category: 'Obligations' },
+        { question: 'How can this contract be terminated?', answer: 'Either party can end it, but the notice period is not stated.', category: 'Termination' }
+      ],
+      keyDates: { effectiveDate: null, effectiveDateSource: null, expirationDate: null },
+      obligations: [
+        {
+          obligor: 'Party 2',
+          obligee: 'Party 1',
+          description: 'Pay each monthly invoice',
+          category: 'payment',
+          timing: { type: 'recurring', date: null, offset: { amount: 30, unit: 'days', direction: 'after', anchor: 'effective date' }, frequency: 'monthly', interval: 1, until: null },
+          quote: 'Net 30'
+        },
+        {
+          obligor: 'Party 1',
+          obligee: 'Party 2',
+          description: 'Deliver the first service report',
+          category: 'reporting',
+          timing: { type: 'relative', date: null, offset: { amount: 10, unit: 'business days', direction: 'after', anchor: 'effective date' }, frequency: null, interval: null, until: null },
+          quote: null
+        }
+      ],
+      flowchartData: {
+        nodes: [
+          { id: 'start', type: 'start', label: 'Contract Signed', description: 'Both parties sign the agreement', position: { x: 0, y: 0 } },
+          { id: 'services', type: 'process', label: 'Services Delivered', description: 'Party 1 provides the services', position: { x: 0, y: 100 } },
+          { id: 'payment', type: 'process', label: 'Invoice Paid', description: 'Party 2 pays within 30 days', position: { x: 0, y: 200 } },
+          { id: 'end', type: 'end', label: 'Contract Ends', description: 'Termination by either party', position: { x: 0, y: 300 } }
+        ],
+        edges: [
+          { id: 'e1', source: 'start', target: 'services', label: 'begins', type: 'default' },
+          { id: 'e2', source: 'services', target: 'payment', label: 'monthly', type: 'default' },
+          { id: 'e3', source: 'payment', target: 'end', label: 'on termination', type: 'conditional' }
+        ],
+        title: 'Stub Contract Flow'
+      }
+    });
+  },
+
+  'contract-analysis-repair': options => STUB_RESPONSES['contract-analysis'](options),
+
+  'merge-overview': () => JSON.stringify({
+    documentType: 'Service Agreement',
+    mainPurpose: 'Stub overview of a multi-section contract',
+    contractSummary: 'This is a deterministic stub overview combining every analyzed section.'
+  }),
+
+  // Quotes the start of the first retrieved passage so citation checks have something to verify
+  'question-answer': ({ passages }) => {
+    const firstPassage = passages && passages[0];
+    const quote = firstPassage ? firstPassage.text.split(/\s+/).slice(0, 8).join(' ') : null;
+    return `This is a stub answer. ${quote ? `The contract says "${quote}". ` : ''}The contract says invoices must be paid within 30 days, and either party may end the agreement with notice.`;
+  },
+
+  // Cycles fail/pass/not_found through the rules, quoting the start of the contract as evidence
+  'playbook-evaluation': ({ input }) => {
+    const quote = (input.text || '').split(/\s+/).slice(0, 8).join(' ');
+    return JSON.stringify({
+      results: input.rules.map((rule, index) => {
+        const status = PLAYBOOK_RULE_STATUSES[index % PLAYBOOK_RULE_STATUSES.length];
+        return {
+          ruleId: rule.id,
+          status: status,
+          explanation: `Stub ${status} result for "${rule.title}"`,
+          quotes: status === 'not_found' ? [] : [quote]
+        };
+      })
+    });
+  },
+
+  // The stub can't translate, so text comes back unchanged
+  'translation': ({ input }) => input || '',
+
+  // Replace the first sentence of each referenced clause so redlines can be exercised offline
+  'redline-suggestions': ({ input }) => JSON.stringify({
+    redlines: (input || [])
+      .filter(context => context.clauseText || context.quote)
+      .map(context => ({
+        riskId: context.riskId,
+        originalText: context.quote || (() => {
+          const line = context.clauseText.split('\n').find(candidate => candidate.trim().length > 20) || context.clauseText;
+          return (line.match(/^.*?[.;](?=\s|$)/) || [line])[0].trim();
+        })(),
+        replacementText: `[Stub revision] ${context.recommendation || 'Revised wording.'}`,
+        comment: `Stub comment: ${context.description || 'Suggested change.'}`
+      }))
+  })
+};
+
+// Deterministic offline provider for development and CI - no network calls
+function createStubProvider() {
+  const respond = (prompt, options = {}) => {
+    const responder = STUB_RESPONSES[options.task];
+    return responder ? responder({ prompt, ...options }) : 'Stub response.';
+  };
+
+  return {
+    name: 'stub',
+    textModel: 'stub-text',
+    ttsModel: 'stub-tts',
+
+    isConfigured() {
+      return true;
+    },
+
+    async generateText(prompt, options = {}) {
+      return respond(prompt, options);
+    },
+
+    async *generateTextStream(prompt, options = {}) {
+      const words = respond(prompt, options).split(/(\s+)/);
+      for (let i = 0; i < words.length; i += 8) {
+        yield words.slice(i, i + 8).join('');
+      }
+    },
+
+    async generateSpeech({ text }) {
+      // 440Hz tone, 60ms per word (max 10s), 16-bit mono PCM at 24kHz like Gemini TTS
+      const sampleRate = 24000;
+      const wordCount = text.split(/\s+/).filter(Boolean).length;
+      const sampleCount = Math.round(sampleRate * Math.min(10, Math.max(0.2, wordCount * 0.06)));
+      const pcm = Buffer.alloc(sampleCount * 2);
+      for (let i = 0; i < sampleCount; i++) {
+        pcm.writeInt16LE(Math.round(Math.sin(2 * Math.PI * 440 * i / sampleRate) * 8000), i * 2);
+      }
+
+      return {
+        audioData: pcm.toString('base64'),
+        mimeType: 'audio/pcm;codec=pcm;rate=24000'
+      };
+    }
+  };
+}
+
+const LLM_PROVIDERS = {
+  gemini: createGeminiProvider,
+  stub: createStubProvider
+};
+
+const providerName = (process.env.LLM_PROVIDER || 'gemini').toLowerCase();
+if (!LLM_PROVIDERS[providerName]) {
+  throw new Error(`Unknown LLM_PROVIDER "${providerName}". Available: ${Object.keys(LLM_PROVIDERS).join(', ')}`);
+}
+
+// Times every model call and counts failures, whichever provider is behind it
+function instrumentLlmProvider(provider) {
+  const record = (task, startedAt, outcome, error) => {
+    metrics.llmRequests.inc({ provider: provider.name, task, outcome });
+    metrics.llmRequestDuration.observe({ provider: provider.name, task }, secondsSince(startedAt));
+    if (error) {
+      logger.warn('AI model call failed', { provider: provider.name, task, error });
+    }
+  };
+
+  return {
+    ...provider,
+
+    async generateText(prompt, options = {}) {
+      const task = options.task || 'unknown';
+      const startedAt = process.hrtime.bigint();
+      try {
+        const text = await provider.generateText(prompt, options);
+        record(task, startedAt, 'success');
+        return text;
+      } catch (error) {
+        record(task, startedAt, 'error', error);
+        throw error;
+      }
+    },
+
+    async *generateTextStream(prompt, options = {}) {
+      const task = options.task || 'unknown';
+      const startedAt = process.hrtime.bigint();
+      try {
+        yield* provider.generateTextStream(prompt, options);
+        record(task, startedAt, 'success');
+      } catch (error) {
+        record(task, startedAt, 'error', error);
+        throw error;
+      }
+    },
+
+    async generateSpeech(request) {
+      const startedAt = process.hrtime.bigint();
+      try {
+        const speech = await provider.generateSpeech(request);
+        record('speech', startedAt, 'success');
+        return speech;
+      } catch (error) {
+        record('speech', startedAt, 'error', error);
+        throw error;
+      }
+    }
+  };
+}
+
+const llmProvider = instrumentLlmProvider(LLM_PROVIDERS[providerName]());
 
 
 
 // Middleware
+// Needed behind a proxy/load balancer so per-IP rate limits see the real client IP
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY, 10);
+  app.set('trust proxy', isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
 app.use(helmet());
 app.use(cors());
+
+// Request ids - reuse the caller's X-Request-Id when it looks sane, so logs can be joined across services
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Label requests by their route pattern rather than the raw path, so ids don't explode metric cardinality
+function metricRouteLabel(req) {
+  if (!req.route) return 'unmatched';
+  const routePath = Array.isArray(req.route.path) ? req.route.path.join(',') : String(req.route.path);
+  return `${req.baseUrl || ''}${routePath}`;
+}
+
+app.use((req, res, next) => {
+  const incomingId = req.get('x-request-id');
+  const requestId = incomingId && REQUEST_ID_PATTERN.test(incomingId) ? incomingId : uuidv4();
+  const startedAt = process.hrtime.bigint();
+  req.id = requestId;
+  res.setHeader('X-Request-Id', requestId);
+
+  // 'close' also fires when the client disconnects mid-stream, which 'finish' would miss
+  res.on('close', () => {
+    const route = metricRouteLabel(req);
+    const durationSeconds = secondsSince(startedAt);
+    metrics.httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    metrics.httpRequestDuration.observe({ method: req.method, route }, durationSeconds);
+    // req.path leaves out the query string, which can carry ?access_token=
+    logger.info('Request completed', {
+      requestId: requestId,
+      userId: req.user ? req.user.id : undefined,
+      method: req.method,
+      route: route,
+      path: req.path,
+      status: res.statusCode,
+      durationMs: Math.round(durationSeconds * 1000)
+    });
+  });
+
+  requestContext.run({ requestId }, next);
+});
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
@@ -69,6 +619,307 @@ const upload = multer({
   }
 });
 
+// Authentication - user identity always comes from a verified Supabase access token.
+// With SUPABASE_JWT_SECRET set, tokens are verified locally (HS256); otherwise Supabase verifies them.
+function decodeBase64Url(segment) {
+  return Buffer.from(segment.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+function verifyJwtLocally(token, secret) {
+  const segments = token.split('.');
+  if (segments.length !== 3) {
+    throw new Error('Malformed token');
+  }
+
+  const [encodedHeader, encodedPayload, encodedSignature] = segments;
+  const header = JSON.parse(decodeBase64Url(encodedHeader).toString('utf8'));
+  if (header.alg !== 'HS256') {
+    throw new Error(`Unsupported token algorithm: ${header.alg}`);
+  }
+
+  const expectedSignature = crypto
+    .createHmac('sha256', secret)
+    .update(`${encodedHeader}.${encodedPayload}`)
+    .digest();
+  const signature = decodeBase64Url(encodedSignature);
+  if (signature.length !== expectedSignature.length || !crypto.timingSafeEqual(signature, expectedSignature)) {
+    throw new Error('Invalid token signature');
+  }
+
+  const payload = JSON.parse(decodeBase64Url(encodedPayload).toString('utf8'));
+  const nowSeconds = Math.floor(Date.now() / 1000);
+  if (payload.exp !== undefined && nowSeconds >= payload.exp) {
+    throw new Error('Token has expired');
+  }
+  if (payload.nbf !== undefined && nowSeconds < payload.nbf) {
+    throw new Error('Token is not yet valid');
+  }
+  if (!payload.sub) {
+    throw new Error('Token has no subject');
+  }
+
+  return { id: payload.sub, email: payload.email || null };
+}
+
+async function verifyAccessToken(token) {
+  if (process.env.SUPABASE_JWT_SECRET) {
+    return verifyJwtLocally(token, process.env.SUPABASE_JWT_SECRET);
+  }
+
+  const { data, error } = await supabase.auth.getUser(token);
+  if (error || !data || !data.user) {
+    throw new Error(error ? error.message : 'Invalid token');
+  }
+  return { id: data.user.id, email: data.user.email || null };
+}
+
+// Bearer token from the Authorization header, or ?access_token= for EventSource clients that can't set headers
+function extractAccessToken(req) {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  if (match) return match[1].trim();
+  if (req.method === 'GET' && typeof req.query.access_token === 'string') return req.query.access_token;
+  return null;
+}
+
+// Middleware: verifies the access token and sets req.user = { id, email }
+async function requireAuth(req, res, next) {
+  const token = extractAccessToken(req);
+
+  if (!token) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Missing access token. Send it as "Authorization: Bearer <token>".'
+    });
+  }
+
+  try {
+    req.user = await verifyAccessToken(token);
+  } catch (error) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: `Invalid access token: ${error.message}`
+    });
+  }
+
+  if (!req.user.email) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Access token has no email claim'
+    });
+  }
+
+  const context = requestContext.getStore();
+  if (context) context.userId = req.user.id;
+
+  next();
+}
+
+// Rate limiting - per-IP limits run before authentication, per-user limits after it.
+// Every value can be overridden with RATE_LIMIT_<ROUTE>_PER_IP / _PER_USER / _WINDOW_MS.
+function readIntEnv(name, defaultValue) {
+  const value = parseInt(process.env[name], 10);
+  return isNaN(value) ? defaultValue : value;
+}
+
+const RATE_LIMITS = {
+  analyze: {
+    windowMs: readIntEnv('RATE_LIMIT_ANALYZE_WINDOW_MS', 15 * 60 * 1000),
+    perIp: readIntEnv('RATE_LIMIT_ANALYZE_PER_IP', 30),
+    perUser: readIntEnv('RATE_LIMIT_ANALYZE_PER_USER', 10)
+  },
+  question: {
+    windowMs: readIntEnv('RATE_LIMIT_QUESTION_WINDOW_MS', 60 * 1000),
+    perIp: readIntEnv('RATE_LIMIT_QUESTION_PER_IP', 60),
+    perUser: readIntEnv('RATE_LIMIT_QUESTION_PER_USER', 20)
+  },
+  tts: {
+    windowMs: readIntEnv('RATE_LIMIT_TTS_WINDOW_MS', 60 * 1000),
+    perIp: readIntEnv('RATE_LIMIT_TTS_PER_IP', 30),
+    perUser: readIntEnv('RATE_LIMIT_TTS_PER_USER', 10)
+  }
+};
+
+function createRateLimiters(routeName) {
+  const config = RATE_LIMITS[routeName];
+  const message = scope => ({
+    error: 'Too many requests',
+    message: `Rate limit exceeded for ${routeName} (${scope}). Please try again later.`
+  });
+
+  return {
+    perIp: rateLimit({
+      windowMs: config.windowMs,
+      limit: config.perIp,
+      standardHeaders: 'draft-8',
+      legacyHeaders: false,
+      message: message('per IP')
+    }),
+    perUser: rateLimit({
+      windowMs: config.windowMs,
+      limit: config.perUser,
+      standardHeaders: 'draft-8',
+      legacyHeaders: false,
+      keyGenerator: req => `user:${req.user.id}`,
+      message: message('per user')
+    })
+  };
+}
+
+const analyzeRateLimiters = createRateLimiters('analyze');
+const questionRateLimiters = createRateLimiters('question');
+const ttsRateLimiters = createRateLimiters('tts');
+
+// Daily quotas. Per-user overrides live in the `user_quotas` table
+// (user_id, daily_analyses, daily_questions, daily_tts); usage is counted per UTC day in
+// `user_usage` (user_id, usage_date, analyses, questions, tts).
+// Usage is charged by the `consume_daily_quota` Postgres function, so concurrent requests can't
+// overshoot the limit or overwrite each other's counters:
+//
+//   create function consume_daily_quota(p_user_id uuid, p_usage_date date, p_kind text, p_limit int,
+//                                       p_amount int default 1)
+//   returns int language plpgsql as $$
+//   declare used int;
+//   begin
+//     if p_kind not in ('analyses', 'questions', 'tts') then
+//       raise exception 'Unknown quota kind: %', p_kind;
+//     end if;
+//     insert into user_usage (user_id, usage_date) values (p_user_id, p_usage_date)
+//       on conflict (user_id, usage_date) do nothing;
+//     execute format('update user_usage set %1$I = %1$I + $4, updated_at = now()
+//                     where user_id = $1 and usage_date = $2 and %1$I + $4 <= $3 returning %1$I', p_kind)
+//       into used using p_user_id, p_usage_date, p_limit, p_amount;
+//     return used; -- null when that much would go over the limit
+//   end $$;
+const DAILY_QUOTA_DEFAULTS = {
+  analyses: readIntEnv('DAILY_QUOTA_ANALYSES', 20),
+  questions: readIntEnv('DAILY_QUOTA_QUESTIONS', 200),
+  tts: readIntEnv('DAILY_QUOTA_TTS', 50)
+};
+
+const QUOTA_KINDS = Object.keys(DAILY_QUOTA_DEFAULTS);
+
+function currentUsageDate() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function nextQuotaReset() {
+  const reset = new Date();
+  reset.setUTCHours(24, 0, 0, 0);
+  return reset.toISOString();
+}
+
+async function getUserQuotaLimits(userId) {
+  const { data, error } = await supabase
+    .from('user_quotas')
+    .select('*')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  const limits = {};
+  QUOTA_KINDS.forEach(kind => {
+    const override = data ? data[`daily_${kind}`] : null;
+    limits[kind] = override === null || override === undefined ? DAILY_QUOTA_DEFAULTS[kind] : override;
+  });
+  return limits;
+}
+
+async function getUserUsage(userId, usageDate = currentUsageDate()) {
+  const { data, error } = await supabase
+    .from('user_usage')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('usage_date', usageDate)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  const usage = {};
+  QUOTA_KINDS.forEach(kind => {
+    usage[kind] = (data && data[kind]) || 0;
+  });
+  return usage;
+}
+
+// Atomically adds `amount` to today's `kind` counter unless that would take it past `limit`.
+// Returns the new count, or null when there isn't enough quota left (nothing is charged then).
+async function incrementUserUsage(userId, kind, limit, amount = 1, usageDate = currentUsageDate()) {
+  const { data, error } = await supabase.rpc('consume_daily_quota', {
+    p_user_id: userId,
+    p_usage_date: usageDate,
+    p_kind: kind,
+    p_limit: limit,
+    p_amount: amount
+  });
+
+  if (error) throw error;
+  return data === null || data === undefined ? null : data;
+}
+
+function sendQuotaExceeded(res, kind, limit, used) {
+  return res.status(429).json({
+    error: 'Daily quota exceeded',
+    message: `You have used all ${limit} ${kind} allowed today`,
+    quota: {
+      kind: kind,
+      limit: limit,
+      used: used,
+      remaining: 0,
+      resetsAt: nextQuotaReset()
+    }
+  });
+}
+
+function sendQuotaCheckFailed(res, error) {
+  logger.error('Error checking usage quota', { error });
+  return res.status(500).json({
+    error: 'Failed to check usage quota',
+    message: error.message
+  });
+}
+
+// Middleware: rejects the request up front once the user's daily quota for `kind` is used up.
+// It doesn't charge anything - handlers call consumeDailyQuota once the request has been validated,
+// so a request rejected with a 400 never uses up an allowance.
+function enforceDailyQuota(kind) {
+  return async (req, res, next) => {
+    try {
+      const [limits, usage] = await Promise.all([
+        getUserQuotaLimits(req.user.id),
+        getUserUsage(req.user.id)
+      ]);
+
+      if (usage[kind] >= limits[kind]) {
+        return sendQuotaExceeded(res, kind, limits[kind], usage[kind]);
+      }
+
+      req.quotaLimits = limits;
+      next();
+    } catch (error) {
+      sendQuotaCheckFailed(res, error);
+    }
+  };
+}
+
+// Charges `amount` units of `kind` for a validated request. Sends the 429/500 response and returns false
+// when the request can't go ahead.
+async function consumeDailyQuota(req, res, kind, amount = 1) {
+  try {
+    const limit = req.quotaLimits ? req.quotaLimits[kind] : (await getUserQuotaLimits(req.user.id))[kind];
+    const used = await incrementUserUsage(req.user.id, kind, limit, amount);
+    if (used === null) {
+      sendQuotaExceeded(res, kind, limit, limit);
+      return false;
+    }
+    return true;
+  } catch (error) {
+    sendQuotaCheckFailed(res, error);
+    return false;
+  }
+}
+
 // Utility function to extract text from different file types
 async function extractTextFromFile(filePath, originalName) {
   const extension = path.extname(originalName).toLowerCase();
@@ -93,918 +944,7487 @@ async function extractTextFromFile(filePath, originalName) {
         throw new Error('Unsupported file type');
     }
   } catch (error) {
-    console.error('Error extracting text from file:', error);
+    const reason = error.message === 'Unsupported file type' ? 'unsupported_type' : 'parse_failed';
+    metrics.extractionErrors.inc({ file_type: extension.replace(/^\./, '') || 'none', reason });
+    logger.error('Error extracting text from file', { fileType: extension, reason, error });
     throw new Error('Failed to extract text from document');
   }
 }
 async function generateSpeechWithGemini(text, voiceName = 'Puck', stylePrompt = null) {
   try {
-    const ttsModel = genAI.getGenerativeModel({ 
-      model: "gemini-2.5-flash-preview-tts" 
-    });
+    return await llmProvider.generateSpeech({ text, voiceName, stylePrompt });
+  } catch (error) {
+    logger.error('Error generating speech with Gemini', { error });
+    throw new Error('Failed to generate speech: ' + error.message);
+  }
+}
+// Audio helpers - Gemini TTS returns raw 16-bit mono PCM, which browsers can't play directly
+const TTS_SEGMENT_MAX_CHARS = readIntEnv('TTS_SEGMENT_MAX_CHARS', 1000);
+const TTS_MAX_TEXT_CHARS = readIntEnv('TTS_MAX_TEXT_CHARS', 20000);
+const TTS_CONCURRENCY = readIntEnv('TTS_CONCURRENCY', 2);
+const DEFAULT_PCM_SAMPLE_RATE = 24000;
 
-    // Build the prompt with optional style instructions
-    const prompt = stylePrompt 
-      ? `${stylePrompt}: ${text}` 
-      : text;
+const AUDIO_FORMATS = {
+  wav: 'audio/wav',
+  mp3: 'audio/mpeg',
+  pcm: `audio/pcm;codec=pcm;rate=${DEFAULT_PCM_SAMPLE_RATE}`
+};
 
-    const generationConfig = {
-      responseModalities: ['AUDIO'],
-      speechConfig: {
-        voiceConfig: {
-          prebuiltVoiceConfig: {
-            voiceName: voiceName // Options: Puck, Charon, Kore, Fenrir, Aoede
-          }
-        }
-      }
-    };
+// e.g. "audio/L16;codec=pcm;rate=24000"
+function parsePcmSampleRate(mimeType) {
+  const match = /rate=(\d+)/.exec(mimeType || '');
+  return match ? parseInt(match[1], 10) : DEFAULT_PCM_SAMPLE_RATE;
+}
 
-    const result = await ttsModel.generateContent({
-      contents: [{ parts: [{ text: prompt }] }],
-      generationConfig: generationConfig
-    });
+// 44-byte RIFF header. With dataLength omitted the sizes are set to the maximum, which players
+// treat as "read until the stream ends" - used for streamed WAV.
+function createWavHeader(sampleRate, dataLength = null, channels = 1, bitsPerSample = 16) {
+  const header = Buffer.alloc(44);
+  const byteRate = sampleRate * channels * bitsPerSample / 8;
+  const dataSize = dataLength === null ? 0xFFFFFFFF - 36 : dataLength;
 
-    const response = await result.response;
-    
-    // Extract audio data from response
-    const audioData = response.candidates?.[0]?.content?.parts?.[0]?.inlineData?.data;
-    
-    if (!audioData) {
-      throw new Error('No audio data returned from Gemini TTS');
-    }
+  header.write('RIFF', 0);
+  header.writeUInt32LE(dataSize + 36, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16); // PCM chunk size
+  header.writeUInt16LE(1, 20); // Audio format 1 = PCM
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(byteRate, 28);
+  header.writeUInt16LE(channels * bitsPerSample / 8, 32);
+  header.writeUInt16LE(bitsPerSample, 34);
+  header.write('data', 36);
+  header.writeUInt32LE(dataSize, 40);
+  return header;
+}
 
-    return {
-      audioData: audioData, // Base64 encoded PCM audio
-      mimeType: 'audio/pcm;codec=pcm;rate=24000'
-    };
+function pcmToWav(pcmBuffer, sampleRate = DEFAULT_PCM_SAMPLE_RATE) {
+  return Buffer.concat([createWavHeader(sampleRate, pcmBuffer.length), pcmBuffer]);
+}
 
-  } catch (error) {
-    console.error('Error generating speech with Gemini:', error);
-    throw new Error('Failed to generate speech: ' + error.message);
+let lameModule = null;
+
+// The MP3 encoder is ESM-only, so it's loaded on first use
+async function createMp3Encoder(sampleRate = DEFAULT_PCM_SAMPLE_RATE, kbps = 64) {
+  if (!lameModule) {
+    lameModule = await import('@breezystack/lamejs');
   }
+  const encoder = new lameModule.Mp3Encoder(1, sampleRate, kbps);
+  const toBuffer = int8Array => Buffer.from(int8Array.buffer, int8Array.byteOffset, int8Array.length);
+
+  return {
+    encode(pcmBuffer) {
+      const samples = new Int16Array(pcmBuffer.buffer, pcmBuffer.byteOffset, Math.floor(pcmBuffer.length / 2));
+      const chunks = [];
+      // lamejs works best with blocks that are a multiple of 1152 samples
+      for (let i = 0; i < samples.length; i += 1152 * 10) {
+        chunks.push(toBuffer(encoder.encodeBuffer(samples.subarray(i, i + 1152 * 10))));
+      }
+      return Buffer.concat(chunks);
+    },
+    flush() {
+      return toBuffer(encoder.flush());
+    }
+  };
 }
-// Function to calculate risk score based on green, yellow, red points
-function calculateRiskScore(greenPoints, yellowPoints, redPoints) {
-  const totalPoints = greenPoints + yellowPoints + redPoints;
-  
-  // Avoid division by zero
-  if (totalPoints === 0) {
-    return 50; // Neutral score if no points
+
+async function encodePcmAudio(pcmBuffer, format, sampleRate = DEFAULT_PCM_SAMPLE_RATE) {
+  switch (format) {
+    case 'wav':
+      return pcmToWav(pcmBuffer, sampleRate);
+    case 'mp3': {
+      const encoder = await createMp3Encoder(sampleRate);
+      return Buffer.concat([encoder.encode(pcmBuffer), encoder.flush()]);
+    }
+    default:
+      return pcmBuffer;
   }
-  
-  // Formula: (greenPoints + 0.5 * yellowPoints) / totalPoints
-  const numerator = greenPoints + (0.5 * yellowPoints);
-  const ratio = numerator / totalPoints;
-  
-  // Scale to 0-100 (0 = highest risk, 100 = lowest risk)
-  const riskScore = Math.round(ratio * 100);
-  
-  return riskScore;
 }
-// Replace the analyzeContractWithGemini function in server.js
-async function analyzeContractWithGemini(text, parties = {}) {
-  try {
-    const prompt = `
+
+// Split text into sentence-sized segments of at most maxChars, never breaking inside a word
+function splitTextForSpeech(text, maxChars = TTS_SEGMENT_MAX_CHARS) {
+  const sentences = text.replace(/\s+/g, ' ').trim().match(/[^.!?।]+[.!?।]+["')\]]*\s*|[^.!?।]+$/g) || [];
+  const segments = [];
+  let current = '';
+
+  const pushWords = sentence => {
+    sentence.split(' ').forEach(word => {
+      if (current && (current + ' ' + word).length > maxChars) {
+        segments.push(current.trim());
+        current = '';
+      }
+      current = current ? `${current} ${word}` : word;
+    });
+  };
+
+  sentences.forEach(sentence => {
+    // pushWords leaves `current` without trailing whitespace, so the next sentence needs a separator
+    const joined = current && !/\s$/.test(current) ? `${current} ${sentence}` : current + sentence;
+    if (sentence.length > maxChars) {
+      pushWords(sentence.trim());
+    } else if (joined.length > maxChars) {
+      segments.push(current.trim());
+      current = sentence;
+    } else {
+      current = joined;
+    }
+  });
+  if (current.trim()) segments.push(current.trim());
+
+  return segments;
+}
+
+// Synthesize each segment (a few at a time) and hand the PCM to onSegment in order
+async function synthesizeSpeechSegments(segments, voiceName, stylePrompt, onSegment) {
+  for (let start = 0; start < segments.length; start += TTS_CONCURRENCY) {
+    const batch = segments.slice(start, start + TTS_CONCURRENCY);
+    const results = await Promise.all(batch.map(segment => generateSpeechWithGemini(segment, voiceName, stylePrompt)));
+
+    for (let offset = 0; offset < results.length; offset++) {
+      const result = results[offset];
+      await onSegment({
+        pcm: Buffer.from(result.audioData, 'base64'),
+        sampleRate: parsePcmSampleRate(result.mimeType),
+        index: start + offset,
+        total: segments.length
+      });
+    }
+  }
+}
+// Spoken briefing of an analysis: a narrator voice for the overview and a second voice for risk callouts
+const BRIEFING_DEFAULT_VOICES = {
+  narrator: 'Kore',
+  callout: 'Fenrir'
+};
+
+const BRIEFING_STYLE_PROMPTS = {
+  intro: 'Say in a warm, clear and welcoming tone',
+  summary: 'Say calmly and clearly, like explaining to a friend',
+  redRisks: 'Say firmly and with a sense of urgency, but without panic',
+  negotiate: 'Say in a confident, practical advisory tone',
+  closing: 'Say in a friendly, reassuring tone'
+};
+
+const BRIEFING_PAUSE_SECONDS = 0.6;
+
+// The analysis can come straight from the client, so every spoken line is capped and the whole
+// script is checked against TTS_MAX_TEXT_CHARS before any TTS call is made
+const BRIEFING_MAX_RED_RISKS = 5;
+const BRIEFING_LINE_MAX_CHARS = readIntEnv('BRIEFING_LINE_MAX_CHARS', 1500);
+const BRIEFING_STYLE_PROMPT_MAX_CHARS = 200;
+
+// Cut at the last word boundary that fits, so truncated lines still read naturally
+function truncateForSpeech(text, maxChars) {
+  const clean = String(text || '').replace(/\s+/g, ' ').trim();
+  if (clean.length <= maxChars) return clean;
+  const cut = clean.slice(0, maxChars - 3);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > maxChars / 2 ? cut.slice(0, lastSpace) : cut).replace(/[,;:.\s]+$/, '')}...`;
+}
+
+function getBriefingScriptLength(chapters) {
+  return chapters.reduce((total, chapter) =>
+    total + chapter.lines.reduce((sum, line) => sum + line.text.length + (line.stylePrompt || '').length, 0), 0);
+}
+
+// Build the briefing as chapters of { voice: 'narrator' | 'callout', stylePrompt, text } lines
+function buildBriefingScript(analysis, { maxRedRisks = 3, stylePrompts = {} } = {}) {
+  const summary = analysis.summary || {};
+  const riskAssessment = analysis.riskAssessment || {};
+  const redRiskLimit = Math.min(BRIEFING_MAX_RED_RISKS, Math.max(1, parseInt(maxRedRisks, 10) || 3));
+  const redRisks = (Array.isArray(riskAssessment.redRisks) ? riskAssessment.redRisks : []).slice(0, redRiskLimit);
+  const styles = { ...BRIEFING_STYLE_PROMPTS };
+  Object.keys(BRIEFING_STYLE_PROMPTS).forEach(key => {
+    if (stylePrompts && typeof stylePrompts[key] === 'string' && stylePrompts[key].trim()) {
+      styles[key] = truncateForSpeech(stylePrompts[key], BRIEFING_STYLE_PROMPT_MAX_CHARS);
+    }
+  });
+  const chapters = [];
+
+  chapters.push({
+    id: 'intro',
+    title: 'Introduction',
+    lines: [{
+      voice: 'narrator',
+      stylePrompt: styles.intro,
+      text: [
+        `Here is your briefing on this ${summary.documentType || 'contract'}.`,
+        riskAssessment.overallRisk ? `Overall, the risk level is ${riskAssessment.overallRisk.toLowerCase()}.` : null,
+        riskAssessment.riskScore !== undefined ? `Its safety score is ${riskAssessment.riskScore} out of 100.` : null
+      ].filter(Boolean).join(' ')
+    }]
+  });
+
+  const summaryText = summary.contractSummary || summary.mainPurpose;
+  if (summaryText) {
+    chapters.push({
+      id: 'summary',
+      title: 'Summary',
+      lines: [{ voice: 'narrator', stylePrompt: styles.summary, text: summaryText }]
+    });
+  }
+
+  if (redRisks.length > 0) {
+    const lines = [{
+      voice: 'narrator',
+      stylePrompt: styles.summary,
+      text: redRisks.length === 1
+        ? 'There is one high risk issue you should know about.'
+        : `Here are the top ${redRisks.length} high risk issues you should know about.`
+    }];
+    redRisks.forEach((risk, index) => {
+      lines.push({
+        voice: 'callout',
+        stylePrompt: styles.redRisks,
+        text: `Risk ${index + 1}: ${risk.type ? `${risk.type}. ` : ''}${risk.description}` +
+          (risk.recommendation ? ` What to do: ${risk.recommendation}` : '')
+      });
+    });
+    chapters.push({ id: 'red-risks', title: 'Top Red Risks', lines });
+  }
+
+  // Negotiation points: explicit recommendations first, then yellow risk recommendations
+  const negotiationPoints = dedupeBySimilarity([
+    ...(Array.isArray(analysis.recommendations) ? analysis.recommendations.slice(0, 20) : []),
+    ...(Array.isArray(riskAssessment.yellowRisks) ? riskAssessment.yellowRisks.slice(0, 20) : []).map(risk => risk && risk.recommendation)
+  ].filter(item => typeof item === 'string' && item.trim()), item => item).slice(0, 5);
+  if (negotiationPoints.length > 0) {
+    chapters.push({
+      id: 'negotiate',
+      title: 'What to Negotiate',
+      lines: [{
+        voice: 'narrator',
+        stylePrompt: styles.negotiate,
+        text: 'Before you sign, consider negotiating the following. ' +
+          negotiationPoints.map((point, index) => `${index + 1}. ${point.replace(/[.\s]+$/, '')}.`).join(' ')
+      }]
+    });
+  }
+
+  chapters.push({
+    id: 'closing',
+    title: 'Closing',
+    lines: [{
+      voice: 'narrator',
+      stylePrompt: styles.closing,
+      text: 'That is the end of your briefing. This is general information, not legal advice, so please check important decisions with a lawyer.'
+    }]
+  });
+
+  chapters.forEach(chapter => {
+    chapter.lines.forEach(line => { line.text = truncateForSpeech(line.text, BRIEFING_LINE_MAX_CHARS); });
+  });
+  return chapters;
+}
+
+// Synthesize every chapter and return one PCM track plus chapter timestamps
+async function synthesizeBriefing(chapters, voices) {
+  const pcmParts = [];
+  const chapterIndex = [];
+  let sampleRate = DEFAULT_PCM_SAMPLE_RATE;
+  let totalBytes = 0;
+
+  for (const chapter of chapters) {
+    const startSeconds = totalBytes / 2 / sampleRate;
+
+    for (const line of chapter.lines) {
+      await synthesizeSpeechSegments(splitTextForSpeech(line.text), voices[line.voice], line.stylePrompt, async segment => {
+        sampleRate = segment.sampleRate;
+        pcmParts.push(segment.pcm);
+        totalBytes += segment.pcm.length;
+      });
+    }
+
+    chapterIndex.push({
+      id: chapter.id,
+      title: chapter.title,
+      startSeconds: Math.round(startSeconds * 100) / 100,
+      endSeconds: Math.round(totalBytes / 2 / sampleRate * 100) / 100
+    });
+
+    // Short silence between chapters
+    const pause = Buffer.alloc(Math.round(BRIEFING_PAUSE_SECONDS * sampleRate) * 2);
+    pcmParts.push(pause);
+    totalBytes += pause.length;
+  }
+
+  return { pcm: Buffer.concat(pcmParts), sampleRate, chapters: chapterIndex };
+}
+// Risk scoring - each green/yellow/red item is weighted by its level and category, and red items in
+// critical categories cap the score, so one catastrophic clause can't be outweighed by boilerplate.
+// 0 = highest risk, 100 = lowest risk. overallRisk is derived from the score so the two always agree.
+//
+// Profiles are picked per request (scoringProfile), else by the user's email domain, else RISK_SCORING_PROFILE.
+// Extra profiles come from RISK_SCORING_PROFILES as JSON, each overriding parts of the default:
+// {"acme": {"domains": ["acme.com"], "categoryWeights": {"data protection": 3}, "criticalRedCap": 25}}
+const DEFAULT_RISK_SCORING_PROFILE = {
+  description: 'Red items weigh 5x green ones; liability, indemnity, IP and data protection weigh more and cap the score when red',
+  domains: [],
+  levelWeights: { green: 1, yellow: 2, red: 5 },
+  // Share of a yellow item's weight that counts as safe
+  yellowCredit: 0.5,
+  // Matched against the risk's type; the highest matching weight applies, otherwise 1
+  categoryWeights: {
+    liability: 2,
+    indemnity: 2,
+    indemnification: 2,
+    'intellectual property': 1.5,
+    'data protection': 1.5,
+    privacy: 1.5,
+    termination: 1.5,
+    payment: 1.5,
+    confidentiality: 1.25,
+    'dispute resolution': 1.25,
+    definitions: 0.5,
+    general: 0.5
+  },
+  criticalCategories: ['liability', 'indemnity', 'indemnification', 'intellectual property', 'data protection'],
+  // Highest possible score when there is any red item / a red item in a critical category
+  redCap: 60,
+  criticalRedCap: 35,
+  // score >= low is Low risk, score >= medium is Medium risk, anything below is High risk
+  thresholds: { low: 70, medium: 40 }
+};
+
+const BUILT_IN_RISK_SCORING_PROFILES = {
+  default: DEFAULT_RISK_SCORING_PROFILE,
+  // The original count-only formula: every item weighs the same and nothing is capped
+  legacy: {
+    ...DEFAULT_RISK_SCORING_PROFILE,
+    description: 'Every item weighs the same regardless of category; no caps',
+    levelWeights: { green: 1, yellow: 1, red: 1 },
+    categoryWeights: {},
+    criticalCategories: [],
+    redCap: 100,
+    criticalRedCap: 100
+  }
+};
+
+function buildRiskScoringProfiles() {
+  let customProfiles = {};
+  if (process.env.RISK_SCORING_PROFILES) {
+    try {
+      customProfiles = JSON.parse(process.env.RISK_SCORING_PROFILES);
+    } catch (error) {
+      throw new Error(`RISK_SCORING_PROFILES is not valid JSON: ${error.message}`);
+    }
+  }
+
+  const profiles = {};
+  Object.entries({ ...BUILT_IN_RISK_SCORING_PROFILES, ...customProfiles }).forEach(([name, overrides]) => {
+    const base = BUILT_IN_RISK_SCORING_PROFILES[name] || DEFAULT_RISK_SCORING_PROFILE;
+    profiles[name.toLowerCase()] = {
+      ...base,
+      ...overrides,
+      name: name.toLowerCase(),
+      domains: (overrides.domains || base.domains).map(domain => domain.toLowerCase()),
+      levelWeights: { ...base.levelWeights, ...overrides.levelWeights },
+      categoryWeights: Object.fromEntries(Object.entries({ ...base.categoryWeights, ...overrides.categoryWeights })
+        .map(([category, weight]) => [category.toLowerCase(), weight])),
+      criticalCategories: (overrides.criticalCategories || base.criticalCategories).map(category => category.toLowerCase()),
+      thresholds: { ...base.thresholds, ...overrides.thresholds }
+    };
+  });
+  return profiles;
+}
+
+const RISK_SCORING_PROFILES = buildRiskScoringProfiles();
+const defaultRiskScoringProfileName = (process.env.RISK_SCORING_PROFILE || 'default').toLowerCase();
+if (!RISK_SCORING_PROFILES[defaultRiskScoringProfileName]) {
+  throw new Error(`Unknown RISK_SCORING_PROFILE "${defaultRiskScoringProfileName}". Available: ${Object.keys(RISK_SCORING_PROFILES).join(', ')}`);
+}
+
+// Explicit name first, then the profile claiming the user's email domain, then the default.
+// Returns null for an unknown explicit name.
+function resolveRiskScoringProfile(name = null, user = null) {
+  if (name) return RISK_SCORING_PROFILES[String(name).toLowerCase()] || null;
+
+  const domain = user && user.email ? user.email.split('@').pop().toLowerCase() : null;
+  const domainProfile = domain && Object.values(RISK_SCORING_PROFILES).find(profile => profile.domains.includes(domain));
+  return domainProfile || RISK_SCORING_PROFILES[defaultRiskScoringProfileName];
+}
+
+function getCategoryWeight(profile, riskType) {
+  const type = String(riskType || '').toLowerCase();
+  const matches = Object.entries(profile.categoryWeights).filter(([category]) => type.includes(category));
+  if (matches.length === 0) return { category: null, weight: 1 };
+  const [category, weight] = matches.reduce((best, match) => (match[1] > best[1] ? match : best));
+  return { category, weight };
+}
+
+// Score a riskAssessment without modifying it. Returns { riskScore, overallRisk, breakdown }.
+function scoreRiskAssessment(riskAssessment, profile = resolveRiskScoringProfile()) {
+  const items = [];
+  const levels = {};
+  ['green', 'yellow', 'red'].forEach(level => {
+    const risks = (riskAssessment && riskAssessment[`${level}Risks`]) || [];
+    risks.forEach(risk => {
+      const { category, weight: categoryWeight } = getCategoryWeight(profile, risk.type);
+      const critical = level === 'red' && profile.criticalCategories.some(criticalCategory => String(risk.type || '').toLowerCase().includes(criticalCategory));
+      items.push({
+        level,
+        type: risk.type || null,
+        category,
+        categoryWeight,
+        weight: profile.levelWeights[level] * categoryWeight,
+        critical
+      });
+    });
+
+    // Merged long-contract analyses can report more points than listed items; those count at weight 1.
+    // They are added arithmetically - the breakdown only itemizes the risks that are actually listed.
+    const reportedPoints = Number(riskAssessment && riskAssessment[`${level}Points`]);
+    const extraPoints = Number.isFinite(reportedPoints) ? Math.max(0, Math.floor(reportedPoints) - risks.length) : 0;
+
+    const levelItems = items.filter(item => item.level === level);
+    levels[level] = {
+      count: levelItems.length + extraPoints,
+      weight: Math.round((levelItems.reduce((sum, item) => sum + item.weight, 0) + extraPoints * profile.levelWeights[level]) * 100) / 100
+    };
+  });
+
+  const totalWeight = levels.green.weight + levels.yellow.weight + levels.red.weight;
+  const safeWeight = levels.green.weight + profile.yellowCredit * levels.yellow.weight;
+  // Neutral score if there is nothing to weigh
+  const rawScore = totalWeight > 0 ? Math.round(safeWeight / totalWeight * 100) : 50;
+  const explanation = [
+    totalWeight > 0
+      ? `Weighted score ${rawScore} = 100 x (green ${levels.green.weight} + ${profile.yellowCredit} x yellow ${levels.yellow.weight}) / total ${Math.round(totalWeight * 100) / 100}`
+      : 'No risk items found, so the score is neutral (50)'
+  ];
+
+  const caps = [];
+  const criticalItems = items.filter(item => item.critical);
+  if (levels.red.count > 0 && profile.redCap < 100) {
+    caps.push({ reason: `${levels.red.count} red item(s)`, cap: profile.redCap });
+  }
+  if (criticalItems.length > 0 && profile.criticalRedCap < 100) {
+    const types = [...new Set(criticalItems.map(item => item.type))].join(', ');
+    caps.push({ reason: `${criticalItems.length} red item(s) in a critical category (${types})`, cap: profile.criticalRedCap });
+  }
+  const cap = caps.reduce((lowest, entry) => Math.min(lowest, entry.cap), 100);
+  const riskScore = Math.min(rawScore, cap);
+  if (riskScore < rawScore) {
+    explanation.push(`Capped at ${cap} because of ${caps.find(entry => entry.cap === cap).reason}`);
+  }
+
+  let overallRisk = riskScore >= profile.thresholds.low ? 'Low' : riskScore >= profile.thresholds.medium ? 'Medium' : 'High';
+  // A critical red item always means High risk, even if a profile's caps allow a higher score
+  if (criticalItems.length > 0 && overallRisk !== 'High') {
+    overallRisk = 'High';
+    explanation.push('Overall risk raised to High by a red item in a critical category');
+  } else {
+    explanation.push(`Overall risk ${overallRisk} (Low from ${profile.thresholds.low}, Medium from ${profile.thresholds.medium})`);
+  }
+
+  return {
+    riskScore,
+    overallRisk,
+    breakdown: {
+      profile: profile.name,
+      levels,
+      items,
+      rawScore,
+      caps,
+      score: riskScore,
+      thresholds: profile.thresholds,
+      explanation
+    }
+  };
+}
+
+// Set riskScore, overallRisk and scoreBreakdown on the analysis. The model's own overallRisk is kept in the breakdown.
+function applyRiskScoring(analysis, profile = resolveRiskScoringProfile()) {
+  const riskAssessment = analysis.riskAssessment;
+  if (!riskAssessment || typeof riskAssessment !== 'object') return analysis;
+
+  const previousBreakdown = riskAssessment.scoreBreakdown;
+  const modelOverallRisk = previousBreakdown ? previousBreakdown.modelOverallRisk : riskAssessment.overallRisk;
+  const { riskScore, overallRisk, breakdown } = scoreRiskAssessment(riskAssessment, profile);
+
+  riskAssessment.riskScore = riskScore;
+  riskAssessment.overallRisk = overallRisk;
+  riskAssessment.scoreBreakdown = { ...breakdown, modelOverallRisk: modelOverallRisk || null };
+  return analysis;
+}
+// Formal schema for the analysis JSON returned by the model (JSON-Schema style subset)
+const RISK_ITEM_SCHEMA = {
+  type: 'object',
+  required: ['type', 'description'],
+  properties: {
+    type: { type: 'string' },
+    description: { type: 'string' },
+    location: { type: 'string' },
+    quote: { type: 'string' },
+    recommendation: { type: 'string' }
+  }
+};
+
+const FLAGGED_RISK_ITEM_SCHEMA = {
+  ...RISK_ITEM_SCHEMA,
+  required: ['type', 'description', 'recommendation']
+};
+
+const FLOWCHART_SCHEMA = {
+  type: 'object',
+  required: ['nodes', 'edges'],
+  properties: {
+    nodes: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'type', 'label'],
+        properties: {
+          id: { type: 'string' },
+          type: { type: 'string', enum: ['start', 'process', 'decision', 'end', 'party'] },
+          label: { type: 'string' },
+          description: { type: 'string' },
+          position: {
+            type: 'object',
+            required: ['x', 'y'],
+            properties: { x: { type: 'number' }, y: { type: 'number' } }
+          }
+        }
+      }
+    },
+    edges: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'source', 'target'],
+        properties: {
+          id: { type: 'string' },
+          source: { type: 'string' },
+          target: { type: 'string' },
+          label: { type: 'string' },
+          type: { type: 'string', enum: ['default', 'conditional'] }
+        }
+      }
+    },
+    title: { type: 'string' }
+  }
+};
+
+const OBLIGATION_CATEGORIES = ['payment', 'notice', 'renewal', 'termination', 'delivery', 'reporting', 'compliance', 'other'];
+
+const OBLIGATION_SCHEMA = {
+  type: 'object',
+  required: ['obligor', 'description', 'timing'],
+  properties: {
+    obligor: { type: 'string' },
+    obligee: { type: 'string' },
+    description: { type: 'string' },
+    category: { type: 'string', enum: OBLIGATION_CATEGORIES },
+    timing: {
+      type: 'object',
+      required: ['type'],
+      properties: {
+        type: { type: 'string', enum: ['absolute', 'relative', 'recurring', 'none'] },
+        date: { type: 'string' },
+        offset: {
+          type: 'object',
+          required: ['amount', 'unit'],
+          properties: {
+            amount: { type: 'number', minimum: 0 },
+            unit: { type: 'string', enum: ['days', 'business days', 'weeks', 'months', 'years'] },
+            direction: { type: 'string', enum: ['after', 'before'] },
+            anchor: { type: 'string' }
+          }
+        },
+        frequency: { type: 'string', enum: ['daily', 'weekly', 'monthly', 'quarterly', 'yearly'] },
+        interval: { type: 'integer', minimum: 1 },
+        until: { type: 'string' }
+      }
+    },
+    quote: { type: 'string' }
+  }
+};
+
+const ANALYSIS_SCHEMA = {
+  type: 'object',
+  required: ['summary', 'riskAssessment', 'legalReferences', 'vagueTerms', 'keyTerms', 'recommendations', 'redFlags', 'suggestedQuestions', 'flowchartData'],
+  properties: {
+    summary: {
+      type: 'object',
+      required: ['documentType', 'mainPurpose', 'keyHighlights', 'whatIsIncluded', 'contractSummary'],
+      properties: {
+        documentType: { type: 'string' },
+        mainPurpose: { type: 'string' },
+        keyHighlights: { type: 'array', items: { type: 'string' } },
+        whatIsIncluded: { type: 'array', items: { type: 'string' } },
+        contractSummary: { type: 'string' },
+        wordCount: { type: 'number', minimum: 0 },
+        estimatedReadingTime: { type: 'string' }
+      }
+    },
+    riskAssessment: {
+      type: 'object',
+      required: ['overallRisk', 'greenPoints', 'yellowPoints', 'redPoints', 'greenRisks', 'yellowRisks', 'redRisks'],
+      properties: {
+        overallRisk: { type: 'string', enum: ['Low', 'Medium', 'High'] },
+        greenPoints: { type: 'integer', minimum: 0 },
+        yellowPoints: { type: 'integer', minimum: 0 },
+        redPoints: { type: 'integer', minimum: 0 },
+        riskScore: { type: 'number' },
+        greenRisks: { type: 'array', items: RISK_ITEM_SCHEMA },
+        yellowRisks: { type: 'array', items: FLAGGED_RISK_ITEM_SCHEMA },
+        redRisks: { type: 'array', items: FLAGGED_RISK_ITEM_SCHEMA }
+      }
+    },
+    legalReferences: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['reference', 'shortExplanation'],
+        properties: {
+          reference: { type: 'string' },
+          context: { type: 'string' },
+          shortExplanation: { type: 'string' },
+          relevance: { type: 'string', enum: ['High', 'Medium', 'Low'] }
+        }
+      }
+    },
+    vagueTerms: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['term', 'issue'],
+        properties: {
+          term: { type: 'string' },
+          context: { type: 'string' },
+          issue: { type: 'string' },
+          suggestion: { type: 'string' }
+        }
+      }
+    },
+    keyTerms: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['term', 'explanation'],
+        properties: {
+          category: { type: 'string' },
+          term: { type: 'string' },
+          explanation: { type: 'string' },
+          importance: { type: 'string', enum: ['High', 'Medium', 'Low'] }
+        }
+      }
+    },
+    recommendations: { type: 'array', items: { type: 'string' } },
+    redFlags: { type: 'array', items: { type: 'string' } },
+    suggestedQuestions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['question', 'answer'],
+        properties: {
+          question: { type: 'string' },
+          answer: { type: 'string' },
+          category: { type: 'string' }
+        }
+      }
+    },
+    // Optional so analyses saved before obligations were extracted still validate
+    keyDates: {
+      type: 'object',
+      properties: {
+        effectiveDate: { type: 'string' },
+        effectiveDateSource: { type: 'string' },
+        expirationDate: { type: 'string' }
+      }
+    },
+    obligations: { type: 'array', items: OBLIGATION_SCHEMA },
+    flowchartData: FLOWCHART_SCHEMA
+  }
+};
+
+// Validate a value against a schema, returning a list of human readable errors
+function validateAgainstSchema(value, schema, pathName = 'analysis') {
+  const errors = [];
+
+  const actualType = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+  const typeMatches = schema.type === 'integer'
+    ? Number.isInteger(value)
+    : actualType === schema.type;
+
+  if (schema.type && !typeMatches) {
+    errors.push(`${pathName} must be ${schema.type === 'integer' ? 'an integer' : `of type ${schema.type}`} (got ${actualType})`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${pathName} must be one of ${schema.enum.join('/')} (got "${value}")`);
+  }
+
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${pathName} must be >= ${schema.minimum}`);
+  }
+
+  if (schema.type === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined || value[key] === null) {
+        errors.push(`${pathName}.${key} is required`);
+      }
+    });
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (value[key] !== undefined && value[key] !== null) {
+        errors.push(...validateAgainstSchema(value[key], propertySchema, `${pathName}.${key}`));
+      }
+    });
+  }
+
+  if (schema.type === 'array' && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateAgainstSchema(item, schema.items, `${pathName}[${index}]`));
+    });
+  }
+
+  return errors;
+}
+
+// Checks the schema can't express: unique node ids and edges pointing at existing nodes
+function validateFlowchartReferences(flowchartData, pathName = 'analysis.flowchartData') {
+  const errors = [];
+  if (!flowchartData || !Array.isArray(flowchartData.nodes) || !Array.isArray(flowchartData.edges)) {
+    return errors;
+  }
+
+  const nodeIds = new Set();
+  flowchartData.nodes.forEach((node, index) => {
+    if (nodeIds.has(node.id)) {
+      errors.push(`${pathName}.nodes[${index}].id "${node.id}" is not unique`);
+    }
+    nodeIds.add(node.id);
+  });
+
+  flowchartData.edges.forEach((edge, index) => {
+    ['source', 'target'].forEach(end => {
+      if (!nodeIds.has(edge[end])) {
+        errors.push(`${pathName}.edges[${index}].${end} "${edge[end]}" does not reference an existing node`);
+      }
+    });
+  });
+
+  return errors;
+}
+
+const ENUM_SYNONYMS = {
+  moderate: 'Medium',
+  medium: 'Medium',
+  mid: 'Medium',
+  critical: 'High',
+  severe: 'High',
+  high: 'High',
+  minimal: 'Low',
+  none: 'Low',
+  low: 'Low'
+};
+
+// Fix common, unambiguous model mistakes in place. Returns a list of what was changed.
+function repairFlowchart(flowchartData, repairs, pathName = 'flowchartData') {
+  if (!Array.isArray(flowchartData.nodes)) {
+    flowchartData.nodes = [];
+    repairs.push(`${pathName}.nodes defaulted to []`);
+  }
+  if (!Array.isArray(flowchartData.edges)) {
+    flowchartData.edges = [];
+    repairs.push(`${pathName}.edges defaulted to []`);
+  }
+
+  const seenIds = new Set();
+  flowchartData.nodes = flowchartData.nodes.filter((node, index) => {
+    if (!node || typeof node !== 'object' || node.id === undefined || node.id === null) {
+      repairs.push(`${pathName}.nodes[${index}] dropped (no id)`);
+      return false;
+    }
+    node.id = String(node.id);
+    if (seenIds.has(node.id)) {
+      repairs.push(`${pathName}.nodes[${index}] dropped (duplicate id "${node.id}")`);
+      return false;
+    }
+    seenIds.add(node.id);
+
+    if (!FLOWCHART_SCHEMA.properties.nodes.items.properties.type.enum.includes(node.type)) {
+      const normalizedType = String(node.type || '').toLowerCase();
+      node.type = FLOWCHART_SCHEMA.properties.nodes.items.properties.type.enum.includes(normalizedType) ? normalizedType : 'process';
+      repairs.push(`${pathName}.nodes[${index}].type set to "${node.type}"`);
+    }
+    if (!node.position || typeof node.position !== 'object') {
+      node.position = { x: 0, y: index * 100 };
+      repairs.push(`${pathName}.nodes[${index}].position defaulted`);
+    } else {
+      node.position.x = Number(node.position.x) || 0;
+      node.position.y = Number(node.position.y) || 0;
+    }
+    return true;
+  });
+
+  flowchartData.edges = flowchartData.edges.filter((edge, index) => {
+    if (!edge || !seenIds.has(String(edge.source)) || !seenIds.has(String(edge.target))) {
+      repairs.push(`${pathName}.edges[${index}] dropped (references a missing node)`);
+      return false;
+    }
+    edge.source = String(edge.source);
+    edge.target = String(edge.target);
+    if (edge.id === undefined || edge.id === null) {
+      edge.id = `e-${edge.source}-${edge.target}-${index}`;
+      repairs.push(`${pathName}.edges[${index}].id generated`);
+    }
+    edge.id = String(edge.id);
+    if (edge.type !== undefined && !['default', 'conditional'].includes(edge.type)) {
+      edge.type = 'default';
+      repairs.push(`${pathName}.edges[${index}].type set to "default"`);
+    }
+    return true;
+  });
+}
+
+const OBLIGATION_UNIT_SYNONYMS = {
+  day: 'days',
+  days: 'days',
+  'calendar day': 'days',
+  'calendar days': 'days',
+  'business day': 'business days',
+  'business days': 'business days',
+  'working day': 'business days',
+  'working days': 'business days',
+  week: 'weeks',
+  weeks: 'weeks',
+  month: 'months',
+  months: 'months',
+  year: 'years',
+  years: 'years'
+};
+
+// Offsets beyond about 100 years are model or client mistakes, and huge ones can't be turned into dates
+const OBLIGATION_OFFSET_LIMITS = {
+  days: 36525,
+  'business days': 26090,
+  weeks: 5218,
+  months: 1200,
+  years: 100
+};
+
+const OBLIGATION_FREQUENCY_SYNONYMS = {
+  daily: 'daily',
+  weekly: 'weekly',
+  monthly: 'monthly',
+  quarterly: 'quarterly',
+  yearly: 'yearly',
+  annually: 'yearly',
+  annual: 'yearly'
+};
+
+// Obligations are optional, so anything the model got wrong beyond repair is dropped rather than
+// failing the whole analysis
+function repairObligations(analysis, repairs) {
+  if (analysis.keyDates !== undefined && (analysis.keyDates === null || typeof analysis.keyDates !== 'object')) {
+    analysis.keyDates = {};
+    repairs.push('keyDates defaulted to {}');
+  }
+  if (analysis.obligations === undefined || analysis.obligations === null) {
+    analysis.obligations = [];
+    repairs.push('obligations defaulted to []');
+    return;
+  }
+  if (!Array.isArray(analysis.obligations)) return;
+
+  const before = analysis.obligations.length;
+  analysis.obligations = analysis.obligations.filter(obligation => obligation && typeof obligation === 'object' && obligation.description);
+  if (analysis.obligations.length !== before) {
+    repairs.push(`obligations: ${before - analysis.obligations.length} item(s) without a description dropped`);
+  }
+
+  analysis.obligations.forEach((obligation, index) => {
+    const pathName = `obligations[${index}]`;
+    if (!obligation.obligor) {
+      obligation.obligor = 'Unspecified';
+      repairs.push(`${pathName}.obligor defaulted to "Unspecified"`);
+    }
+    if (!OBLIGATION_CATEGORIES.includes(obligation.category)) {
+      const normalizedCategory = String(obligation.category || '').trim().toLowerCase();
+      obligation.category = OBLIGATION_CATEGORIES.includes(normalizedCategory) ? normalizedCategory : 'other';
+      repairs.push(`${pathName}.category set to "${obligation.category}"`);
+    }
+
+    if (!obligation.timing || typeof obligation.timing !== 'object') {
+      obligation.timing = { type: 'none' };
+      repairs.push(`${pathName}.timing defaulted to none`);
+      return;
+    }
+    const timing = obligation.timing;
+    const normalizedType = String(timing.type || '').trim().toLowerCase();
+    if (timing.type !== normalizedType || !['absolute', 'relative', 'recurring', 'none'].includes(normalizedType)) {
+      timing.type = ['absolute', 'relative', 'recurring', 'none'].includes(normalizedType) ? normalizedType : 'none';
+      repairs.push(`${pathName}.timing.type set to "${timing.type}"`);
+    }
+
+    if (timing.offset && typeof timing.offset === 'object') {
+      const amount = Number(timing.offset.amount);
+      const unit = OBLIGATION_UNIT_SYNONYMS[String(timing.offset.unit || '').trim().toLowerCase()];
+      if (!Number.isFinite(amount) || amount < 0 || !unit) {
+        timing.offset = null;
+        repairs.push(`${pathName}.timing.offset dropped (unusable amount or unit)`);
+      } else if (amount > OBLIGATION_OFFSET_LIMITS[unit]) {
+        timing.offset = null;
+        repairs.push(`${pathName}.timing.offset dropped (more than ${OBLIGATION_OFFSET_LIMITS[unit]} ${unit})`);
+      } else {
+        timing.offset.amount = amount;
+        timing.offset.unit = unit;
+        const direction = String(timing.offset.direction || 'after').trim().toLowerCase();
+        timing.offset.direction = direction === 'before' ? 'before' : 'after';
+      }
+    } else if (timing.offset !== undefined && timing.offset !== null) {
+      timing.offset = null;
+      repairs.push(`${pathName}.timing.offset dropped (not an object)`);
+    }
+
+    if (timing.frequency !== undefined && timing.frequency !== null) {
+      const frequency = OBLIGATION_FREQUENCY_SYNONYMS[String(timing.frequency).trim().toLowerCase()];
+      if (frequency !== timing.frequency) {
+        timing.frequency = frequency || null;
+        repairs.push(`${pathName}.timing.frequency set to ${frequency ? `"${frequency}"` : 'null'}`);
+      }
+    }
+    if (timing.interval !== undefined && timing.interval !== null && !(Number.isInteger(timing.interval) && timing.interval >= 1)) {
+      const interval = parseInt(timing.interval, 10);
+      timing.interval = interval >= 1 ? interval : 1;
+      repairs.push(`${pathName}.timing.interval set to ${timing.interval}`);
+    }
+  });
+}
+
+function repairAnalysis(analysis) {
+  const repairs = [];
+  const normalizeEnum = (container, key, pathName) => {
+    const value = container[key];
+    if (typeof value !== 'string' || ['Low', 'Medium', 'High'].includes(value)) return;
+    const mapped = ENUM_SYNONYMS[value.trim().toLowerCase()];
+    if (mapped) {
+      container[key] = mapped;
+      repairs.push(`${pathName} "${value}" normalized to "${mapped}"`);
+    }
+  };
+  const ensureArray = (container, key, pathName) => {
+    if (container[key] === undefined || container[key] === null) {
+      container[key] = [];
+      repairs.push(`${pathName} defaulted to []`);
+    }
+  };
+
+  ['legalReferences', 'vagueTerms', 'keyTerms', 'recommendations', 'redFlags', 'suggestedQuestions'].forEach(key => {
+    ensureArray(analysis, key, key);
+  });
+
+  const riskAssessment = analysis.riskAssessment;
+  if (riskAssessment && typeof riskAssessment === 'object') {
+    normalizeEnum(riskAssessment, 'overallRisk', 'riskAssessment.overallRisk');
+
+    ['green', 'yellow', 'red'].forEach(level => {
+      const listKey = `${level}Risks`;
+      const countKey = `${level}Points`;
+      ensureArray(riskAssessment, listKey, `riskAssessment.${listKey}`);
+
+      if (Array.isArray(riskAssessment[listKey])) {
+        const before = riskAssessment[listKey].length;
+        riskAssessment[listKey] = riskAssessment[listKey].filter(risk => risk && typeof risk === 'object' && risk.description);
+        if (riskAssessment[listKey].length !== before) {
+          repairs.push(`riskAssessment.${listKey}: ${before - riskAssessment[listKey].length} item(s) without a description dropped`);
+        }
+      }
+
+      const count = riskAssessment[countKey];
+      if (typeof count === 'string' && /^\d+$/.test(count.trim())) {
+        riskAssessment[countKey] = parseInt(count, 10);
+        repairs.push(`riskAssessment.${countKey} converted to a number`);
+      } else if ((count === undefined || count === null) && Array.isArray(riskAssessment[listKey])) {
+        riskAssessment[countKey] = riskAssessment[listKey].length;
+        repairs.push(`riskAssessment.${countKey} set from ${listKey} length`);
+      }
+    });
+  }
+
+  if (analysis.summary && typeof analysis.summary.wordCount === 'string' && /^\d+$/.test(analysis.summary.wordCount.trim())) {
+    analysis.summary.wordCount = parseInt(analysis.summary.wordCount, 10);
+    repairs.push('summary.wordCount converted to a number');
+  }
+
+  (Array.isArray(analysis.legalReferences) ? analysis.legalReferences : []).forEach((ref, index) => {
+    if (ref && typeof ref === 'object') normalizeEnum(ref, 'relevance', `legalReferences[${index}].relevance`);
+  });
+  (Array.isArray(analysis.keyTerms) ? analysis.keyTerms : []).forEach((term, index) => {
+    if (term && typeof term === 'object') normalizeEnum(term, 'importance', `keyTerms[${index}].importance`);
+  });
+
+  repairObligations(analysis, repairs);
+
+  if (analysis.flowchartData === undefined || analysis.flowchartData === null) {
+    analysis.flowchartData = { nodes: [], edges: [], title: '' };
+    repairs.push('flowchartData defaulted to an empty flowchart');
+  } else if (typeof analysis.flowchartData === 'object') {
+    repairFlowchart(analysis.flowchartData, repairs);
+  }
+
+  return repairs;
+}
+
+// Parse model output as JSON, tolerating code fences, surrounding prose and trailing commas
+function parseModelJson(rawText) {
+  const cleanedText = rawText.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+  try {
+    return JSON.parse(cleanedText);
+  } catch (firstError) {
+    const start = cleanedText.indexOf('{');
+    const end = cleanedText.lastIndexOf('}');
+    if (start === -1 || end <= start) throw firstError;
+    const candidate = cleanedText.slice(start, end + 1).replace(/,\s*([}\]])/g, '$1');
+    return JSON.parse(candidate);
+  }
+}
+
+function parseAndValidateAnalysis(rawText) {
+  let analysis;
+  try {
+    analysis = parseModelJson(rawText);
+  } catch (parseError) {
+    return { analysis: null, repairs: [], errors: [`Response is not valid JSON: ${parseError.message}`] };
+  }
+
+  if (!analysis || typeof analysis !== 'object' || Array.isArray(analysis)) {
+    return { analysis: null, repairs: [], errors: ['Response must be a JSON object'] };
+  }
+
+  const repairs = repairAnalysis(analysis);
+  const errors = [
+    ...validateAgainstSchema(analysis, ANALYSIS_SCHEMA),
+    ...validateFlowchartReferences(analysis.flowchartData)
+  ];
+
+  return { analysis, repairs, errors };
+}
+
+function buildAnalysisRepairPrompt(previousResponse, errors) {
+  return `
+    Your previous response to a contract analysis request did not match the required JSON structure.
+
+    Problems found:
+    ${errors.slice(0, 20).map(error => `- ${error}`).join('\n    ')}
+
+    Previous response:
+    ${previousResponse.slice(0, 60000)}
+
+    Return the corrected analysis as a single valid JSON object with the same structure and content, fixing ONLY the problems listed above.
+    - overallRisk, relevance and importance must be exactly "Low", "Medium" or "High"
+    - greenPoints, yellowPoints and redPoints must be whole numbers
+    - every yellow and red risk needs a "recommendation"
+    - every flowchart edge "source" and "target" must be the "id" of a node in flowchartData.nodes
+
+    Return only valid JSON without any additional text or formatting.`;
+}
+
+// Languages - detect what the contract is written in so explanations can be written in the
+// requested output language while quotes stay in the original.
+const LANGUAGE_NAMES = {
+  en: 'English',
+  hi: 'Hindi',
+  mr: 'Marathi',
+  bn: 'Bengali',
+  ta: 'Tamil',
+  te: 'Telugu',
+  gu: 'Gujarati',
+  kn: 'Kannada',
+  ml: 'Malayalam',
+  pa: 'Punjabi',
+  es: 'Spanish',
+  de: 'German',
+  fr: 'French',
+  pt: 'Portuguese',
+  it: 'Italian',
+  nl: 'Dutch'
+};
+
+// Scripts used by exactly one supported language (Devanagari is shared, see LANGUAGE_STOPWORDS)
+const LANGUAGE_SCRIPTS = [
+  { code: 'bn', pattern: /[\u0980-\u09FF]/g },
+  { code: 'pa', pattern: /[\u0A00-\u0A7F]/g },
+  { code: 'gu', pattern: /[\u0A80-\u0AFF]/g },
+  { code: 'ta', pattern: /[\u0B80-\u0BFF]/g },
+  { code: 'te', pattern: /[\u0C00-\u0C7F]/g },
+  { code: 'kn', pattern: /[\u0C80-\u0CFF]/g },
+  { code: 'ml', pattern: /[\u0D00-\u0D7F]/g }
+];
+const DEVANAGARI_PATTERN = /[\u0900-\u097F]/g;
+const LATIN_PATTERN = /[A-Za-z\u00C0-\u024F]/g;
+
+// Common function words - enough to tell languages sharing a script apart
+const LANGUAGE_STOPWORDS = {
+  en: ['the', 'and', 'of', 'to', 'in', 'shall', 'be', 'by', 'this', 'with', 'for', 'any', 'or', 'is', 'agreement'],
+  es: ['el', 'la', 'de', 'que', 'y', 'en', 'los', 'las', 'del', 'por', 'con', 'para', 'una', 'contrato', 'será'],
+  de: ['der', 'die', 'das', 'und', 'ist', 'den', 'des', 'mit', 'von', 'zu', 'nicht', 'auf', 'dem', 'vertrag', 'wird'],
+  fr: ['le', 'la', 'les', 'de', 'des', 'et', 'en', 'du', 'une', 'pour', 'par', 'est', 'sont', 'contrat', 'sera'],
+  pt: ['o', 'a', 'de', 'que', 'e', 'do', 'da', 'em', 'os', 'para', 'com', 'não', 'uma', 'contrato', 'será'],
+  it: ['il', 'la', 'di', 'che', 'e', 'del', 'della', 'per', 'con', 'non', 'una', 'sono', 'gli', 'contratto', 'sarà'],
+  nl: ['de', 'het', 'een', 'en', 'van', 'is', 'dat', 'op', 'te', 'voor', 'met', 'zijn', 'niet', 'overeenkomst', 'wordt'],
+  hi: ['है', 'के', 'की', 'में', 'और', 'को', 'से', 'का', 'यह', 'हैं', 'किया', 'द्वारा', 'अनुबंध', 'होगा', 'जो'],
+  mr: ['आहे', 'आणि', 'या', 'व', 'हा', 'ही', 'हे', 'करार', 'असेल', 'आहेत', 'केले', 'म्हणून', 'त्या', 'कोणत्याही', 'नाही']
+};
+
+const DEFAULT_OUTPUT_LANGUAGE = process.env.DEFAULT_OUTPUT_LANGUAGE || 'en';
+
+function countMatches(text, pattern) {
+  return (text.match(pattern) || []).length;
+}
+
+// Score the stopword lists of the given languages against the words in the text
+function scoreStopwords(words, codes) {
+  const scores = codes.map(code => {
+    const stopwords = new Set(LANGUAGE_STOPWORDS[code]);
+    return { code, hits: words.filter(word => stopwords.has(word)).length };
+  });
+  scores.sort((a, b) => b.hits - a.hits);
+  return scores;
+}
+
+// Returns { code, name, confidence } - English with zero confidence when nothing matches
+function detectLanguage(text) {
+  const sample = (text || '').slice(0, 20000);
+  const letterCounts = [
+    ...LANGUAGE_SCRIPTS.map(script => ({ code: script.code, count: countMatches(sample, script.pattern) })),
+    { code: 'devanagari', count: countMatches(sample, DEVANAGARI_PATTERN) },
+    { code: 'latin', count: countMatches(sample, LATIN_PATTERN) }
+  ].sort((a, b) => b.count - a.count);
+
+  const totalLetters = letterCounts.reduce((sum, entry) => sum + entry.count, 0);
+  const dominant = letterCounts[0];
+  if (!dominant || dominant.count === 0) {
+    return { code: 'en', name: LANGUAGE_NAMES.en, confidence: 0 };
+  }
+
+  const round = value => Math.round(value * 100) / 100;
+  const scriptShare = dominant.count / totalLetters;
+
+  if (dominant.code !== 'devanagari' && dominant.code !== 'latin') {
+    return { code: dominant.code, name: LANGUAGE_NAMES[dominant.code], confidence: round(scriptShare) };
+  }
+
+  const words = sample.toLowerCase().split(/[\s.,;:()"'“”‘’«»!?।\[\]\-]+/).filter(Boolean);
+  const candidates = dominant.code === 'devanagari' ? ['hi', 'mr'] : ['en', 'es', 'de', 'fr', 'pt', 'it', 'nl'];
+  const scores = scoreStopwords(words, candidates);
+  const totalHits = scores.reduce((sum, score) => sum + score.hits, 0);
+
+  if (totalHits === 0) {
+    const fallback = candidates[0];
+    return { code: fallback, name: LANGUAGE_NAMES[fallback], confidence: round(scriptShare * 0.3) };
+  }
+
+  return {
+    code: scores[0].code,
+    name: LANGUAGE_NAMES[scores[0].code],
+    confidence: round(scriptShare * scores[0].hits / totalHits)
+  };
+}
+
+// Accepts a code ('de', 'es-MX'), an English name ('German') or 'auto'; returns the code, 'auto' or null
+function resolveLanguageCode(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const normalized = String(value).trim().toLowerCase();
+  if (normalized === 'auto') return 'auto';
+
+  const baseCode = normalized.split(/[-_]/)[0];
+  if (LANGUAGE_NAMES[baseCode]) return baseCode;
+
+  const byName = Object.keys(LANGUAGE_NAMES).find(code => LANGUAGE_NAMES[code].toLowerCase() === normalized);
+  return byName || null;
+}
+
+// Resolves 'auto' against the document language and returns { document, output } for prompts and metadata
+function resolveAnalysisLanguage(text, outputLanguage = DEFAULT_OUTPUT_LANGUAGE) {
+  const documentLanguage = detectLanguage(text);
+  const requested = resolveLanguageCode(outputLanguage) || DEFAULT_OUTPUT_LANGUAGE;
+  const outputCode = requested === 'auto' ? documentLanguage.code : requested;
+  return {
+    document: documentLanguage,
+    output: { code: outputCode, name: LANGUAGE_NAMES[outputCode] }
+  };
+}
+
+function buildLanguageInstructions(language) {
+  const outputName = language.output.name;
+  const documentName = language.document.name;
+
+  return `
+    CRITICAL - SIMPLE ${outputName.toUpperCase()} REQUIREMENT:
+    ========================================
+    The contract is written in ${documentName}. Write ALL explanations, descriptions, recommendations, summaries, questions, answers, flowchart labels and flowchart descriptions in SIMPLE, EVERYDAY ${outputName} that anyone without legal knowledge can easily understand.
+    ${language.output.code === 'en' ? `
+    - Use everyday words: Say "protect you from costs" instead of "indemnify", say "from now on" instead of "hereinafter"` : ''}
+    - Write like you're explaining to a friend who knows nothing about law
+    - Assume the reader has no legal background
+
+    Every description, explanation, and recommendation must be understandable by someone with a 7th-grade reading level.
+
+    Do NOT translate text copied from the contract: every "quote", the vagueTerms "term" and "context", and the keyTerms "term" must stay exactly as written in the contract, in ${documentName}.
+    Keep all JSON keys and the fixed values (Low/Medium/High, start/process/decision/end/party, default/conditional, and the obligation category/type/unit/direction/frequency values) in English exactly as shown in the structure.
+    ========================================`;
+}
+
+// Translate free text (e.g. before speaking it) - quoted contract wording is left untouched
+async function translateText(text, targetLanguageCode, redactor = null) {
+  const promptText = redactor ? redactor.redact(text) : text;
+  const prompt = `
+Translate the following text into ${LANGUAGE_NAMES[targetLanguageCode]}. Use simple, everyday words.
+Leave anything inside quotation marks exactly as it is - it is quoted from a contract and must not be translated.
+Respond with the translated text only, without any notes or formatting.
+${buildPlaceholderNote(promptText)}
+Text:
+${promptText}`;
+
+  const translated = await llmProvider.generateText(prompt, { task: 'translation', input: promptText });
+  return redactor ? redactor.restore(translated.trim()) : translated.trim();
+}
+
+// PII redaction - personal details are swapped for placeholders like [NAME_1] or [PAN_2] before a prompt
+// leaves the server, and swapped back in whatever the model returns. The same value always gets the
+// same placeholder within a document, so the model can still tell parties and accounts apart.
+// PII_REDACTION=on redacts every request by default; requests can opt in or out with redactPii.
+// This covers every prompt sent to the text model: analysis, comparison, playbook checks, questions,
+// redline suggestions and speech translation. Speech synthesis itself (/api/text-to-speech and
+// /api/audio-briefing) has to be given the words it speaks, so that text is never redacted.
+// Also the order they are redacted in, so specific formats claim their digits before looser ones can
+const PII_ENTITY_TYPES = ['email', 'bank_account', 'pan', 'aadhaar', 'phone', 'address', 'name'];
+const PII_REDACTION_DEFAULT = ['on', 'true', '1'].includes((process.env.PII_REDACTION || 'off').toLowerCase());
+const PII_REDACTION_TYPES = process.env.PII_REDACTION_TYPES
+  ? process.env.PII_REDACTION_TYPES.split(',').map(type => type.trim().toLowerCase()).filter(Boolean)
+  : PII_ENTITY_TYPES;
+if (PII_REDACTION_TYPES.some(type => !PII_ENTITY_TYPES.includes(type))) {
+  throw new Error(`Unknown PII_REDACTION_TYPES entry. Expected any of: ${PII_ENTITY_TYPES.join(', ')}`);
+}
+
+const PII_PLACEHOLDER_PATTERN = /\[(?:EMAIL|PAN|AADHAAR|BANK_ACCOUNT|PHONE|ADDRESS|NAME)_\d+\]/g;
+const PII_WHOLE_PLACEHOLDER_PATTERN = new RegExp(`^${PII_PLACEHOLDER_PATTERN.source}$`);
+// Longest possible placeholder, so streamed answers only hold back that much text while waiting for the "]"
+const PII_PLACEHOLDER_MAX_LENGTH = 24;
+const PII_NAME_TITLES = 'Mr|Mrs|Ms|Miss|Dr|Shri|Smt|Sri|Kumari|Km';
+const PII_NAME_WORDS = "[A-Z][a-zA-Z'-]+(?:[ \\t]+[A-Z]\\.)*(?:[ \\t]+[A-Z][a-zA-Z'-]+){0,3}";
+
+// Patterns with a capture group only redact the group (keeping labels like "A/c No." readable).
+const PII_PATTERNS = {
+  email: [/[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi],
+  pan: [/\b[A-Z]{3}[ABCFGHLJPT][A-Z]\d{4}[A-Z]\b/g],
+  aadhaar: [/\b[2-9]\d{3}[\s-]?\d{4}[\s-]?\d{4}\b/g],
+  bank_account: [
+    /\b(?:a\/c|account|acct)\.?(?:\s+(?:no|number|num)\.?)?\s*[:#-]?\s*(\d[\d -]{7,20}\d)\b/gi,
+    /\bIFSC(?:\s+code)?\s*[:-]?\s*([A-Z]{4}0[A-Z0-9]{6})\b/gi,
+    /\b[A-Z]{2}\d{2}(?:\s?[A-Z0-9]{4}){3,7}(?:\s?[A-Z0-9]{1,3})?\b/g
+  ],
+  phone: [
+    /(?:\+91[\s-]?|\b0)?\b[6-9]\d{4}[\s-]?\d{5}\b/g,
+    /\+\d{1,3}[\s-]?\(?\d{1,4}\)?(?:[\s-]?\d{2,4}){2,4}\b/g,
+    // Landlines with an STD code, e.g. 011-23456789
+    /\b0\d{2,4}[\s-]\d{6,8}\b/g
+  ],
+  // Indian addresses reliably end in a 6-digit PIN code; only addresses introduced as such are redacted
+  address: [/\b(?:address(?:ed)?(?:\s+(?:is|at))?|residing at|resident of|office at|located at|situated at)\s*[:-]?\s*([^;\n]{5,200}?\b\d{3}\s?\d{3})\b/gi],
+  name: [
+    new RegExp(`\\b(?:${PII_NAME_TITLES})\\.?\\s+(${PII_NAME_WORDS})`, 'g'),
+    new RegExp(`\\b[SDW]\\/[Oo]\\.?\\s+(${PII_NAME_WORDS})`, 'g')
+  ]
+};
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Values that only differ in case, spacing or dashes share a placeholder
+function normalizePiiValue(type, value) {
+  const trimmed = value.trim().toLowerCase();
+  return ['name', 'address', 'email'].includes(type) ? trimmed.replace(/\s+/g, ' ') : trimmed.replace(/[\s-]/g, '');
+}
+
+// names: extra known names (e.g. the parties) to redact wherever they appear
+function createPiiRedactor({ types = PII_REDACTION_TYPES, names = [] } = {}) {
+  const placeholdersByKey = new Map();
+  const valuesByPlaceholder = new Map();
+  const entities = [];
+  const counters = {};
+  const knownNames = [...new Set(names.filter(name => typeof name === 'string' && name.trim().length > 2).map(name => name.trim()))]
+    // Longest first so "Acme Pvt Ltd" wins over "Acme"
+    .sort((a, b) => b.length - a.length);
+
+  const placeholderFor = (type, value) => {
+    const key = `${type}:${normalizePiiValue(type, value)}`;
+    if (!placeholdersByKey.has(key)) {
+      counters[type] = (counters[type] || 0) + 1;
+      const placeholder = `[${type.toUpperCase()}_${counters[type]}]`;
+      placeholdersByKey.set(key, placeholder);
+      valuesByPlaceholder.set(placeholder, value.trim());
+      entities.push({ placeholder, type, value: value.trim() });
+    }
+    return placeholdersByKey.get(key);
+  };
+
+  const replaceMatches = (text, pattern, type) => text.replace(pattern, (match, group, ...rest) => {
+    const value = typeof group === 'string' ? group : match;
+    if (PII_WHOLE_PLACEHOLDER_PATTERN.test(value.trim())) return match;
+    const placeholder = placeholderFor(type, value);
+    return typeof group === 'string' ? match.replace(group, placeholder) : placeholder;
+  });
+
+  return {
+    types,
+
+    redact(text) {
+      if (typeof text !== 'string' || !text) return text;
+      let redacted = text;
+      PII_ENTITY_TYPES.filter(type => types.includes(type)).forEach(type => {
+        if (type === 'name') {
+          knownNames.forEach(name => {
+            redacted = replaceMatches(redacted, new RegExp(`(?<![\\w])${escapeRegExp(name)}(?![\\w])`, 'gi'), 'name');
+          });
+        }
+        PII_PATTERNS[type].forEach(pattern => {
+          redacted = replaceMatches(redacted, pattern, type);
+        });
+      });
+      return redacted;
+    },
+
+    // Values can contain earlier placeholders (an address with a phone number in it), so restore until stable
+    restore(text) {
+      if (typeof text !== 'string' || !text) return text;
+      let restored = text;
+      for (let pass = 0; pass < 3; pass++) {
+        const next = restored.replace(PII_PLACEHOLDER_PATTERN, placeholder => valuesByPlaceholder.get(placeholder) || placeholder);
+        if (next === restored) break;
+        restored = next;
+      }
+      return restored;
+    },
+
+    // Restore every string inside an object or array, in place
+    restoreDeep(value) {
+      if (typeof value === 'string') return this.restore(value);
+      if (Array.isArray(value)) {
+        value.forEach((item, index) => {
+          value[index] = this.restoreDeep(item);
+        });
+      } else if (value && typeof value === 'object') {
+        Object.keys(value).forEach(key => {
+          value[key] = this.restoreDeep(value[key]);
+        });
+      }
+      return value;
+    },
+
+    summary(includeValues = true) {
+      const counts = {};
+      entities.forEach(entity => {
+        counts[entity.type] = (counts[entity.type] || 0) + 1;
+      });
+      return {
+        enabled: true,
+        types: types,
+        total: entities.length,
+        counts: counts,
+        ...(includeValues ? { entities: entities.map(entity => ({ ...entity })) } : {})
+      };
+    }
+  };
+}
+
+// Streamed chunks can end halfway through a placeholder, so text from an unclosed "[" is held back
+function createPlaceholderStreamRestorer(redactor) {
+  let pending = '';
+  return {
+    push(chunk) {
+      pending += chunk;
+      const open = pending.lastIndexOf('[');
+      const cut = open !== -1 && pending.indexOf(']', open) === -1 && pending.length - open < PII_PLACEHOLDER_MAX_LENGTH
+        ? open
+        : pending.length;
+      const ready = pending.slice(0, cut);
+      pending = pending.slice(cut);
+      return redactor.restore(ready);
+    },
+    flush() {
+      const rest = redactor.restore(pending);
+      pending = '';
+      return rest;
+    }
+  };
+}
+
+// Added to prompts whose text contains placeholders so the model keeps them intact
+function buildPlaceholderNote(text) {
+  const hasPlaceholders = (text || '').search(PII_PLACEHOLDER_PATTERN) !== -1;
+  return hasPlaceholders
+    ? '\n    Personal details in the text have been replaced with placeholders such as [NAME_1] or [PHONE_2]. Treat each placeholder as the detail it stands for and copy placeholders exactly as written, including the square brackets, whenever you refer to or quote them.\n'
+    : '';
+}
+
+function getPartyNames(parties) {
+  return parties && typeof parties === 'object' ? Object.values(parties).filter(value => typeof value === 'string') : [];
+}
+
+// Request flags -> { redaction: { types } | null, error }. redactPii overrides PII_REDACTION; redactionTypes
+// is a comma list or array of PII_ENTITY_TYPES.
+function parseRedactionOptions(redactPii, redactionTypes) {
+  const enabled = redactPii === undefined || redactPii === null || redactPii === ''
+    ? PII_REDACTION_DEFAULT
+    : parseBooleanParam(redactPii);
+  if (!enabled) return { redaction: null, error: null };
+  if (redactionTypes === undefined || redactionTypes === null || redactionTypes === '') {
+    return { redaction: { types: PII_REDACTION_TYPES }, error: null };
+  }
+
+  const types = (Array.isArray(redactionTypes) ? redactionTypes : String(redactionTypes).split(','))
+    .map(type => String(type).trim().toLowerCase())
+    .filter(Boolean);
+  const unknown = types.filter(type => !PII_ENTITY_TYPES.includes(type));
+  if (unknown.length > 0 || types.length === 0) {
+    return { redaction: null, error: `redactionTypes must be a list of: ${PII_ENTITY_TYPES.join(', ')}` };
+  }
+  return { redaction: { types }, error: null };
+}
+
+// Replace the analyzeContractWithGemini function in server.js
+async function analyzeContractWithGemini(text, parties = {}, section = null, language = resolveAnalysisLanguage(text)) {
+  try {
+    const prompt = `
     You are an expert legal AI assistant specializing in contract analysis. Please analyze the following legal document and provide a comprehensive assessment in JSON format.
+    ${section ? `
+    NOTE: This is section ${section.index} of ${section.total} of a longer contract that was split for analysis. Analyze only the text below, but keep in mind that definitions and related clauses may appear in other sections.
+    ` : ''}
+    Contract Text:
+    ${text}
+    ${buildPlaceholderNote(text)}
+    ${parties.party1 || parties.party2 ? `
+    Parties involved:
+    - Party 1: ${parties.party1 || 'Not specified'}
+    - Party 2: ${parties.party2 || 'Not specified'}
+    ` : ''}
+    
+    IMPORTANT INSTRUCTIONS FOR RISK ASSESSMENT:
+    
+    You must categorize ALL clauses, terms, and conditions into THREE risk levels:
+    
+    1. GREEN (Very Low to No Risk): Favorable, standard, or protective clauses
+       - Fair and balanced terms
+       - Standard industry practices
+       - Clear definitions
+       - Reasonable timelines
+       - Mutual benefits
+       - Adequate protections
+       
+    2. YELLOW (Medium Risk): Potentially concerning but not critical
+       - Slightly vague language
+       - Terms that could be more specific
+       - Standard risks that need awareness
+       - Clauses requiring negotiation consideration
+       
+    3. RED (High Risk): Critical issues requiring immediate attention
+       - Unfair or one-sided terms
+       - Unlimited liability
+       - Unreasonable obligations
+       - Missing protections
+       - Ambiguous termination clauses
+       - Potentially illegal provisions
+    
+    CRITICAL: Only include YELLOW and RED risks if they genuinely exist in the contract. Do NOT force-create risks. If the contract is well-written with mostly favorable terms, it's perfectly acceptable to have many GREEN points and few or zero YELLOW/RED points.
+    
+    For the flowchartData section, create a very simple visual representation of the contract flow including:
+    1. Contract parties and their roles
+    2. Key obligations and responsibilities  
+    3. Payment flow and timelines
+    4. Termination conditions
+    5. Decision points and conditional paths
+    6. Important milestones or deadlines
+    
+    Position nodes logically with start nodes at top-left and end nodes at bottom-right. Use appropriate node types:
+    - "start": Contract initiation
+    - "party": Contract parties
+    - "process": Actions/obligations  
+    - "decision": Conditional points
+    - "end": Contract completion/termination
+    
+    Please provide your analysis in the following JSON structure:
+    
+    {
+      "summary": {
+        "documentType": "string - type of contract (e.g., Service Agreement, Employment Contract, etc.)",
+        "mainPurpose": "string - primary purpose of the contract",
+        "keyHighlights": ["array of 5-10 main contract points"],
+        "whatIsIncluded": ["array of all key things included in this contract - major clauses, benefits, obligations, deliverables"],
+        "contractSummary": "string - 1 paragraph comprehensive summary of the entire contract in plain language",
+        "wordCount": number,
+        "estimatedReadingTime": "string - e.g., '5 minutes'"
+      },
+      "riskAssessment": {
+        "overallRisk": "string - Low/Medium/High (based on the distribution of risk levels)",
+        "greenPoints": number - count of favorable/safe clauses,
+        "yellowPoints": number - count of moderately risky clauses (ONLY if they exist),
+        "redPoints": number - count of high-risk clauses (ONLY if they exist),
+        "riskScore": 0,
+        "greenRisks": [
+          {
+            "type": "string - risk category",
+            "description": "string - what makes this favorable or low-risk",
+            "location": "string - where in document this appears (e.g., 'Section 5.2')",
+            "quote": "string - short exact quote (max 25 words) copied word for word from the contract text"
+          }
+        ],
+        "yellowRisks": [
+          {
+            "type": "string - risk category",
+            "description": "string - detailed description of the concern",
+            "location": "string - where in document this appears (e.g., 'Section 5.2')",
+            "quote": "string - short exact quote (max 25 words) copied word for word from the contract text",
+            "recommendation": "string - suggested action"
+          }
+        ],
+        "redRisks": [
+          {
+            "type": "string - risk category",
+            "description": "string - detailed description of the critical issue",
+            "location": "string - where in document this appears (e.g., 'Section 5.2')",
+            "quote": "string - short exact quote (max 25 words) copied word for word from the contract text",
+            "recommendation": "string - urgent action needed"
+          }
+        ]
+      },
+      "legalReferences": [
+        {
+          "reference": "string - the legal reference (e.g., 'Section 48 of Constitution', 'Companies Act 2013', 'IPC Section 420')",
+          "context": "string - where/how it's mentioned in contract",
+          "shortExplanation": "string - brief plain language explanation of what this law/section means and why it matters in this contract (2-3 sentences)",
+          "relevance": "string - High/Medium/Low - how relevant to contract"
+        }
+      ],
+      "vagueTerms": [
+        {
+          "term": "string - the vague term found",
+          "context": "string - surrounding context, copied word for word from the contract",
+          "issue": "string - why this is problematic",
+          "suggestion": "string - how to clarify"
+        }
+      ],
+      "keyTerms": [
+        {
+          "category": "string - e.g., Payment, Termination, Liability",
+          "term": "string - the actual term",
+          "explanation": "string - plain language explanation",
+          "importance": "string - High/Medium/Low"
+        }
+      ],
+      "recommendations": [
+        "string - actionable recommendations for the user"
+      ],
+      "redFlags": [
+        "string - any major concerns that need immediate attention (ONLY if they exist)"
+      ],
+      "suggestedQuestions": [
+        {
+          "question": "string - a question users commonly ask about this type of contract",
+          "answer": "string - detailed answer based on the contract content",
+          "category": "string - e.g., Payment, Termination, Liability, General, Obligations"
+        }
+      ],
+      "keyDates": {
+        "effectiveDate": "string - YYYY-MM-DD date the contract takes effect, or null if the contract doesn't state one",
+        "effectiveDateSource": "string - where the effective date is stated (e.g., 'Preamble', 'Section 2.1'), or null",
+        "expirationDate": "string - YYYY-MM-DD date the contract ends, or null if not stated"
+      },
+      "obligations": [
+        {
+          "obligor": "string - the party who must do something",
+          "obligee": "string - the party it is owed to",
+          "description": "string - what must be done, in plain language",
+          "category": "string - payment/notice/renewal/termination/delivery/reporting/compliance/other",
+          "timing": {
+            "type": "string - absolute/relative/recurring/none",
+            "date": "string - YYYY-MM-DD for a fixed date or the first occurrence of a recurring obligation, otherwise null",
+            "offset": {
+              "amount": number,
+              "unit": "string - days/business days/weeks/months/years",
+              "direction": "string - after/before",
+              "anchor": "string - what the period counts from (e.g., 'effective date', 'expiration date', 'receipt of invoice')"
+            },
+            "frequency": "string - daily/weekly/monthly/quarterly/yearly for recurring obligations, otherwise null",
+            "interval": "number - repeat every N periods (usually 1), or null",
+            "until": "string - YYYY-MM-DD last date of a recurring obligation, or null"
+          },
+          "quote": "string - short exact quote (max 25 words) copied word for word from the contract text"
+        }
+      ],
+      "flowchartData": {
+        "nodes": [
+          {
+            "id": "string - unique identifier",
+            "type": "string - start/process/decision/end/party",
+            "label": "string - node text",
+            "description": "string - detailed explanation",
+            "position": {"x": number, "y": number}
+          }
+        ],
+        "edges": [
+          {
+            "id": "string - unique identifier", 
+            "source": "string - source node id",
+            "target": "string - target node id",
+            "label": "string - edge description",
+            "type": "string - default/conditional"
+          }
+        ],
+        "title": "string - flowchart title"
+      }
+    }
+    
+    For "obligations", list every dated duty in the contract: payment due dates, notice periods, renewal and opt-out windows, termination deadlines, deliveries and reports. Use "relative" timing with an "offset" when the contract counts from an event (e.g., "within 30 days of the effective date", "90 days before expiry"), "recurring" for repeating duties (e.g., monthly invoices), and "none" when no time is given. Never invent dates that are not in the contract.
+
+    Focus on:
+    1. Being honest about risk levels - don't inflate or deflate risks
+    2. Identifying genuinely favorable clauses as GREEN
+    3. Only marking YELLOW if there's a real concern worth noting
+    4. Only marking RED if there's a critical issue
+    5. Explaining complex legal language in plain terms
+    6. Providing actionable recommendations only where needed
+    7. Being thorough but realistic about the contract quality
+
+    ${buildLanguageInstructions(language)}
+    
+    Return only valid JSON without any additional text or formatting.`;
+
+    let analysisText = await llmProvider.generateText(prompt, { task: 'contract-analysis', input: text, json: true });
+    let analysis = null;
+    let repairs = [];
+
+    // Validate against ANALYSIS_SCHEMA, repairing what we can locally and re-prompting for the rest
+    for (let attempt = 1; attempt <= ANALYSIS_MAX_ATTEMPTS; attempt++) {
+      const validation = parseAndValidateAnalysis(analysisText);
+
+      if (validation.errors.length === 0) {
+        analysis = validation.analysis;
+        repairs = validation.repairs;
+        break;
+      }
+
+      logger.warn('Analysis failed validation', { attempt, validationErrors: validation.errors.slice(0, 10) });
+
+      if (attempt === ANALYSIS_MAX_ATTEMPTS) {
+        const validationError = new Error(`AI returned an analysis that failed validation after ${attempt} attempts`);
+        validationError.code = 'ANALYSIS_INVALID';
+        validationError.validationErrors = validation.errors.slice(0, 20);
+        throw validationError;
+      }
+
+      analysisText = await llmProvider.generateText(
+        buildAnalysisRepairPrompt(analysisText, validation.errors),
+        { task: 'contract-analysis-repair', input: text, json: true }
+      );
+    }
+
+    // Default profile for now - analyzeDocumentText re-scores with the profile the request asked for
+    analysis.riskAssessment.riskScore = scoreRiskAssessment(analysis.riskAssessment).riskScore;
+
+    // Add metadata
+    analysis.metadata = {
+      analysisId: uuidv4(),
+      timestamp: new Date().toISOString(),
+      model: llmProvider.textModel,
+      parties: parties,
+      language: language,
+      validation: {
+        status: repairs.length > 0 ? 'repaired' : 'valid',
+        repairs: repairs
+      }
+    };
+
+    return analysis;
+    
+  } catch (error) {
+    if (error.code === 'ANALYSIS_INVALID') throw error;
+    logger.error('Error calling Gemini API', { error });
+    throw new Error('Failed to analyze document with AI: ' + error.message);
+  }
+}
+
+// Function to answer user questions about the contract
+// Citations - quotes in streamed answers are checked against the contract text as they close.
+// Verified quotes become citation events pointing at the exact span; unverified ones are flagged
+// (or, with unverifiedQuotes=drop, the whole answer is retracted).
+const QA_UNVERIFIED_QUOTES = (process.env.QA_UNVERIFIED_QUOTES || 'flag').toLowerCase();
+const CITATION_MIN_WORDS = 4;
+const CITATION_MAX_CHARS = 600;
+const QUOTE_OPENERS = { '"': '"', '“': '”', '„': '“', '«': '»' };
+
+// Incremental scanner: feed it the growing answer and it returns quotes that have just closed
+function createQuoteScanner() {
+  let position = 0;
+
+  return function scan(answer, final = false) {
+    const quotes = [];
+    while (position < answer.length) {
+      const openAt = answer.slice(position).search(/["“„«]/);
+      if (openAt === -1) {
+        position = answer.length;
+        break;
+      }
+
+      const start = position + openAt;
+      const closer = QUOTE_OPENERS[answer[start]];
+      const end = answer.indexOf(closer, start + 1);
+      if (end === -1) {
+        // Wait for more text unless the quote has run on too long to be real
+        if (final || answer.length - start > CITATION_MAX_CHARS) {
+          position = start + 1;
+          continue;
+        }
+        break;
+      }
+
+      if (end - start - 1 <= CITATION_MAX_CHARS) {
+        quotes.push({ quote: answer.slice(start + 1, end), answerStart: start + 1, answerEnd: end });
+      }
+      position = end + 1;
+    }
+    return quotes;
+  };
+}
+
+// Quotes may skip text with an ellipsis; every fragment has to be found, in order
+function verifyQuote(quote, index, text, clauses) {
+  const fragments = quote
+    .split(/\s*(?:\.\.\.|…)\s*/)
+    .map(fragment => fragment.trim().replace(/[.,;:!?]+$/, ''))
+    .filter(fragment => fragment.length > 0);
+  if (fragments.length === 0) return null;
+
+  let searchFrom = 0;
+  const spans = [];
+  for (const fragment of fragments) {
+    const span = findTextSpans(index, fragment, text, 20).find(candidate => candidate.start >= searchFrom);
+    if (!span) return null;
+    spans.push(span);
+    searchFrom = span.end;
+  }
+
+  const start = spans[0].start;
+  const end = spans[spans.length - 1].end;
+  const clause = findClauseForOffset(clauses, start);
+  return {
+    start,
+    end,
+    text: text.slice(start, end),
+    clauseId: clause ? clause.id : null,
+    clauseHeading: clause ? clause.heading : null
+  };
+}
+
+function createCitationVerifier(originalText, passages = []) {
+  const index = originalText ? buildNormalizedIndex(originalText) : null;
+  const clauses = originalText ? splitIntoClauses(originalText) : [];
+  const citations = [];
+
+  return {
+    citations,
+
+    // Returns the citation to emit, or null for short quoted words that don't match (e.g. "Services")
+    check({ quote, answerStart, answerEnd }) {
+      const wordCount = quote.split(/\s+/).filter(Boolean).length;
+      const match = index ? verifyQuote(quote, index, originalText, clauses) : null;
+      if (!match && wordCount < CITATION_MIN_WORDS) return null;
+
+      const passage = match
+        ? passages.find(candidate => match.start >= candidate.start && match.start < candidate.end)
+        : null;
+      const citation = {
+        id: `c-${citations.length + 1}`,
+        quote: quote,
+        answerStart: answerStart,
+        answerEnd: answerEnd,
+        verified: !!match,
+        ...(match
+          ? { start: match.start, end: match.end, text: match.text, clauseId: match.clauseId, clauseHeading: match.clauseHeading, passageId: passage ? passage.id : null }
+          : { reason: index ? 'Quote not found in the contract text' : 'Original contract text not available to verify against' })
+      };
+      citations.push(citation);
+      return citation;
+    }
+  };
+}
+
+// Answer language: explicit outputLanguage, else the language the analysis was written in
+function resolveAnswerLanguage(analysisContext, originalText, outputLanguage = null) {
+  const analysisLanguage = analysisContext && analysisContext.metadata && analysisContext.metadata.language;
+  const documentLanguage = originalText
+    ? detectLanguage(originalText)
+    : (analysisLanguage && analysisLanguage.document) || { code: 'en', name: LANGUAGE_NAMES.en, confidence: 0 };
+
+  let outputCode = resolveLanguageCode(outputLanguage)
+    || (analysisLanguage && analysisLanguage.output && resolveLanguageCode(analysisLanguage.output.code))
+    || resolveLanguageCode(DEFAULT_OUTPUT_LANGUAGE);
+  if (outputCode === 'auto') outputCode = documentLanguage.code;
+
+  return {
+    document: documentLanguage,
+    output: { code: outputCode, name: LANGUAGE_NAMES[outputCode] }
+  };
+}
+
+async function answerQuestionWithGeminiStream(question, analysisContext, conversationHistory = [], originalText = null, res, options = {}) {
+  try {
+    const language = resolveAnswerLanguage(analysisContext, originalText, options.outputLanguage);
+
+    // Only the most recent turns go in the prompt, each capped, so long conversations don't grow it
+    const recentHistory = (conversationHistory || []).slice(-QA_PROMPT_HISTORY_MESSAGES);
+    let conversationContext = '';
+    if (recentHistory.length > 0) {
+      conversationContext = '\n\nPrevious Conversation:\n';
+      recentHistory.forEach(msg => {
+        const content = String(msg.content || '').slice(0, 1000);
+        if (msg.role === 'user') {
+          conversationContext += `User: ${content}\n`;
+        } else if (msg.role === 'assistant') {
+          conversationContext += `Assistant: ${content}\n`;
+        }
+      });
+    }
+
+    // Retrieve the passages relevant to this question instead of sending the whole contract
+    const passageIndex = originalText ? getPassageIndex(originalText) : null;
+    const passages = passageIndex ? retrievePassages(passageIndex, question, conversationHistory || []) : [];
+    const relevantAnalysis = selectRelevantAnalysis(analysisContext, new Set(passages.map(passage => passage.clauseId)), question);
+    const passageText = passages
+      .map(passage => `[${passage.id}]${passage.heading ? ` (${passage.heading})` : ''}\n${passage.text}`)
+      .join('\n\n');
+
+    const prompt = `
+You are an expert legal AI assistant. A user has asked a question about their legal document that you've previously analyzed.
+
+${passages.length > 0 ? `
+Relevant Contract Passages (the only parts of the contract you may rely on):
+${passageText}
+
+` : ''}
+Relevant Analysis Context:
+${JSON.stringify(relevantAnalysis, null, 2)}
+${conversationContext}
+
+Current User Question: "${question}"
+
+Please provide a helpful, accurate answer based ONLY on the contract passages and analysis context above. Your answer should:
+1. Reference specific clauses, sections, or exact text from the passages when relevant
+2. Be specific to the actual contract content
+3. Reference previous questions/answers if relevant to provide continuity
+4. Use plain ${language.output.name} that non-lawyers can understand, whatever language the question is asked in
+5. Provide actionable advice when appropriate
+6. Be concise but comprehensive
+7. If you need to quote the contract, put the quote in double quotation marks, copy it word for word from the passages above (in ${language.document.name}, do NOT translate or paraphrase it), and specify the section/clause if identifiable. Every quote is checked against the contract, so never put your own words in quotation marks
+8. If the passages and analysis above don't answer the question, say that this part of the contract wasn't found rather than guessing
+
+IMPORTANT: Respond with PLAIN TEXT ONLY. Do NOT use:
+- Markdown formatting (**, *, ##, etc.)
+- Code blocks (\`\`\`)
+- HTML tags
+- Asterisks or special characters for formatting
+- Bullet points with special characters
+
+Just write in clear, natural sentences and paragraphs. Use line breaks for separation if needed.
+
+Respond with just the answer text, no JSON formatting needed.`;
+
+    // With redaction on, the model only sees placeholders and the streamed answer is restored chunk by chunk
+    const redactor = options.redaction
+      ? createPiiRedactor({ types: options.redaction.types, names: getPartyNames(analysisContext && analysisContext.metadata && analysisContext.metadata.parties) })
+      : null;
+    const redactedPrompt = redactor ? redactor.redact(prompt) : prompt;
+    const modelPrompt = redactor ? redactedPrompt + buildPlaceholderNote(redactedPrompt) : prompt;
+    const modelPassages = redactor ? passages.map(passage => ({ ...passage, text: redactor.redact(passage.text) })) : passages;
+    const restorer = redactor ? createPlaceholderStreamRestorer(redactor) : null;
+
+    // Stream the answer from the configured provider
+    let fullAnswer = '';
+    const scanQuotes = createQuoteScanner();
+    const verifier = createCitationVerifier(originalText, passages);
+    const emitCitations = final => {
+      scanQuotes(fullAnswer, final).forEach(quote => {
+        const citation = verifier.check(quote);
+        if (citation) res.write(`data: ${JSON.stringify({ type: 'citation', citation })}\n\n`);
+      });
+    };
+    
+    const sendChunk = chunkText => {
+      fullAnswer += chunkText;
+      
+      // Send chunk to client via SSE
+      res.write(`data: ${JSON.stringify({ 
+        type: 'chunk', 
+        text: chunkText 
+      })}\n\n`);
+
+      // Citation events follow the chunk that closes the quote
+      emitCitations(false);
+      
+      // Flush the response to ensure immediate delivery
+      if (res.flush) res.flush();
+    };
+
+    const redactedQuestion = redactor ? redactor.redact(question) : question;
+    for await (const modelChunk of llmProvider.generateTextStream(modelPrompt, { task: 'question-answer', input: redactedQuestion, passages: modelPassages })) {
+      const chunkText = restorer ? restorer.push(modelChunk) : modelChunk;
+      if (chunkText) sendChunk(chunkText);
+    }
+    const remainder = restorer ? restorer.flush() : '';
+    if (remainder) sendChunk(remainder);
+    emitCitations(true);
+
+    const citations = verifier.citations;
+    const unverifiedCount = citations.filter(citation => !citation.verified).length;
+    const unverifiedQuotes = options.unverifiedQuotes || QA_UNVERIFIED_QUOTES;
+    let verification = 'none';
+    if (citations.length > 0) {
+      verification = unverifiedCount === 0 ? 'verified' : unverifiedCount === citations.length ? 'unverified' : 'partial';
+    }
+
+    // In drop mode an answer with made-up quotes is withdrawn rather than shown with a warning
+    let retracted = false;
+    if (unverifiedCount > 0 && unverifiedQuotes === 'drop') {
+      retracted = true;
+      res.write(`data: ${JSON.stringify({
+        type: 'retract',
+        reason: `${unverifiedCount} quote(s) in the answer could not be found in the contract`
+      })}\n\n`);
+      fullAnswer = 'I could not give an answer with quotes that match your contract. Please try rephrasing the question.';
+    }
+    
+    // Send completion message with metadata
+    const metadata = {
+      questionId: uuidv4(),
+      sessionId: options.sessionId || null,
+      timestamp: new Date().toISOString(),
+      model: llmProvider.textModel,
+      language: language,
+      citations: {
+        verification: verification,
+        total: citations.length,
+        verified: citations.length - unverifiedCount,
+        unverified: unverifiedCount,
+        retracted: retracted
+      },
+      retrieval: {
+        passageIds: passages.map(passage => passage.id),
+        passageCount: passages.length,
+        totalPassages: passageIndex ? passageIndex.passages.length : 0,
+        contextChars: passageText.length
+      },
+      // Counts only - the values are the user's own and already in their contract
+      redaction: redactor ? redactor.summary(false) : { enabled: false }
+    };
+    res.write(`data: ${JSON.stringify({ 
+      type: 'done', 
+      fullText: fullAnswer,
+      citations: retracted ? [] : citations,
+      metadata: metadata
+    })}\n\n`);
+    
+    if (res.flush) res.flush();
+
+    return { fullText: fullAnswer, citations: retracted ? [] : citations, metadata };
+    
+  } catch (error) {
+    logger.error('Error in streaming answer', { error });
+    throw error;
+  }
+}
+
+// Deterministic clause segmentation. Splits on numbered headings ("5.", "5.2", "Section 5", "Article IV")
+// and ALL-CAPS heading lines, falling back to blank-line separated paragraphs. Every clause keeps the
+// [start, end) character offsets of its text in the original string.
+const CLAUSE_HEADING_PATTERNS = [
+  /^(?:section|clause|article|schedule|annex(?:ure)?)\s+(\d{1,3}(?:\.\d{1,3})*|[IVXLC]+)\b/i,
+  /^(\d{1,3}(?:\.\d{1,3})+)\.?\s+\S/,
+  /^(\d{1,3})[.)]\s+\S/,
+  /^(\d{1,3})\s+(?=[A-Z])/
+];
+const CAPS_HEADING_PATTERN = /^[A-Z][A-Z0-9 ,&'\-]{3,}:?$/;
+
+function matchClauseHeading(line) {
+  const trimmed = line.trim();
+  for (const pattern of CLAUSE_HEADING_PATTERNS) {
+    const match = trimmed.match(pattern);
+    if (match) return { number: match[1].toUpperCase() };
+  }
+  if (CAPS_HEADING_PATTERN.test(trimmed) && /[A-Z]{3,}/.test(trimmed)) {
+    return { number: null };
+  }
+  return null;
+}
+
+// Shrink [start, end) so it doesn't begin or end on whitespace
+function trimSpan(text, start, end) {
+  while (start < end && /\s/.test(text[start])) start++;
+  while (end > start && /\s/.test(text[end - 1])) end--;
+  return [start, end];
+}
+
+function splitIntoClauses(text) {
+  const clauses = [];
+  let current = null;
+
+  const pushCurrent = end => {
+    if (!current) return;
+    const [start, trimmedEnd] = trimSpan(text, current.start, end);
+    if (trimmedEnd > start) {
+      clauses.push({ ...current, start, end: trimmedEnd, text: text.slice(start, trimmedEnd) });
+    }
+  };
+
+  const linePattern = /[^\n]*(?:\n|$)/g;
+  let lineMatch;
+  while ((lineMatch = linePattern.exec(text)) !== null && lineMatch[0].length > 0) {
+    const line = lineMatch[0];
+    const lineStart = lineMatch.index;
+    const heading = matchClauseHeading(line);
+
+    if (heading) {
+      pushCurrent(lineStart);
+      current = {
+        number: heading.number,
+        heading: line.trim().slice(0, 120),
+        start: lineStart
+      };
+    } else if (!current && line.trim()) {
+      current = { number: null, heading: null, start: lineStart };
+    }
+  }
+  pushCurrent(text.length);
+
+  // No headings found - treat blank-line separated paragraphs as clauses
+  if (clauses.length <= 1) {
+    const paragraphs = [];
+    const paragraphPattern = /\S[\s\S]*?(?=\n[ \t\r]*\n|$)/g;
+    let paragraphMatch;
+    while ((paragraphMatch = paragraphPattern.exec(text)) !== null) {
+      const [start, end] = trimSpan(text, paragraphMatch.index, paragraphMatch.index + paragraphMatch[0].length);
+      paragraphs.push({
+        number: null,
+        heading: text.slice(start, end).split('\n')[0].trim().slice(0, 120),
+        start,
+        end,
+        text: text.slice(start, end)
+      });
+    }
+    if (paragraphs.length > clauses.length) {
+      return paragraphs.map((paragraph, index) => ({ id: `clause-${index + 1}`, level: 1, parentId: null, ...paragraph }));
+    }
+  }
+
+  // Nesting: "5.2" sits under the nearest preceding "5"
+  const withIds = clauses.map((clause, index) => ({ id: `clause-${index + 1}`, ...clause }));
+  withIds.forEach((clause, index) => {
+    clause.level = clause.number && /^\d/.test(clause.number) ? clause.number.split('.').length : 1;
+    clause.parentId = null;
+    if (clause.level > 1) {
+      const parentNumber = clause.number.split('.').slice(0, -1).join('.');
+      for (let i = index - 1; i >= 0; i--) {
+        if (withIds[i].number === parentNumber) {
+          clause.parentId = withIds[i].id;
+          break;
+        }
+      }
+    }
+  });
+
+  return withIds;
+}
+
+// Lower-cased, whitespace-collapsed copy of the text with a map back to original offsets,
+// so quotes can be located even when line breaks or spacing differ
+function buildNormalizedIndex(text) {
+  let normalized = '';
+  const offsets = [];
+  let previousWasSpace = true;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (/\s/.test(char)) {
+      if (!previousWasSpace) {
+        normalized += ' ';
+        offsets.push(i);
+      }
+      previousWasSpace = true;
+    } else {
+      normalized += char.toLowerCase();
+      offsets.push(i);
+      previousWasSpace = false;
+    }
+  }
+
+  return { normalized, offsets };
+}
+
+function normalizeForSearch(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+// Find every occurrence of needle in the original text, ignoring case and whitespace differences
+function findTextSpans(index, needle, text, maxResults = 5) {
+  const normalizedNeedle = normalizeForSearch(needle);
+  if (normalizedNeedle.length < 3) return [];
+
+  const spans = [];
+  let position = index.normalized.indexOf(normalizedNeedle);
+  while (position !== -1 && spans.length < maxResults) {
+    const start = index.offsets[position];
+    const end = index.offsets[position + normalizedNeedle.length - 1] + 1;
+    spans.push({ start, end, text: text.slice(start, end) });
+    position = index.normalized.indexOf(normalizedNeedle, position + 1);
+  }
+  return spans;
+}
+
+function findClauseForOffset(clauses, offset) {
+  // Deepest clause containing the offset (clauses are in document order, children after parents)
+  let found = null;
+  clauses.forEach(clause => {
+    if (offset >= clause.start && offset < clause.end) found = clause;
+  });
+  return found;
+}
+
+// Share of the item's meaningful words that appear in the clause (0-1)
+function computeWordCoverage(itemText, clauseText) {
+  const stopWords = new Set(['the', 'and', 'for', 'that', 'this', 'with', 'are', 'not', 'any', 'may', 'shall', 'will', 'you', 'your', 'from', 'have', 'has', 'its', 'into', 'can', 'could', 'which', 'their', 'there', 'under']);
+  const itemWords = [...new Set(tokenizeWords(itemText).filter(word => word.length > 2 && !stopWords.has(word)))];
+  if (itemWords.length === 0) return 0;
+  const clauseWords = new Set(tokenizeWords(clauseText));
+  return itemWords.filter(word => clauseWords.has(word)).length / itemWords.length;
+}
+
+// Resolve an analysis item to clauses and exact spans: quoted text first, then "Section 5"-style
+// locations, then best word overlap
+function locateAnalysisItem(item, clauses, index, text) {
+  const spans = [];
+  (item.quotes || []).forEach(quote => {
+    findTextSpans(index, quote, text, 3).forEach(span => {
+      // A term found inside an already matched context quote adds nothing
+      const overlaps = spans.some(existing => span.start < existing.end && existing.start < span.end);
+      if (!overlaps) spans.push(span);
+    });
+  });
+
+  const clauseIds = new Set();
+  spans.forEach(span => {
+    const clause = findClauseForOffset(clauses, span.start);
+    if (clause) {
+      span.clauseId = clause.id;
+      clauseIds.add(clause.id);
+    }
+  });
+
+  if (clauseIds.size === 0 && item.location) {
+    const referencePattern = /(?:section|clause|article|schedule|para(?:graph)?|§)\s*(\d{1,3}(?:\.\d{1,3})*|[IVXLC]+)\b/gi;
+    let reference;
+    while ((reference = referencePattern.exec(item.location)) !== null) {
+      const number = reference[1].toUpperCase();
+      const clause = clauses.find(candidate => candidate.number === number);
+      if (clause) clauseIds.add(clause.id);
+    }
+  }
+
+  if (clauseIds.size === 0 && item.description) {
+    let best = null;
+    let bestScore = 0;
+    clauses.forEach(clause => {
+      const score = computeWordCoverage(item.description, clause.text);
+      if (score > bestScore) {
+        best = clause;
+        bestScore = score;
+      }
+    });
+    if (best && bestScore >= 0.5) clauseIds.add(best.id);
+  }
+
+  return { clauseIds: [...clauseIds], spans };
+}
+
+// Attach clauseIds/spans to every risk, vague term, key term and obligation, and add the clause outline to the analysis
+function linkAnalysisToClauses(analysis, text) {
+  const clauses = splitIntoClauses(text);
+  const index = buildNormalizedIndex(text);
+  const link = (item, descriptor) => {
+    if (!item || typeof item !== 'object') return;
+    const { clauseIds, spans } = locateAnalysisItem(descriptor, clauses, index, text);
+    item.clauseIds = clauseIds;
+    item.spans = spans;
+  };
+
+  const riskAssessment = analysis.riskAssessment || {};
+  ['greenRisks', 'yellowRisks', 'redRisks'].forEach(key => {
+    (riskAssessment[key] || []).forEach(risk => link(risk, {
+      quotes: [risk.quote].filter(Boolean),
+      location: risk.location,
+      description: `${risk.type || ''} ${risk.description || ''}`
+    }));
+  });
+  (analysis.vagueTerms || []).forEach(term => link(term, {
+    quotes: [term.context, term.term].filter(Boolean),
+    location: term.context,
+    description: term.context
+  }));
+  (analysis.keyTerms || []).forEach(term => link(term, {
+    quotes: [term.term].filter(Boolean),
+    location: term.term,
+    description: `${term.term || ''} ${term.explanation || ''}`
+  }));
+  (analysis.obligations || []).forEach(obligation => link(obligation, {
+    quotes: [obligation.quote].filter(Boolean),
+    location: obligation.quote,
+    description: obligation.description
+  }));
+
+  analysis.clauses = clauses.map(({ id, number, heading, level, parentId, start, end }) => ({
+    id, number, heading, level, parentId, start, end
+  }));
+  return analysis;
+}
+
+function tokenizeWords(text) {
+  return (text || '').toLowerCase().match(/[a-z0-9]+/g) || [];
+}
+
+// Jaccard similarity over word sets (0 = nothing in common, 1 = same words)
+function computeTextSimilarity(a, b) {
+  const setA = new Set(tokenizeWords(a));
+  const setB = new Set(tokenizeWords(b));
+  if (setA.size === 0 && setB.size === 0) return 1;
+
+  let intersection = 0;
+  setA.forEach(word => {
+    if (setB.has(word)) intersection++;
+  });
+  return intersection / (setA.size + setB.size - intersection);
+}
+
+// Word-level diff of two clauses (LCS), returns added and removed word runs
+function diffWords(originalText, revisedText) {
+  const a = originalText.split(/\s+/).filter(Boolean);
+  const b = revisedText.split(/\s+/).filter(Boolean);
+
+  // Skip word diff for very large clauses to keep it cheap
+  if (a.length * b.length > 4000000) {
+    return { added: [], removed: [], truncated: true };
+  }
+
+  const table = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      table[i][j] = a[i] === b[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+
+  const added = [];
+  const removed = [];
+  let addRun = [];
+  let removeRun = [];
+  const flush = () => {
+    if (addRun.length) added.push(addRun.join(' '));
+    if (removeRun.length) removed.push(removeRun.join(' '));
+    addRun = [];
+    removeRun = [];
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      flush();
+      i++;
+      j++;
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      removeRun.push(a[i++]);
+    } else {
+      addRun.push(b[j++]);
+    }
+  }
+  while (i < a.length) removeRun.push(a[i++]);
+  while (j < b.length) addRun.push(b[j++]);
+  flush();
+
+  return { added, removed, truncated: false };
+}
+
+// Clause-level diff between two versions of a contract
+function diffClauses(originalText, revisedText) {
+  const originalClauses = splitIntoClauses(originalText);
+  const revisedClauses = splitIntoClauses(revisedText);
+  const matchedOriginal = new Set();
+  const changes = [];
+
+  revisedClauses.forEach(revised => {
+    let bestMatch = null;
+    let bestScore = 0;
+
+    originalClauses.forEach((original, index) => {
+      if (matchedOriginal.has(index)) return;
+      let score = computeTextSimilarity(original.text, revised.text);
+      // Same section number is a strong hint that it's the same clause
+      if (original.number && original.number === revised.number) score += 0.25;
+      if (score > bestScore) {
+        bestScore = score;
+        bestMatch = index;
+      }
+    });
+
+    if (bestMatch !== null && bestScore >= 0.5) {
+      matchedOriginal.add(bestMatch);
+      const original = originalClauses[bestMatch];
+      const normalizedOriginal = original.text.replace(/\s+/g, ' ').trim();
+      const normalizedRevised = revised.text.replace(/\s+/g, ' ').trim();
+
+      if (normalizedOriginal === normalizedRevised) {
+        changes.push({
+          status: 'unchanged',
+          originalClauseId: original.id,
+          revisedClauseId: revised.id,
+          heading: revised.heading
+        });
+      } else {
+        changes.push({
+          status: 'modified',
+          originalClauseId: original.id,
+          revisedClauseId: revised.id,
+          heading: revised.heading,
+          similarity: Math.round(computeTextSimilarity(original.text, revised.text) * 100) / 100,
+          originalText: original.text,
+          revisedText: revised.text,
+          wordChanges: diffWords(original.text, revised.text)
+        });
+      }
+    } else {
+      changes.push({
+        status: 'added',
+        originalClauseId: null,
+        revisedClauseId: revised.id,
+        heading: revised.heading,
+        revisedText: revised.text
+      });
+    }
+  });
+
+  originalClauses.forEach((original, index) => {
+    if (matchedOriginal.has(index)) return;
+    changes.push({
+      status: 'removed',
+      originalClauseId: original.id,
+      revisedClauseId: null,
+      heading: original.heading,
+      originalText: original.text
+    });
+  });
+
+  const count = status => changes.filter(change => change.status === status).length;
+
+  return {
+    summary: {
+      originalClauseCount: originalClauses.length,
+      revisedClauseCount: revisedClauses.length,
+      added: count('added'),
+      removed: count('removed'),
+      modified: count('modified'),
+      unchanged: count('unchanged')
+    },
+    changes
+  };
+}
+
+// Compare green/yellow/red risk items and risk score between two analyses
+function compareRiskAssessments(originalAnalysis, revisedAnalysis, profile = resolveRiskScoringProfile()) {
+  const before = (originalAnalysis && originalAnalysis.riskAssessment) || {};
+  const after = (revisedAnalysis && revisedAnalysis.riskAssessment) || {};
+
+  const riskKey = risk => `${(risk.type || '').toLowerCase().trim()}|${tokenizeWords(risk.description).slice(0, 12).join(' ')}`;
+
+  const compareLevel = level => {
+    const beforeRisks = before[`${level}Risks`] || [];
+    const afterRisks = after[`${level}Risks`] || [];
+    const unmatchedBefore = [...beforeRisks];
+    const added = [];
+    const persisted = [];
+
+    afterRisks.forEach(risk => {
+      // Exact key match first, then fall back to a fuzzy match on same-type risks
+      let matchIndex = unmatchedBefore.findIndex(candidate => riskKey(candidate) === riskKey(risk));
+      if (matchIndex === -1) {
+        matchIndex = unmatchedBefore.findIndex(candidate =>
+          (candidate.type || '').toLowerCase() === (risk.type || '').toLowerCase() &&
+          computeTextSimilarity(candidate.description, risk.description) >= 0.5
+        );
+      }
+
+      if (matchIndex === -1) {
+        added.push(risk);
+      } else {
+        persisted.push(risk);
+        unmatchedBefore.splice(matchIndex, 1);
+      }
+    });
+
+    return {
+      before: before[`${level}Points`] || 0,
+      after: after[`${level}Points`] || 0,
+      delta: (after[`${level}Points`] || 0) - (before[`${level}Points`] || 0),
+      added,
+      removed: unmatchedBefore,
+      persisted
+    };
+  };
+
+  // Both sides are scored with the same profile, whatever the original was saved with
+  const scoredBefore = scoreRiskAssessment(before, profile);
+  const scoredAfter = scoreRiskAssessment(after, profile);
+  const scoreBefore = scoredBefore.riskScore;
+  const scoreAfter = scoredAfter.riskScore;
+
+  return {
+    riskScore: {
+      before: scoreBefore,
+      after: scoreAfter,
+      delta: scoreAfter - scoreBefore,
+      // Higher score means lower risk
+      direction: scoreAfter > scoreBefore ? 'improved' : scoreAfter < scoreBefore ? 'worsened' : 'unchanged'
+    },
+    overallRisk: {
+      before: scoredBefore.overallRisk,
+      after: scoredAfter.overallRisk
+    },
+    green: compareLevel('green'),
+    yellow: compareLevel('yellow'),
+    red: compareLevel('red')
+  };
+}
+
+// Pack clauses into sections of roughly CHUNK_TARGET_CHARS, never splitting mid-clause unless a clause is huge
+function splitIntoSections(text, targetChars = CHUNK_TARGET_CHARS) {
+  const pieces = [];
+  splitIntoClauses(text).forEach(clause => {
+    if (clause.text.length <= targetChars) {
+      pieces.push(clause.text);
+      return;
+    }
+    // Oversized clause - hard split on paragraph, then character boundaries
+    let buffer = '';
+    clause.text.split(/\n\s*\n/).forEach(paragraph => {
+      while (paragraph.length > targetChars) {
+        if (buffer) {
+          pieces.push(buffer);
+          buffer = '';
+        }
+        pieces.push(paragraph.slice(0, targetChars));
+        paragraph = paragraph.slice(targetChars);
+      }
+      if (buffer.length + paragraph.length + 2 > targetChars) {
+        pieces.push(buffer);
+        buffer = '';
+      }
+      buffer = buffer ? `${buffer}\n\n${paragraph}` : paragraph;
+    });
+    if (buffer) pieces.push(buffer);
+  });
+
+  const sections = [];
+  let current = '';
+  pieces.forEach(piece => {
+    if (current && current.length + piece.length + 2 > targetChars) {
+      sections.push(current);
+      current = '';
+    }
+    current = current ? `${current}\n\n${piece}` : piece;
+  });
+  if (current) sections.push(current);
+
+  return sections;
+}
+
+// Keep the first of any near-duplicate items (same key text, similarity >= threshold)
+function dedupeBySimilarity(items, getText, threshold = 0.6) {
+  const kept = [];
+  items.forEach(item => {
+    const text = getText(item);
+    const isDuplicate = kept.some(existing => computeTextSimilarity(getText(existing), text) >= threshold);
+    if (!isDuplicate) kept.push(item);
+  });
+  return kept;
+}
+
+const RISK_LEVEL_ORDER = ['Low', 'Medium', 'High'];
+
+// Dates usually appear in one section only (preamble, term clause), so take the first section that states each
+function mergeKeyDates(sectionAnalyses) {
+  const keyDates = { effectiveDate: null, effectiveDateSource: null, expirationDate: null };
+  sectionAnalyses.forEach(analysis => {
+    const sectionDates = analysis.keyDates || {};
+    if (!keyDates.effectiveDate && sectionDates.effectiveDate) {
+      keyDates.effectiveDate = sectionDates.effectiveDate;
+      keyDates.effectiveDateSource = sectionDates.effectiveDateSource || null;
+    }
+    if (!keyDates.expirationDate && sectionDates.expirationDate) {
+      keyDates.expirationDate = sectionDates.expirationDate;
+    }
+  });
+  return keyDates;
+}
+
+// Combine per-section analyses into a single analysis with the same shape as analyzeContractWithGemini
+function mergeSectionAnalyses(sectionAnalyses, text, parties = {}) {
+  const flatten = getter => sectionAnalyses.flatMap(analysis => getter(analysis) || []);
+  const riskText = risk => `${risk.type || ''} ${risk.description || ''}`;
+
+  const riskAssessment = { overallRisk: 'Low' };
+  ['green', 'yellow', 'red'].forEach(level => {
+    const allRisks = flatten(analysis => analysis.riskAssessment && analysis.riskAssessment[`${level}Risks`]);
+    const risks = dedupeBySimilarity(allRisks, riskText);
+    const reportedPoints = sectionAnalyses.reduce((sum, analysis) =>
+      sum + ((analysis.riskAssessment && analysis.riskAssessment[`${level}Points`]) || 0), 0);
+    // Duplicates found across sections should not be counted twice
+    riskAssessment[`${level}Points`] = Math.max(risks.length, reportedPoints - (allRisks.length - risks.length));
+    riskAssessment[`${level}Risks`] = risks;
+  });
+
+  // Overall risk is the worst level reported by any section
+  sectionAnalyses.forEach(analysis => {
+    const level = analysis.riskAssessment && analysis.riskAssessment.overallRisk;
+    if (RISK_LEVEL_ORDER.indexOf(level) > RISK_LEVEL_ORDER.indexOf(riskAssessment.overallRisk)) {
+      riskAssessment.overallRisk = level;
+    }
+  });
+  riskAssessment.riskScore = scoreRiskAssessment(riskAssessment).riskScore;
+  // Keep the key order the frontend is used to
+  const orderedRiskAssessment = {
+    overallRisk: riskAssessment.overallRisk,
+    greenPoints: riskAssessment.greenPoints,
+    yellowPoints: riskAssessment.yellowPoints,
+    redPoints: riskAssessment.redPoints,
+    riskScore: riskAssessment.riskScore,
+    greenRisks: riskAssessment.greenRisks,
+    yellowRisks: riskAssessment.yellowRisks,
+    redRisks: riskAssessment.redRisks
+  };
+
+  const first = sectionAnalyses[0] || {};
+  const firstSummary = first.summary || {};
+  const wordCount = text.split(/\s+/).filter(Boolean).length;
+
+  return {
+    summary: {
+      documentType: firstSummary.documentType || 'Legal Document',
+      mainPurpose: firstSummary.mainPurpose || '',
+      keyHighlights: dedupeBySimilarity(flatten(analysis => analysis.summary && analysis.summary.keyHighlights), item => item).slice(0, 10),
+      whatIsIncluded: dedupeBySimilarity(flatten(analysis => analysis.summary && analysis.summary.whatIsIncluded), item => item),
+      contractSummary: sectionAnalyses
+        .map(analysis => analysis.summary && analysis.summary.contractSummary)
+        .filter(Boolean)
+        .join(' '),
+      wordCount: wordCount,
+      estimatedReadingTime: `${Math.max(1, Math.round(wordCount / 200))} minutes`
+    },
+    riskAssessment: orderedRiskAssessment,
+    legalReferences: dedupeBySimilarity(flatten(analysis => analysis.legalReferences), ref => ref.reference || '', 0.9),
+    vagueTerms: dedupeBySimilarity(flatten(analysis => analysis.vagueTerms), term => term.term || '', 0.9),
+    keyTerms: dedupeBySimilarity(flatten(analysis => analysis.keyTerms), term => `${term.category || ''} ${term.term || ''}`),
+    recommendations: dedupeBySimilarity(flatten(analysis => analysis.recommendations), item => item),
+    redFlags: dedupeBySimilarity(flatten(analysis => analysis.redFlags), item => item),
+    suggestedQuestions: dedupeBySimilarity(flatten(analysis => analysis.suggestedQuestions), item => item.question || '').slice(0, 10),
+    keyDates: mergeKeyDates(sectionAnalyses),
+    obligations: dedupeBySimilarity(flatten(analysis => analysis.obligations), item => `${item.obligor || ''} ${item.description || ''}`, 0.8),
+    flowchartData: first.flowchartData || { nodes: [], edges: [], title: 'Contract Flow' },
+    metadata: {
+      analysisId: uuidv4(),
+      timestamp: new Date().toISOString(),
+      model: llmProvider.textModel,
+      parties: parties
+    }
+  };
+}
+
+// Ask Gemini for one overall summary and flowchart covering every section
+async function synthesizeMergedAnalysisWithGemini(mergedAnalysis, sectionAnalyses, parties = {}, language = null) {
+  const sectionDigest = sectionAnalyses.map((analysis, index) => ({
+    section: index + 1,
+    documentType: analysis.summary && analysis.summary.documentType,
+    mainPurpose: analysis.summary && analysis.summary.mainPurpose,
+    contractSummary: analysis.summary && analysis.summary.contractSummary,
+    flowchartSteps: ((analysis.flowchartData && analysis.flowchartData.nodes) || []).map(node => node.label)
+  }));
+
+  const prompt = `
+    You are an expert legal AI assistant. A long contract was split into ${sectionAnalyses.length} sections and each section was analyzed separately. Combine the section results below into ONE overall view of the whole contract.
+
+    ${parties.party1 || parties.party2 ? `
+    Parties involved:
+    - Party 1: ${parties.party1 || 'Not specified'}
+    - Party 2: ${parties.party2 || 'Not specified'}
+    ` : ''}
+
+    Section results:
+    ${JSON.stringify(sectionDigest, null, 2)}
+    ${buildPlaceholderNote(JSON.stringify(sectionDigest))}
+    Key terms found across the contract:
+    ${JSON.stringify(mergedAnalysis.keyTerms.map(term => `${term.category}: ${term.term}`), null, 2)}
+
+    Provide the result in the following JSON structure:
+    {
+      "documentType": "string - type of contract",
+      "mainPurpose": "string - primary purpose of the whole contract",
+      "contractSummary": "string - 1 paragraph summary of the entire contract in plain language",
+      "flowchartData": {
+        "nodes": [
+          {
+            "id": "string - unique identifier",
+            "type": "string - start/process/decision/end/party",
+            "label": "string - node text",
+            "description": "string - detailed explanation",
+            "position": {"x": number, "y": number}
+          }
+        ],
+        "edges": [
+          {
+            "id": "string - unique identifier",
+            "source": "string - source node id",
+            "target": "string - target node id",
+            "label": "string - edge description",
+            "type": "string - default/conditional"
+          }
+        ],
+        "title": "string - flowchart title"
+      }
+    }
+
+    Keep the flowchart very simple and write everything in SIMPLE, EVERYDAY ${language ? language.output.name.toUpperCase() : 'ENGLISH'}.
+
+    Return only valid JSON without any additional text or formatting.`;
+
+  const overviewText = await llmProvider.generateText(prompt, { task: 'merge-overview', json: true });
+  const overview = parseModelJson(overviewText);
+
+  if (overview.flowchartData && typeof overview.flowchartData === 'object') {
+    repairFlowchart(overview.flowchartData, []);
+    const flowchartErrors = validateAgainstSchema(overview.flowchartData, FLOWCHART_SCHEMA, 'flowchartData');
+    if (flowchartErrors.length > 0) {
+      logger.warn('Discarding invalid merged flowchart', { flowchartErrors: flowchartErrors.slice(0, 5) });
+      delete overview.flowchartData;
+    }
+  }
+
+  return overview;
+}
+
+// Map-reduce analysis for documents too long for a single Gemini call
+async function analyzeLongContractWithGemini(text, parties = {}, onProgress = null, language = resolveAnalysisLanguage(text)) {
+  const sections = splitIntoSections(text);
+  logger.info('Document split into sections for analysis', { sectionCount: sections.length });
+
+  const sectionAnalyses = new Array(sections.length);
+  for (let start = 0; start < sections.length; start += CHUNK_CONCURRENCY) {
+    const batch = sections.slice(start, start + CHUNK_CONCURRENCY);
+    const results = await Promise.all(batch.map((sectionText, offset) =>
+      analyzeContractWithGemini(sectionText, parties, {
+        index: start + offset + 1,
+        total: sections.length
+      }, language).catch(error => {
+        logger.error('Error analyzing section', { section: start + offset + 1, error });
+        return null;
+      })
+    ));
+    results.forEach((analysis, offset) => {
+      sectionAnalyses[start + offset] = analysis;
+    });
+
+    if (onProgress) {
+      onProgress({
+        completedSections: Math.min(start + CHUNK_CONCURRENCY, sections.length),
+        totalSections: sections.length
+      });
+    }
+  }
+
+  // Sections that failed are reported rather than papered over with made-up results
+  const failedSections = [];
+  const usableAnalyses = sectionAnalyses.filter((analysis, index) => {
+    if (!analysis) {
+      failedSections.push(index + 1);
+      return false;
+    }
+    return true;
+  });
+
+  if (usableAnalyses.length === 0) {
+    const sectionError = new Error('None of the document sections could be analyzed');
+    sectionError.code = 'ANALYSIS_INVALID';
+    throw sectionError;
+  }
+
+  const merged = mergeSectionAnalyses(usableAnalyses, text, parties);
+
+  try {
+    const overview = await synthesizeMergedAnalysisWithGemini(merged, usableAnalyses, parties, language);
+    if (overview.documentType) merged.summary.documentType = overview.documentType;
+    if (overview.mainPurpose) merged.summary.mainPurpose = overview.mainPurpose;
+    if (overview.contractSummary) merged.summary.contractSummary = overview.contractSummary;
+    if (overview.flowchartData && Array.isArray(overview.flowchartData.nodes)) {
+      merged.flowchartData = overview.flowchartData;
+    }
+  } catch (error) {
+    // The merged section data is still valid, just less polished
+    logger.error('Error synthesizing merged analysis, using first section flowchart', { error });
+  }
+
+  merged.metadata.language = language;
+  merged.metadata.chunked = {
+    sectionCount: sections.length,
+    failedSections: failedSections
+  };
+  merged.metadata.validation = {
+    status: failedSections.length > 0 ? 'partial' : 'valid',
+    repairs: []
+  };
+
+  return merged;
+}
+
+// Analysis cache - repeat uploads of the same contract return the stored analysis instead of paying
+// for (and getting a slightly different) fresh one. Bump ANALYSIS_PROMPT_VERSION whenever the
+// analysis prompts or post-processing change so old entries stop matching.
+const ANALYSIS_PROMPT_VERSION = '6';
+const ANALYSIS_CACHE_TTL_MS = readIntEnv('ANALYSIS_CACHE_TTL_MS', 7 * 24 * 60 * 60 * 1000);
+const ANALYSIS_CACHE_MAX_ENTRIES = readIntEnv('ANALYSIS_CACHE_MAX_ENTRIES', 200);
+
+function normalizeDocumentForCache(text) {
+  return String(text || '')
+    .normalize('NFKC')
+    .replace(/[‘’]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function buildAnalysisCacheKey(text, parties, outputLanguage = DEFAULT_OUTPUT_LANGUAGE, redaction = null) {
+  parties = parties || {};
+  const payload = JSON.stringify({
+    promptVersion: ANALYSIS_PROMPT_VERSION,
+    model: llmProvider.textModel,
+    outputLanguage: outputLanguage || DEFAULT_OUTPUT_LANGUAGE,
+    // The model saw a different prompt when redacting, so each set of types gets its own entry
+    redactionTypes: redaction ? [...redaction.types].sort() : null,
+    parties: {
+      party1: normalizeForSearch(parties.party1),
+      party2: normalizeForSearch(parties.party2)
+    },
+    text: normalizeDocumentForCache(text)
+  });
+  return crypto.createHash('sha256').update(payload).digest('hex');
+}
+
+// Cache stores share one interface: async get(key) -> { analysis, cachedAt, expiresAt } | null,
+// async set(key, analysis, ttlMs)
+function createMemoryAnalysisCache() {
+  const entries = new Map();
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+      // Stored serialized so callers can't mutate the cached copy
+      return {
+        analysis: JSON.parse(entry.analysis),
+        cachedAt: new Date(entry.cachedAt).toISOString(),
+        expiresAt: new Date(entry.expiresAt).toISOString()
+      };
+    },
+
+    async set(key, analysis, ttlMs) {
+      entries.delete(key);
+      entries.set(key, {
+        analysis: JSON.stringify(analysis),
+        cachedAt: Date.now(),
+        expiresAt: Date.now() + ttlMs
+      });
+      // Maps keep insertion order, so the first key is the oldest entry
+      while (entries.size > ANALYSIS_CACHE_MAX_ENTRIES) {
+        entries.delete(entries.keys().next().value);
+      }
+    }
+  };
+}
+
+// Table analysis_cache: cache_key (primary key), analysis (jsonb), created_at, expires_at
+function createSupabaseAnalysisCache() {
+  return {
+    name: 'supabase',
+
+    async get(key) {
+      const { data, error } = await supabase
+        .from('analysis_cache')
+        .select('analysis, created_at, expires_at')
+        .eq('cache_key', key)
+        .gt('expires_at', new Date().toISOString())
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!data) return null;
+      return {
+        analysis: data.analysis,
+        cachedAt: data.created_at,
+        expiresAt: data.expires_at
+      };
+    },
+
+    async set(key, analysis, ttlMs) {
+      const now = Date.now();
+      const { error } = await supabase
+        .from('analysis_cache')
+        .upsert({
+          cache_key: key,
+          analysis: analysis,
+          created_at: new Date(now).toISOString(),
+          expires_at: new Date(now + ttlMs).toISOString()
+        }, { onConflict: 'cache_key' });
+
+      if (error) throw error;
+    }
+  };
+}
+
+const ANALYSIS_CACHE_STORES = {
+  memory: createMemoryAnalysisCache,
+  supabase: createSupabaseAnalysisCache,
+  none: () => null
+};
+
+const analysisCacheStoreName = (process.env.ANALYSIS_CACHE_STORE || 'memory').toLowerCase();
+if (!ANALYSIS_CACHE_STORES[analysisCacheStoreName]) {
+  throw new Error(`Unknown ANALYSIS_CACHE_STORE "${analysisCacheStoreName}". Expected one of: ${Object.keys(ANALYSIS_CACHE_STORES).join(', ')}`);
+}
+const analysisCache = ANALYSIS_CACHE_TTL_MS > 0 ? ANALYSIS_CACHE_STORES[analysisCacheStoreName]() : null;
+
+// A broken cache should never fail an analysis, so errors are logged and treated as misses
+async function readCachedAnalysis(key) {
+  if (!analysisCache) return null;
+  try {
+    return await analysisCache.get(key);
+  } catch (error) {
+    logger.warn('Analysis cache read failed', { error });
+    return null;
+  }
+}
+
+async function writeCachedAnalysis(key, analysis) {
+  if (!analysisCache) return;
+  try {
+    await analysisCache.set(key, analysis, ANALYSIS_CACHE_TTL_MS);
+  } catch (error) {
+    logger.warn('Analysis cache write failed', { error });
+  }
+}
+
+function parseBooleanParam(value) {
+  return value === true || value === 'true' || value === '1' || value === 1;
+}
+
+// Per-request steps that run on fresh and cached analyses alike
+async function finishAnalysis(analysis, text, options, redactor = null) {
+  if (options.onScoring) options.onScoring();
+  resolveObligationDates(analysis, options.effectiveDate);
+  if (options.playbook) {
+    await applyPlaybook(analysis, text, options.playbook, options.outputLanguage, redactor);
+  }
+  return applyRiskScoring(analysis, options.scoringProfile || resolveRiskScoringProfile());
+}
+
+// Analyze a document in one pass when it fits, otherwise via chunked map-reduce.
+// onProgress is only called for chunked documents, once per batch of sections.
+// options.redaction ({ types }) sends the model a PII-redacted copy of the text and parties.
+// options.onScoring is called once the model output is in, before the playbook and risk scoring run.
+async function analyzeDocumentText(text, parties = {}, onProgress = null, options = {}) {
+  const redactor = options.redaction
+    ? createPiiRedactor({ types: options.redaction.types, names: getPartyNames(parties) })
+    : null;
+  const cacheKey = buildAnalysisCacheKey(text, parties, options.outputLanguage, options.redaction);
+  if (!options.force) {
+    const cached = await readCachedAnalysis(cacheKey);
+    if (cached && cached.analysis) {
+      logger.info('Analysis cache hit', { cache: analysisCache.name, cacheKey: cacheKey.slice(0, 12) });
+      cached.analysis.metadata = {
+        ...cached.analysis.metadata,
+        cache: { hit: true, cachedAt: cached.cachedAt, expiresAt: cached.expiresAt }
+      };
+      // Cached entries hold no PII values, so the summary is rebuilt from this request's text
+      if (redactor) {
+        redactor.redact(text);
+        getPartyNames(parties).forEach(name => redactor.redact(name));
+        cached.analysis.metadata.redaction = redactor.summary();
+      }
+      // The effective date, playbook and scoring profile can differ per request, so they're applied after the cache lookup
+      return finishAnalysis(cached.analysis, text, options, redactor);
+    }
+  }
+
+  const language = resolveAnalysisLanguage(text, options.outputLanguage);
+  const promptText = redactor ? redactor.redact(text) : text;
+  const promptParties = redactor
+    ? Object.fromEntries(Object.entries(parties || {}).map(([key, value]) => [key, redactor.redact(value)]))
+    : parties;
+  const analysis = promptText.length > SINGLE_PASS_MAX_CHARS
+    ? await analyzeLongContractWithGemini(promptText, promptParties, onProgress, language)
+    : await analyzeContractWithGemini(promptText, promptParties, null, language);
+
+  // Put the real values back before quotes are matched against the original text
+  if (redactor) {
+    redactor.restoreDeep(analysis);
+    analysis.metadata.redaction = redactor.summary();
+  }
+
+  // Replace the model's guessed node positions with a computed layout
+  analysis.flowchartData = layoutFlowchart(analysis.flowchartData);
+  linkAnalysisToClauses(analysis, text);
+
+  // Partial results (some sections failed) are worth retrying, so they aren't cached
+  if (analysis.metadata.validation.status !== 'partial') {
+    await writeCachedAnalysis(cacheKey, redactor
+      ? { ...analysis, metadata: { ...analysis.metadata, redaction: redactor.summary(false) } }
+      : analysis);
+  }
+  return finishAnalysis(analysis, text, options, redactor);
+}
+
+// In-memory store for asynchronous analysis jobs (jobId -> job)
+const analysisJobs = new Map();
+const JOB_TTL_MS = parseInt(process.env.JOB_TTL_MS, 10) || 60 * 60 * 1000;
+
+const JOB_STAGE_PROGRESS = {
+  queued: 0,
+  extracting: 10,
+  analyzing: 20,
+  scoring: 90,
+  done: 100
+};
+
+function createAnalysisJob(user) {
+  const job = {
+    id: uuidv4(),
+    userId: user.id,
+    status: 'queued',
+    stage: 'queued',
+    progress: 0,
+    events: [],
+    result: null,
+    error: null,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+    subscribers: new Set()
+  };
+  analysisJobs.set(job.id, job);
+  publishJobEvent(job, { type: 'stage', stage: 'queued', progress: 0 });
+  return job;
+}
+
+// Record an event on the job and push it to every SSE subscriber
+function publishJobEvent(job, event) {
+  const timedEvent = { ...event, jobId: job.id, timestamp: new Date().toISOString() };
+  job.events.push(timedEvent);
+  job.updatedAt = timedEvent.timestamp;
+
+  job.subscribers.forEach(res => {
+    res.write(`data: ${JSON.stringify(timedEvent)}\n\n`);
+    if (res.flush) res.flush();
+    if (event.type === 'done' || event.type === 'error') res.end();
+  });
+  if (event.type === 'done' || event.type === 'error') job.subscribers.clear();
+}
+
+function updateJobStage(job, stage, details = {}) {
+  job.status = 'running';
+  job.stage = stage;
+  job.progress = details.progress !== undefined ? details.progress : JOB_STAGE_PROGRESS[stage];
+  publishJobEvent(job, { type: 'stage', stage: stage, progress: job.progress, ...details });
+}
+
+// Public view of a job (no subscriber handles)
+function serializeJob(job, includeResult = true) {
+  return {
+    jobId: job.id,
+    status: job.status,
+    stage: job.stage,
+    progress: job.progress,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    error: job.error,
+    result: includeResult ? job.result : undefined
+  };
+}
+
+// Same response body /api/analyze-document returns synchronously
+function buildAnalysisResponse({ analysis, documentText, source, originalFilename, email, isAuthenticated, totalRecords }) {
+  return {
+    success: true,
+    cached: !!(analysis.metadata && analysis.metadata.cache && analysis.metadata.cache.hit),
+    analysis: analysis,
+    originalText: documentText,
+    metadata: {
+      source: source,
+      originalFilename: originalFilename,
+      processedAt: new Date().toISOString(),
+      contentLength: documentText.length,
+      chunked: documentText.length > SINGLE_PASS_MAX_CHARS,
+      model: llmProvider.textModel
+    },
+    userInfo: {
+      email: email,
+      isAuthenticated: isAuthenticated,
+      totalRecords: totalRecords
+    }
+  };
+}
+
+// Run a full analysis in the background, reporting stage updates on the job
+async function runAnalysisJob(job, { file, text, parties, outputLanguage, force, effectiveDate, playbook, scoringProfile, redaction, userInfo }) {
+  try {
+    updateJobStage(job, 'extracting');
+    const documentText = file
+      ? await extractTextFromFile(file.path, file.originalname)
+      : text;
+
+    if (documentText.length < 100) {
+      throw new Error('Document content is too short for meaningful analysis (minimum 100 characters)');
+    }
+    if (documentText.length > MAX_DOCUMENT_CHARS) {
+      throw new Error(`Document content is too long (maximum ${MAX_DOCUMENT_CHARS.toLocaleString('en-US')} characters)`);
+    }
+
+    updateJobStage(job, 'analyzing', { contentLength: documentText.length });
+    const analysis = await analyzeDocumentText(documentText, parties, ({ completedSections, totalSections }) => {
+      // Spread section progress across the analyzing range (20-90)
+      const progress = JOB_STAGE_PROGRESS.analyzing +
+        Math.round((JOB_STAGE_PROGRESS.scoring - JOB_STAGE_PROGRESS.analyzing) * completedSections / totalSections);
+      updateJobStage(job, 'analyzing', { progress, completedSections, totalSections });
+    }, {
+      outputLanguage, force, effectiveDate, playbook, scoringProfile, redaction,
+      onScoring: () => updateJobStage(job, 'scoring')
+    });
+
+    job.result = buildAnalysisResponse({
+      analysis,
+      documentText,
+      source: file ? 'file' : 'text',
+      originalFilename: file ? file.originalname : null,
+      ...userInfo
+    });
+
+    job.status = 'completed';
+    job.stage = 'done';
+    job.progress = 100;
+    // The result (with the full contract text) lives only on job.result - clients fetch it from resultUrl
+    publishJobEvent(job, {
+      type: 'done',
+      stage: 'done',
+      progress: 100,
+      riskScore: analysis.riskAssessment.riskScore,
+      resultUrl: `/api/jobs/${job.id}`
+    });
+    logger.info('Analysis job completed', { jobId: job.id });
+
+  } catch (error) {
+    logger.error('Analysis job failed', { jobId: job.id, error });
+    job.status = 'failed';
+    job.error = {
+      message: error.message,
+      status: error.code === 'ANALYSIS_INVALID' ? 'analysis_invalid' : 'failed',
+      validationErrors: error.validationErrors || undefined
+    };
+    publishJobEvent(job, { type: 'error', stage: job.stage, error: job.error });
+  } finally {
+    if (file && file.path && fs.existsSync(file.path)) {
+      try {
+        fs.unlinkSync(file.path);
+        logger.debug('Temporary file deleted', { file: path.basename(file.path) });
+      } catch (deleteError) {
+        logger.error('Error deleting temporary file', { error: deleteError });
+      }
+    }
+  }
+}
+
+// Flowchart layout and export. The model's own `position` values often overlap, so nodes are
+// re-positioned with a simple layered (Sugiyama-style) layout before being returned or exported.
+const FLOWCHART_NODE_WIDTH = 180;
+const FLOWCHART_NODE_HEIGHT = 60;
+const FLOWCHART_HORIZONTAL_GAP = 60;
+const FLOWCHART_VERTICAL_GAP = 80;
+
+function layoutFlowchart(flowchartData) {
+  const nodes = (flowchartData && flowchartData.nodes) || [];
+  const nodeIds = new Set(nodes.map(node => node.id));
+  const edges = ((flowchartData && flowchartData.edges) || []).filter(edge =>
+    nodeIds.has(edge.source) && nodeIds.has(edge.target) && edge.source !== edge.target
+  );
+
+  const outgoing = new Map(nodes.map(node => [node.id, []]));
+  edges.forEach(edge => outgoing.get(edge.source).push(edge.target));
+
+  // 1. Break cycles: edges that point back to a node on the current DFS path are ignored for layering
+  const backEdges = new Set();
+  const visitState = new Map();
+  const visit = nodeId => {
+    visitState.set(nodeId, 'active');
+    outgoing.get(nodeId).forEach(targetId => {
+      if (visitState.get(targetId) === 'active') {
+        backEdges.add(`${nodeId}->${targetId}`);
+      } else if (!visitState.has(targetId)) {
+        visit(targetId);
+      }
+    });
+    visitState.set(nodeId, 'done');
+  };
+  // Start from "start" nodes so the contract reads top to bottom
+  [...nodes].sort((a, b) => (a.type === 'start' ? -1 : 0) - (b.type === 'start' ? -1 : 0))
+    .forEach(node => {
+      if (!visitState.has(node.id)) visit(node.id);
+    });
+
+  const acyclicEdges = edges.filter(edge => !backEdges.has(`${edge.source}->${edge.target}`));
+
+  // 2. Layer assignment by longest path from the sources
+  const layerOf = new Map(nodes.map(node => [node.id, 0]));
+  const indegree = new Map(nodes.map(node => [node.id, 0]));
+  acyclicEdges.forEach(edge => indegree.set(edge.target, indegree.get(edge.target) + 1));
+  const queue = nodes.filter(node => indegree.get(node.id) === 0).map(node => node.id);
+  while (queue.length > 0) {
+    const nodeId = queue.shift();
+    acyclicEdges.filter(edge => edge.source === nodeId).forEach(edge => {
+      layerOf.set(edge.target, Math.max(layerOf.get(edge.target), layerOf.get(nodeId) + 1));
+      indegree.set(edge.target, indegree.get(edge.target) - 1);
+      if (indegree.get(edge.target) === 0) queue.push(edge.target);
+    });
+  }
+
+  // "end" nodes always sit on the last layer
+  const lastLayer = Math.max(0, ...layerOf.values());
+  nodes.forEach(node => {
+    if (node.type === 'end' && acyclicEdges.some(edge => edge.target === node.id)) {
+      layerOf.set(node.id, lastLayer);
+    }
+  });
+
+  const layers = [];
+  nodes.forEach(node => {
+    const layer = layerOf.get(node.id);
+    if (!layers[layer]) layers[layer] = [];
+    layers[layer].push(node.id);
+  });
+  const orderedLayers = layers.filter(Boolean);
+
+  // 3. Reduce crossings with a few barycenter sweeps (downwards, then upwards)
+  const positionIndex = () => {
+    const index = new Map();
+    orderedLayers.forEach(layer => layer.forEach((nodeId, order) => index.set(nodeId, order)));
+    return index;
+  };
+  const barycenter = (nodeId, neighbours, index) => {
+    if (neighbours.length === 0) return index.get(nodeId);
+    return neighbours.reduce((sum, neighbourId) => sum + index.get(neighbourId), 0) / neighbours.length;
+  };
+  for (let sweep = 0; sweep < 4; sweep++) {
+    const downwards = sweep % 2 === 0;
+    const layerIndexes = orderedLayers.map((_, i) => i);
+    (downwards ? layerIndexes.slice(1) : layerIndexes.slice(0, -1).reverse()).forEach(layerIndex => {
+      const index = positionIndex();
+      const weights = new Map(orderedLayers[layerIndex].map(nodeId => {
+        const neighbours = acyclicEdges
+          .filter(edge => downwards ? edge.target === nodeId : edge.source === nodeId)
+          .map(edge => downwards ? edge.source : edge.target);
+        return [nodeId, barycenter(nodeId, neighbours, index)];
+      }));
+      orderedLayers[layerIndex].sort((a, b) => weights.get(a) - weights.get(b));
+    });
+  }
+
+  // 4. Coordinates - each layer centered on the widest one
+  const widestLayer = Math.max(1, ...orderedLayers.map(layer => layer.length));
+  const totalWidth = widestLayer * FLOWCHART_NODE_WIDTH + (widestLayer - 1) * FLOWCHART_HORIZONTAL_GAP;
+  const positions = new Map();
+  orderedLayers.forEach((layer, layerIndex) => {
+    const layerWidth = layer.length * FLOWCHART_NODE_WIDTH + (layer.length - 1) * FLOWCHART_HORIZONTAL_GAP;
+    const offset = (totalWidth - layerWidth) / 2;
+    layer.forEach((nodeId, order) => {
+      positions.set(nodeId, {
+        x: Math.round(offset + order * (FLOWCHART_NODE_WIDTH + FLOWCHART_HORIZONTAL_GAP)),
+        y: layerIndex * (FLOWCHART_NODE_HEIGHT + FLOWCHART_VERTICAL_GAP)
+      });
+    });
+  });
+
+  return {
+    ...flowchartData,
+    nodes: nodes.map(node => ({ ...node, position: positions.get(node.id) })),
+    edges: (flowchartData && flowchartData.edges) || [],
+    layout: {
+      algorithm: 'layered',
+      width: totalWidth,
+      height: orderedLayers.length * FLOWCHART_NODE_HEIGHT + Math.max(0, orderedLayers.length - 1) * FLOWCHART_VERTICAL_GAP,
+      nodeWidth: FLOWCHART_NODE_WIDTH,
+      nodeHeight: FLOWCHART_NODE_HEIGHT
+    }
+  };
+}
+
+// Node ids from the model can contain anything; exporters need safe identifiers
+function buildSafeNodeIds(nodes) {
+  const safeIds = new Map();
+  nodes.forEach((node, index) => {
+    const base = String(node.id).replace(/[^A-Za-z0-9_]/g, '_') || 'node';
+    let safeId = /^[A-Za-z_]/.test(base) ? base : `n_${base}`;
+    if ([...safeIds.values()].includes(safeId)) safeId = `${safeId}_${index}`;
+    safeIds.set(node.id, safeId);
+  });
+  return safeIds;
+}
+
+function flowchartToMermaid(flowchartData) {
+  const nodes = flowchartData.nodes || [];
+  const safeIds = buildSafeNodeIds(nodes);
+  const escapeLabel = text => String(text || '').replace(/"/g, '#quot;').replace(/\n/g, ' ');
+  const shapes = {
+    start: ['([', '])'],
+    end: ['([', '])'],
+    decision: ['{', '}'],
+    party: ['[[', ']]'],
+    process: ['[', ']']
+  };
+
+  const lines = ['flowchart TD'];
+  if (flowchartData.title) {
+    lines.unshift('---', `title: ${escapeLabel(flowchartData.title)}`, '---');
+  }
+  nodes.forEach(node => {
+    const [open, close] = shapes[node.type] || shapes.process;
+    lines.push(`    ${safeIds.get(node.id)}${open}"${escapeLabel(node.label)}"${close}`);
+  });
+  (flowchartData.edges || []).forEach(edge => {
+    if (!safeIds.has(edge.source) || !safeIds.has(edge.target)) return;
+    const arrow = edge.type === 'conditional' ? '-.->' : '-->';
+    const label = edge.label ? `|"${escapeLabel(edge.label)}"|` : '';
+    lines.push(`    ${safeIds.get(edge.source)} ${arrow}${label} ${safeIds.get(edge.target)}`);
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+function flowchartToDot(flowchartData) {
+  const nodes = flowchartData.nodes || [];
+  const safeIds = buildSafeNodeIds(nodes);
+  const quote = text => `"${String(text || '').replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+  const shapes = {
+    start: 'shape=ellipse, style=filled, fillcolor="#C8E6C9"',
+    end: 'shape=ellipse, style=filled, fillcolor="#FFCDD2"',
+    decision: 'shape=diamond, style=filled, fillcolor="#FFF9C4"',
+    party: 'shape=box, style="filled,bold", fillcolor="#BBDEFB"',
+    process: 'shape=box, style="rounded,filled", fillcolor="#F5F5F5"'
+  };
+
+  const lines = [
+    'digraph ContractFlow {',
+    '    rankdir=TB;',
+    '    node [fontname="Helvetica", fontsize=11];',
+    '    edge [fontname="Helvetica", fontsize=9];'
+  ];
+  if (flowchartData.title) {
+    lines.push(`    label=${quote(flowchartData.title)};`, '    labelloc=t;');
+  }
+  nodes.forEach(node => {
+    lines.push(`    ${safeIds.get(node.id)} [label=${quote(node.label)}, ${shapes[node.type] || shapes.process}];`);
+  });
+  (flowchartData.edges || []).forEach(edge => {
+    if (!safeIds.has(edge.source) || !safeIds.has(edge.target)) return;
+    const attributes = [];
+    if (edge.label) attributes.push(`label=${quote(edge.label)}`);
+    if (edge.type === 'conditional') attributes.push('style=dashed');
+    lines.push(`    ${safeIds.get(edge.source)} -> ${safeIds.get(edge.target)}${attributes.length ? ` [${attributes.join(', ')}]` : ''};`);
+  });
+  lines.push('}');
+
+  return lines.join('\n') + '\n';
+}
+
+function escapeXml(text) {
+  return String(text || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Greedy word wrap for SVG labels (SVG text has no automatic wrapping)
+function wrapLabel(text, maxChars = 24, maxLines = 3) {
+  const words = String(text || '').split(/\s+/).filter(Boolean);
+  const lines = [];
+  let current = '';
+  words.forEach(word => {
+    if (current && (current + ' ' + word).length > maxChars) {
+      lines.push(current);
+      current = word;
+    } else {
+      current = current ? `${current} ${word}` : word;
+    }
+  });
+  if (current) lines.push(current);
+  if (lines.length > maxLines) {
+    lines.length = maxLines;
+    lines[maxLines - 1] = lines[maxLines - 1].slice(0, maxChars - 1) + '…';
+  }
+  return lines;
+}
+
+// Standalone SVG rendering of a laid-out flowchart (run layoutFlowchart first)
+function flowchartToSvg(flowchartData) {
+  const layout = flowchartData.layout || layoutFlowchart(flowchartData).layout;
+  const width = FLOWCHART_NODE_WIDTH;
+  const height = FLOWCHART_NODE_HEIGHT;
+  const padding = 40;
+  const titleHeight = flowchartData.title ? 40 : 0;
+  const svgWidth = layout.width + padding * 2;
+  const svgHeight = layout.height + padding * 2 + titleHeight;
+  const fills = { start: '#C8E6C9', end: '#FFCDD2', decision: '#FFF9C4', party: '#BBDEFB', process: '#F5F5F5' };
+
+  const nodeById = new Map((flowchartData.nodes || []).map(node => [node.id, node]));
+  const origin = node => ({ x: node.position.x + padding, y: node.position.y + padding + titleHeight });
+
+  const parts = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${svgWidth}" height="${svgHeight}" viewBox="0 0 ${svgWidth} ${svgHeight}" font-family="Helvetica, Arial, sans-serif">`,
+    '  <defs><marker id="arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="8" markerHeight="8" orient="auto-start-reverse"><path d="M 0 0 L 10 5 L 0 10 z" fill="#555555"/></marker></defs>',
+    `  <rect width="${svgWidth}" height="${svgHeight}" fill="#FFFFFF"/>`
+  ];
+  if (flowchartData.title) {
+    parts.push(`  <text x="${svgWidth / 2}" y="${padding}" text-anchor="middle" font-size="16" font-weight="bold">${escapeXml(flowchartData.title)}</text>`);
+  }
+
+  (flowchartData.edges || []).forEach(edge => {
+    const source = nodeById.get(edge.source);
+    const target = nodeById.get(edge.target);
+    if (!source || !target || !source.position || !target.position) return;
+    const from = origin(source);
+    const to = origin(target);
+    const goesDown = to.y > from.y;
+    const x1 = from.x + width / 2;
+    const y1 = goesDown ? from.y + height : from.y;
+    const x2 = to.x + width / 2;
+    const y2 = goesDown ? to.y : to.y + height;
+    const dash = edge.type === 'conditional' ? ' stroke-dasharray="6,4"' : '';
+    parts.push(`  <line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" stroke="#555555" stroke-width="1.5"${dash} marker-end="url(#arrow)"/>`);
+    if (edge.label) {
+      parts.push(`  <text x="${(x1 + x2) / 2 + 4}" y="${(y1 + y2) / 2}" font-size="10" fill="#333333">${escapeXml(edge.label)}</text>`);
+    }
+  });
+
+  (flowchartData.nodes || []).forEach(node => {
+    if (!node.position) return;
+    const { x, y } = origin(node);
+    const fill = fills[node.type] || fills.process;
+    if (node.type === 'decision') {
+      parts.push(`  <polygon points="${x + width / 2},${y} ${x + width},${y + height / 2} ${x + width / 2},${y + height} ${x},${y + height / 2}" fill="${fill}" stroke="#555555"/>`);
+    } else if (node.type === 'start' || node.type === 'end') {
+      parts.push(`  <rect x="${x}" y="${y}" width="${width}" height="${height}" rx="${height / 2}" fill="${fill}" stroke="#555555"/>`);
+    } else {
+      const strokeWidth = node.type === 'party' ? 2.5 : 1;
+      parts.push(`  <rect x="${x}" y="${y}" width="${width}" height="${height}" rx="6" fill="${fill}" stroke="#555555" stroke-width="${strokeWidth}"/>`);
+    }
+
+    const lines = wrapLabel(node.label, node.type === 'decision' ? 18 : 24);
+    const lineHeight = 14;
+    const firstLineY = y + height / 2 - ((lines.length - 1) * lineHeight) / 2 + 4;
+    const tspans = lines.map((line, index) =>
+      `<tspan x="${x + width / 2}" y="${firstLineY + index * lineHeight}">${escapeXml(line)}</tspan>`
+    ).join('');
+    parts.push(`  <text text-anchor="middle" font-size="12">${node.description ? `<title>${escapeXml(node.description)}</title>` : ''}${tspans}</text>`);
+  });
+
+  parts.push('</svg>');
+  return parts.join('\n') + '\n';
+}
+
+// Report export - the analysis is first turned into a format-neutral list of sections/blocks,
+// which renderAnalysisReportPdf and renderAnalysisReportDocx then lay out.
+const REPORT_BRAND_NAME = process.env.REPORT_BRAND_NAME || 'Legal AI';
+const REPORT_BRAND_COLOR = process.env.REPORT_BRAND_COLOR || '1A237E';
+
+const RISK_COLORS = {
+  green: '2E7D32',
+  yellow: 'F9A825',
+  red: 'C62828'
+};
+
+// Block types: paragraph { text }, bullets { items }, keyValue { pairs }, item { title, lines, color }, subheading { text, color }
+function buildAnalysisReport(analysis, title = null) {
+  const summary = analysis.summary || {};
+  const riskAssessment = analysis.riskAssessment || {};
+  const sections = [];
+  const present = value => value !== undefined && value !== null && value !== '';
+
+  sections.push({
+    heading: 'Summary',
+    blocks: [
+      { type: 'keyValue', pairs: [
+        ['Document type', summary.documentType],
+        ['Main purpose', summary.mainPurpose],
+        ['Word count', summary.wordCount],
+        ['Reading time', summary.estimatedReadingTime]
+      ].filter(([, value]) => present(value)) },
+      present(summary.contractSummary) && { type: 'paragraph', text: summary.contractSummary },
+      (summary.keyHighlights || []).length > 0 && { type: 'subheading', text: 'Key highlights' },
+      (summary.keyHighlights || []).length > 0 && { type: 'bullets', items: summary.keyHighlights },
+      (summary.whatIsIncluded || []).length > 0 && { type: 'subheading', text: 'What is included' },
+      (summary.whatIsIncluded || []).length > 0 && { type: 'bullets', items: summary.whatIsIncluded }
+    ].filter(Boolean)
+  });
+
+  const riskBlocks = [
+    { type: 'keyValue', pairs: [
+      ['Overall risk', riskAssessment.overallRisk],
+      ['Risk score', present(riskAssessment.riskScore) ? `${riskAssessment.riskScore} / 100 (higher is safer)` : null],
+      ['Green / Yellow / Red', `${riskAssessment.greenPoints || 0} / ${riskAssessment.yellowPoints || 0} / ${riskAssessment.redPoints || 0}`]
+    ].filter(([, value]) => present(value)) }
+  ];
+  [['red', 'High risk (red)'], ['yellow', 'Medium risk (yellow)'], ['green', 'Low risk (green)']].forEach(([level, label]) => {
+    const risks = riskAssessment[`${level}Risks`] || [];
+    if (risks.length === 0) return;
+    riskBlocks.push({ type: 'subheading', text: label, color: RISK_COLORS[level] });
+    risks.forEach(risk => {
+      riskBlocks.push({
+        type: 'item',
+        title: risk.type || 'Risk',
+        color: RISK_COLORS[level],
+        lines: [
+          ['Issue', risk.description],
+          ['Where', risk.location],
+          ['What to do', risk.recommendation]
+        ].filter(([, value]) => present(value))
+      });
+    });
+  });
+  sections.push({ heading: 'Risk Assessment', blocks: riskBlocks });
+
+  if ((analysis.legalReferences || []).length > 0) {
+    sections.push({
+      heading: 'Legal References',
+      blocks: analysis.legalReferences.map(ref => ({
+        type: 'item',
+        title: ref.reference,
+        lines: [
+          ['Relevance', ref.relevance],
+          ['In the contract', ref.context],
+          ['What it means', ref.shortExplanation]
+        ].filter(([, value]) => present(value))
+      }))
+    });
+  }
+
+  if ((analysis.vagueTerms || []).length > 0) {
+    sections.push({
+      heading: 'Vague Terms',
+      blocks: analysis.vagueTerms.map(term => ({
+        type: 'item',
+        title: `"${term.term}"`,
+        lines: [
+          ['Context', term.context],
+          ['Problem', term.issue],
+          ['Suggestion', term.suggestion]
+        ].filter(([, value]) => present(value))
+      }))
+    });
+  }
+
+  if ((analysis.keyTerms || []).length > 0) {
+    sections.push({
+      heading: 'Key Terms',
+      blocks: analysis.keyTerms.map(term => ({
+        type: 'item',
+        title: term.category ? `${term.category}: ${term.term}` : term.term,
+        lines: [
+          ['Importance', term.importance],
+          ['Meaning', term.explanation]
+        ].filter(([, value]) => present(value))
+      }))
+    });
+  }
+
+  const recommendationBlocks = [];
+  if ((analysis.redFlags || []).length > 0) {
+    recommendationBlocks.push({ type: 'subheading', text: 'Red flags', color: RISK_COLORS.red });
+    recommendationBlocks.push({ type: 'bullets', items: analysis.redFlags });
+  }
+  if ((analysis.recommendations || []).length > 0) {
+    recommendationBlocks.push({ type: 'subheading', text: 'Recommendations' });
+    recommendationBlocks.push({ type: 'bullets', items: analysis.recommendations });
+  }
+  if (recommendationBlocks.length > 0) {
+    sections.push({ heading: 'Recommendations', blocks: recommendationBlocks });
+  }
+
+  if ((analysis.suggestedQuestions || []).length > 0) {
+    sections.push({
+      heading: 'Questions & Answers',
+      blocks: analysis.suggestedQuestions.map(qa => ({
+        type: 'item',
+        title: qa.question,
+        lines: [
+          ['Answer', qa.answer],
+          ['Category', qa.category]
+        ].filter(([, value]) => present(value))
+      }))
+    });
+  }
+
+  return {
+    brand: REPORT_BRAND_NAME,
+    title: title || `${summary.documentType || 'Contract'} Analysis Report`,
+    generatedAt: new Date().toISOString(),
+    analysisId: analysis.metadata ? analysis.metadata.analysisId : null,
+    sections: sections
+  };
+}
+
+function renderAnalysisReportPdf(report) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50, bufferPages: true, info: { Title: report.title, Author: report.brand } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const brandColor = `#${REPORT_BRAND_COLOR}`;
+    const contentWidth = doc.page.width - 100;
+
+    // Branded header band
+    doc.rect(0, 0, doc.page.width, 70).fill(brandColor);
+    doc.fillColor('#FFFFFF').font('Helvetica-Bold').fontSize(20).text(report.brand, 50, 25);
+    doc.fillColor('#000000').moveDown(2.5);
+    doc.font('Helvetica-Bold').fontSize(18).text(report.title, 50, 95, { width: contentWidth });
+    doc.font('Helvetica').fontSize(9).fillColor('#666666')
+      .text(`Generated ${new Date(report.generatedAt).toUTCString()}`)
+      .fillColor('#000000')
+      .moveDown();
+
+    report.sections.forEach(section => {
+      doc.moveDown(0.5);
+      doc.font('Helvetica-Bold').fontSize(14).fillColor(brandColor).text(section.heading, 50, doc.y, { width: contentWidth });
+      doc.moveTo(50, doc.y + 2).lineTo(50 + contentWidth, doc.y + 2).strokeColor(brandColor).stroke();
+      doc.fillColor('#000000').moveDown(0.5);
+
+      section.blocks.forEach(block => {
+        switch (block.type) {
+          case 'paragraph':
+            doc.font('Helvetica').fontSize(10).text(block.text, 50, doc.y, { width: contentWidth, align: 'justify' }).moveDown(0.5);
+            break;
+          case 'subheading':
+            doc.font('Helvetica-Bold').fontSize(11).fillColor(block.color ? `#${block.color}` : '#000000')
+              .text(block.text, 50, doc.y, { width: contentWidth })
+              .fillColor('#000000').moveDown(0.3);
+            break;
+          case 'bullets':
+            doc.font('Helvetica').fontSize(10).list(block.items.map(String), 60, doc.y, { width: contentWidth - 10, bulletRadius: 2 }).moveDown(0.5);
+            break;
+          case 'keyValue':
+            block.pairs.forEach(([label, value]) => {
+              doc.font('Helvetica-Bold').fontSize(10).text(`${label}: `, 50, doc.y, { continued: true, width: contentWidth })
+                .font('Helvetica').text(String(value));
+            });
+            doc.moveDown(0.5);
+            break;
+          case 'item': {
+            const top = doc.y;
+            doc.font('Helvetica-Bold').fontSize(10).text(block.title || '', 60, top, { width: contentWidth - 10 });
+            block.lines.forEach(([label, value]) => {
+              doc.font('Helvetica-Bold').fontSize(9).text(`${label}: `, 60, doc.y, { continued: true, width: contentWidth - 10 })
+                .font('Helvetica').text(String(value));
+            });
+            // Colored bar beside risk items
+            if (block.color && doc.y > top) {
+              doc.rect(50, top, 3, doc.y - top).fill(`#${block.color}`).fillColor('#000000');
+            }
+            doc.moveDown(0.5);
+            break;
+          }
+          default:
+            break;
+        }
+      });
+    });
+
+    // Footer with page numbers
+    const range = doc.bufferedPageRange();
+    for (let i = range.start; i < range.start + range.count; i++) {
+      doc.switchToPage(i);
+      // Writing inside the bottom margin would otherwise trigger a new page
+      doc.page.margins.bottom = 0;
+      doc.font('Helvetica').fontSize(8).fillColor('#999999').text(
+        `${report.brand} - This report is informational and is not legal advice. Page ${i + 1} of ${range.count}`,
+        50,
+        doc.page.height - 40,
+        { width: contentWidth, align: 'center', lineBreak: false }
+      );
+    }
+
+    doc.end();
+  });
+}
+
+function renderAnalysisReportDocx(report) {
+  const children = [
+    new Paragraph({ heading: HeadingLevel.TITLE, children: [new TextRun({ text: report.title, color: REPORT_BRAND_COLOR })] }),
+    new Paragraph({ children: [new TextRun({ text: `Generated ${new Date(report.generatedAt).toUTCString()}`, italics: true, size: 18, color: '666666' })] })
+  ];
+
+  report.sections.forEach(section => {
+    children.push(new Paragraph({ heading: HeadingLevel.HEADING_1, children: [new TextRun({ text: section.heading, color: REPORT_BRAND_COLOR })] }));
+
+    section.blocks.forEach(block => {
+      switch (block.type) {
+        case 'paragraph':
+          children.push(new Paragraph({ text: block.text, alignment: AlignmentType.JUSTIFIED }));
+          break;
+        case 'subheading':
+          children.push(new Paragraph({ heading: HeadingLevel.HEADING_3, children: [new TextRun({ text: block.text, color: block.color || undefined })] }));
+          break;
+        case 'bullets':
+          block.items.forEach(item => children.push(new Paragraph({ text: String(item), bullet: { level: 0 } })));
+          break;
+        case 'keyValue':
+          block.pairs.forEach(([label, value]) => children.push(new Paragraph({
+            children: [new TextRun({ text: `${label}: `, bold: true }), new TextRun(String(value))]
+          })));
+          break;
+        case 'item':
+          children.push(new Paragraph({
+            spacing: { before: 120 },
+            border: block.color ? { left: { style: BorderStyle.SINGLE, size: 18, color: block.color, space: 6 } } : undefined,
+            children: [new TextRun({ text: block.title || '', bold: true })]
+          }));
+          block.lines.forEach(([label, value]) => children.push(new Paragraph({
+            indent: { left: 240 },
+            children: [new TextRun({ text: `${label}: `, bold: true }), new TextRun(String(value))]
+          })));
+          break;
+        default:
+          break;
+      }
+    });
+  });
+
+  const doc = new Document({
+    creator: report.brand,
+    title: report.title,
+    sections: [{
+      headers: {
+        default: new Header({ children: [new Paragraph({ children: [new TextRun({ text: report.brand, bold: true, color: REPORT_BRAND_COLOR })] })] })
+      },
+      footers: {
+        default: new Footer({ children: [new Paragraph({
+          alignment: AlignmentType.CENTER,
+          children: [new TextRun({ text: 'This report is informational and is not legal advice.', size: 16, color: '999999' })]
+        })] })
+      },
+      children: children
+    }]
+  });
+
+  return Packer.toBuffer(doc);
+}
+
+// Key dates and obligations - relative deadlines ("30 days after the effective date") are resolved
+// to calendar dates and exported as iCalendar (.ics) events with reminders.
+const EFFECTIVE_DATE_ANCHOR_PATTERN = /effective|commencement|commence|start|signing|signature|execution|executed/i;
+const EXPIRATION_DATE_ANCHOR_PATTERN = /expir|end of the (?:initial )?term|end date|term end/i;
+const CALENDAR_REMINDER_DAYS = readIntEnv('CALENDAR_REMINDER_DAYS', 7);
+
+// Strict YYYY-MM-DD, rejecting dates that don't exist (2025-02-30)
+function parseIsoDate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value || '').trim());
+  if (!match) return null;
+  const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  return date.getUTCMonth() === Number(match[2]) - 1 && date.getUTCDate() === Number(match[3]) ? date : null;
+}
+
+function formatIsoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// Month arithmetic clamps to the end of shorter months (Jan 31 + 1 month = Feb 28/29)
+function addMonthsClamped(date, months) {
+  const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(date.getUTCDate(), lastDay));
+  return target;
+}
+
+// Business days skip Saturdays and Sundays; public holidays vary by jurisdiction and aren't modelled.
+// Every whole week holds exactly five business days, so only the remainder is stepped through.
+function addBusinessDays(date, amount, sign) {
+  const result = new Date(date.getTime());
+  const weeks = Math.floor(amount / 5);
+  let remaining = amount % 5;
+  result.setUTCDate(result.getUTCDate() + sign * weeks * 7);
+  if (weeks > 0 && remaining === 0) {
+    // From a weekend start the jump lands on a weekend; the last business day counted is just before it
+    while (result.getUTCDay() === 0 || result.getUTCDay() === 6) {
+      result.setUTCDate(result.getUTCDate() - sign);
+    }
+  }
+  while (remaining > 0) {
+    result.setUTCDate(result.getUTCDate() + sign);
+    const day = result.getUTCDay();
+    if (day !== 0 && day !== 6) remaining--;
+  }
+  return result;
+}
+
+function applyDateOffset(date, { amount, unit, direction }) {
+  const sign = direction === 'before' ? -1 : 1;
+  const whole = Math.round(amount);
+  switch (unit) {
+    case 'business days':
+      return addBusinessDays(date, whole, sign);
+    case 'weeks':
+      return new Date(date.getTime() + sign * whole * 7 * 24 * 60 * 60 * 1000);
+    case 'months':
+      return addMonthsClamped(date, sign * whole);
+    case 'years':
+      return addMonthsClamped(date, sign * whole * 12);
+    default:
+      return new Date(date.getTime() + sign * whole * 24 * 60 * 60 * 1000);
+  }
+}
+
+// Resolve every obligation to a calendar date where the contract allows it. The effective date comes
+// from the request when given (contracts often leave it blank until signing), otherwise from the analysis.
+// Each obligation gets an id and resolved: { date, basis, reason }; date is null when it can't be resolved.
+function resolveObligationDates(analysis, effectiveDateOverride = null) {
+  const keyDates = analysis.keyDates && typeof analysis.keyDates === 'object' ? analysis.keyDates : {};
+  const overrideDate = parseIsoDate(effectiveDateOverride);
+  const effectiveDate = overrideDate || parseIsoDate(keyDates.effectiveDate);
+  const expirationDate = parseIsoDate(keyDates.expirationDate);
+
+  const resolveAnchor = anchor => {
+    if (EXPIRATION_DATE_ANCHOR_PATTERN.test(anchor || '')) {
+      return expirationDate
+        ? { date: expirationDate, basis: 'expiration date' }
+        : { date: null, reason: 'The contract does not state an expiration date' };
+    }
+    if (EFFECTIVE_DATE_ANCHOR_PATTERN.test(anchor || '')) {
+      return effectiveDate
+        ? { date: effectiveDate, basis: 'effective date' }
+        : { date: null, reason: 'No effective date - pass effectiveDate to resolve this deadline' };
+    }
+    return { date: null, reason: `Depends on an event without a fixed date (${anchor || 'unspecified'})` };
+  };
+
+  const obligations = Array.isArray(analysis.obligations) ? analysis.obligations : [];
+  obligations.forEach((obligation, index) => {
+    obligation.id = `obligation-${index + 1}`;
+    const timing = obligation.timing || { type: 'none' };
+    const statedDate = parseIsoDate(timing.date);
+
+    let resolved;
+    if (timing.type === 'none') {
+      resolved = { date: null, reason: 'No deadline stated' };
+    } else if (statedDate) {
+      resolved = { date: statedDate, basis: 'stated date' };
+    } else if (timing.offset) {
+      const anchor = resolveAnchor(timing.offset.anchor);
+      resolved = anchor.date
+        ? {
+          date: applyDateOffset(anchor.date, timing.offset),
+          basis: `${timing.offset.amount} ${timing.offset.unit} ${timing.offset.direction || 'after'} ${anchor.basis}`
+        }
+        : anchor;
+    } else if (timing.type === 'recurring' && effectiveDate) {
+      resolved = { date: effectiveDate, basis: 'starts on the effective date' };
+    } else {
+      resolved = { date: null, reason: timing.type === 'absolute' ? 'The stated date is not a valid calendar date' : 'No date or period stated' };
+    }
+
+    obligation.resolved = {
+      date: resolved.date ? formatIsoDate(resolved.date) : null,
+      basis: resolved.basis || null,
+      reason: resolved.date ? null : resolved.reason
+    };
+  });
+
+  const resolvedCount = obligations.filter(obligation => obligation.resolved.date).length;
+  analysis.metadata = {
+    ...analysis.metadata,
+    obligations: {
+      effectiveDate: effectiveDate ? formatIsoDate(effectiveDate) : null,
+      effectiveDateSource: overrideDate ? 'request' : effectiveDate ? 'contract' : null,
+      total: obligations.length,
+      resolved: resolvedCount,
+      unresolved: obligations.length - resolvedCount
+    }
+  };
+  return analysis;
+}
+
+function escapeIcsText(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// RFC 5545 lines are at most 75 octets; continuation lines start with a single space
+function foldIcsLine(line) {
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + charBytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function formatIcsDate(isoDate) {
+  return isoDate.replace(/-/g, '');
+}
+
+const ICS_FREQUENCIES = {
+  daily: { freq: 'DAILY', multiplier: 1 },
+  weekly: { freq: 'WEEKLY', multiplier: 1 },
+  monthly: { freq: 'MONTHLY', multiplier: 1 },
+  quarterly: { freq: 'MONTHLY', multiplier: 3 },
+  yearly: { freq: 'YEARLY', multiplier: 1 }
+};
+
+// One all-day VEVENT per obligation with a resolved date. Recurring obligations repeat until their
+// stated end, or the contract's expiration date when there is one.
+function buildObligationsCalendar(analysis, { calendarId, title, reminderDays = CALENDAR_REMINDER_DAYS } = {}) {
+  const expirationDate = analysis.keyDates && parseIsoDate(analysis.keyDates.expirationDate);
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const uidDomain = REPORT_BRAND_NAME.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'calendar';
+  const calendarName = title || (analysis.summary && analysis.summary.documentType) || 'Contract obligations';
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:-//${escapeIcsText(REPORT_BRAND_NAME)}//Contract Obligations//EN`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeIcsText(calendarName)}`
+  ];
+
+  const events = (analysis.obligations || []).filter(obligation => obligation.resolved && obligation.resolved.date);
+  events.forEach(obligation => {
+    const start = parseIsoDate(obligation.resolved.date);
+    const end = new Date(start.getTime() + 24 * 60 * 60 * 1000);
+    const description = [
+      obligation.description,
+      `Owed by: ${obligation.obligor}`,
+      obligation.obligee ? `Owed to: ${obligation.obligee}` : null,
+      obligation.resolved.basis ? `Due: ${obligation.resolved.basis}` : null,
+      obligation.quote ? `Contract text: "${obligation.quote}"` : null
+    ].filter(Boolean).join('\n');
+
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${calendarId}-${obligation.id}@${uidDomain}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${formatIcsDate(formatIsoDate(start))}`,
+      `DTEND;VALUE=DATE:${formatIcsDate(formatIsoDate(end))}`,
+      `SUMMARY:${escapeIcsText(`${obligation.obligor}: ${obligation.description}`)}`,
+      `DESCRIPTION:${escapeIcsText(description)}`,
+      `CATEGORIES:${escapeIcsText(obligation.category || 'other')}`
+    );
+
+    const timing = obligation.timing || {};
+    const frequency = timing.type === 'recurring' && ICS_FREQUENCIES[timing.frequency];
+    if (frequency) {
+      const until = parseIsoDate(timing.until) || expirationDate;
+      const rule = [`FREQ=${frequency.freq}`, `INTERVAL=${(timing.interval || 1) * frequency.multiplier}`];
+      if (until && until >= start) rule.push(`UNTIL=${formatIcsDate(formatIsoDate(until))}`);
+      lines.push(`RRULE:${rule.join(';')}`);
+    }
+
+    if (reminderDays > 0) {
+      lines.push(
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        `DESCRIPTION:${escapeIcsText(`Due in ${reminderDays} day${reminderDays === 1 ? '' : 's'}: ${obligation.description}`)}`,
+        `TRIGGER:-P${reminderDays}D`,
+        'END:VALARM'
+      );
+    }
+    lines.push('END:VEVENT');
+  });
+
+  lines.push('END:VCALENDAR');
+  return {
+    calendar: lines.map(foldIcsLine).join('\r\n') + '\r\n',
+    eventCount: events.length
+  };
+}
+
+// Load a saved analysis for the user by serial (data blob saved through /api/save-user-data)
+async function loadSavedAnalysis(email, serial) {
+  const { data: savedRecord, error } = await supabase
+    .from('user_data')
+    .select('*')
+    .eq('email', email)
+    .eq('serial', parseInt(serial, 10))
+    .single();
+
+  if (error || !savedRecord) return null;
+
+  const savedData = savedRecord.data || {};
+  return {
+    analysis: savedData.analysis || (savedData.riskAssessment ? savedData : null),
+    originalText: savedData.originalText || null
+  };
+}
+
+// Saved analyses - first-class records with server-assigned ids and version history.
+// Table analyses: id (uuid), user_id, email, title, document_type, overall_risk, risk_score, parties (jsonb),
+//   analysis (jsonb), original_text, version, created_at, updated_at
+// Table analysis_versions: analysis_id, version, title, parties, analysis, original_text, created_at
+const SAVED_ANALYSIS_SORT_COLUMNS = {
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  title: 'title',
+  riskScore: 'risk_score',
+  documentType: 'document_type'
+};
+const SAVED_ANALYSIS_SUMMARY_COLUMNS = 'id, title, document_type, overall_risk, risk_score, parties, version, created_at, updated_at';
+const SAVED_ANALYSIS_MAX_PAGE_SIZE = 100;
+
+function serializeSavedAnalysis(row, includeContent = true) {
+  const record = {
+    id: row.id,
+    title: row.title,
+    documentType: row.document_type,
+    overallRisk: row.overall_risk,
+    riskScore: row.risk_score,
+    parties: row.parties || {},
+    version: row.version,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+  if (includeContent) {
+    record.analysis = row.analysis;
+    record.originalText = row.original_text || null;
+  }
+  return record;
+}
+
+// Columns derived from the analysis so lists can be sorted and filtered without loading it
+function buildSavedAnalysisColumns(analysis, { title, parties }) {
+  const summary = analysis.summary || {};
+  const riskAssessment = analysis.riskAssessment || {};
+  return {
+    title: title || `${summary.documentType || 'Contract'} - ${new Date().toISOString().slice(0, 10)}`,
+    document_type: summary.documentType || null,
+    overall_risk: riskAssessment.overallRisk || null,
+    risk_score: typeof riskAssessment.riskScore === 'number' ? riskAssessment.riskScore : null,
+    parties: parties || (analysis.metadata && analysis.metadata.parties) || {}
+  };
+}
+
+async function loadSavedAnalysisRecord(userId, id) {
+  const { data, error } = await supabase
+    .from('analyses')
+    .select('*')
+    .eq('id', id)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+async function insertSavedAnalysisVersion(row) {
+  const { error } = await supabase
+    .from('analysis_versions')
+    .insert([{
+      analysis_id: row.id,
+      version: row.version,
+      title: row.title,
+      parties: row.parties,
+      analysis: row.analysis,
+      original_text: row.original_text,
+      created_at: row.updated_at
+    }]);
+
+  if (error) throw error;
+}
+
+// Saved analyses can be referenced by the new analysisId or the legacy user_data serial
+async function loadStoredAnalysis(user, { serial, analysisId }) {
+  if (analysisId) {
+    const row = await loadSavedAnalysisRecord(user.id, analysisId);
+    return row ? { analysis: row.analysis, originalText: row.original_text || null } : null;
+  }
+  return loadSavedAnalysis(user.email, serial);
+}
+
+// Playbooks - standing rules ("liability must be capped", "governing law must be India") checked
+// against every contract they're attached to. Each rule gets pass/fail/not_found with the contract
+// text that supports it, and the results are added to the risk assessment next to the model's own findings.
+// Table playbooks: id (uuid), user_id, name, description, rules (jsonb), created_at, updated_at
+const PLAYBOOK_MAX_RULES = readIntEnv('PLAYBOOK_MAX_RULES', 50);
+const PLAYBOOK_RULE_STATUSES = ['pass', 'fail', 'not_found'];
+
+const PLAYBOOK_RULE_SCHEMA = {
+  type: 'object',
+  required: ['title'],
+  properties: {
+    id: { type: 'string' },
+    title: { type: 'string' },
+    // Optional detail for the model, e.g. what counts as a cap or which courts are acceptable
+    description: { type: 'string' },
+    category: { type: 'string' },
+    severity: { type: 'string', enum: ['Low', 'Medium', 'High'] },
+    recommendation: { type: 'string' },
+    // When true a contract that doesn't address the rule at all counts as failing it
+    required: { type: 'boolean' }
+  }
+};
+
+const PLAYBOOK_SCHEMA = {
+  type: 'object',
+  required: ['name', 'rules'],
+  properties: {
+    name: { type: 'string' },
+    description: { type: 'string' },
+    rules: { type: 'array', items: PLAYBOOK_RULE_SCHEMA }
+  }
+};
+
+// Validate a playbook body and fill in rule ids and default severity. Returns { playbook, errors }.
+function normalizePlaybook(body) {
+  const errors = validateAgainstSchema(body, PLAYBOOK_SCHEMA, 'playbook');
+  if (errors.length > 0) return { playbook: null, errors };
+
+  if (!body.name.trim()) errors.push('playbook.name must not be empty');
+  if (body.rules.length === 0) errors.push('playbook.rules must contain at least one rule');
+  if (body.rules.length > PLAYBOOK_MAX_RULES) errors.push(`playbook.rules can have at most ${PLAYBOOK_MAX_RULES} rules`);
+
+  const seenIds = new Set();
+  const rules = body.rules.map((rule, index) => {
+    const id = rule.id ? rule.id.trim() : `rule-${index + 1}`;
+    if (seenIds.has(id)) errors.push(`playbook.rules[${index}].id "${id}" is not unique`);
+    seenIds.add(id);
+    if (!rule.title.trim()) errors.push(`playbook.rules[${index}].title must not be empty`);
+    return {
+      id,
+      title: rule.title.trim(),
+      description: rule.description || null,
+      category: rule.category || 'Playbook',
+      severity: rule.severity || 'Medium',
+      recommendation: rule.recommendation || null,
+      required: !!rule.required
+    };
+  });
+
+  return {
+    playbook: { name: body.name.trim(), description: body.description || null, rules },
+    errors
+  };
+}
+
+function serializePlaybook(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    description: row.description || null,
+    rules: row.rules || [],
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+async function loadPlaybook(userId, id) {
+  const { data, error } = await supabase
+    .from('playbooks')
+    .select('*')
+    .eq('id', id)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// Long contracts are too big to send with every rule, so only the passages each rule's words retrieve are sent
+function selectPlaybookContext(text, rules) {
+  if (text.length <= SINGLE_PASS_MAX_CHARS) return { text, passages: null };
+
+  const index = getPassageIndex(text);
+  const selected = new Map();
+  rules.forEach(rule => {
+    retrievePassages(index, `${rule.title} ${rule.description || ''} ${rule.category || ''}`).forEach(passage => {
+      selected.set(passage.id, passage);
+    });
+  });
+  const passages = [...selected.values()].sort((a, b) => a.start - b.start);
+  return { text: passages.map(passage => passage.text).join('\n\n'), passages };
+}
+
+async function evaluatePlaybookWithGemini(rules, text, language = null, redactor = null) {
+  const context = selectPlaybookContext(text, rules);
+  const rulesForPrompt = rules.map(({ id, title, description, category }) => ({ id, title, description, category }));
+
+  const prompt = `
+    You are an expert contract lawyer checking a contract against a company's standing rules (its playbook).
+
+    Playbook rules:
+    ${JSON.stringify(rulesForPrompt, null, 2)}
+
+    ${context.passages ? 'Relevant contract passages (the contract is long, so only passages related to the rules are included):' : 'Contract text:'}
+    ${context.passages
+      ? context.passages.map(passage => `[${passage.id}${passage.heading ? ` - ${passage.heading}` : ''}]\n${passage.text}`).join('\n\n')
+      : context.text}
+
+    For EVERY rule, decide:
+    - "pass" if the contract clearly satisfies the rule
+    - "fail" if the contract contains terms that break the rule
+    - "not_found" if the contract doesn't address what the rule is about
+
+    Rules:
+    - "quotes" MUST be copied EXACTLY, word for word, from the contract text above. Use short quotes (max 40 words each) that prove the result. Use an empty list for "not_found".
+    - "explanation" is one or two plain ${language ? language.output.name : 'English'} sentences saying why.
+    - Keep "status" values in English exactly as shown.
+
+    Provide your answer in the following JSON structure:
+    {
+      "results": [
+        {
+          "ruleId": "string - id of the rule from the list above",
+          "status": "string - pass/fail/not_found",
+          "explanation": "string - why",
+          "quotes": ["string - exact quote from the contract"]
+        }
+      ]
+    }
+
+    Return only valid JSON without any additional text or formatting.`;
+
+  const redactedPrompt = redactor ? redactor.redact(prompt) : prompt;
+  const responseText = await llmProvider.generateText(redactor ? redactedPrompt + buildPlaceholderNote(redactedPrompt) : prompt, {
+    task: 'playbook-evaluation',
+    input: { rules: rulesForPrompt, text: redactor ? redactor.redact(context.text) : context.text },
+    json: true
+  });
+  const parsed = parseModelJson(responseText);
+  const results = Array.isArray(parsed.results) ? parsed.results : [];
+  return {
+    results: redactor ? redactor.restoreDeep(results) : results,
+    passageIds: context.passages ? context.passages.map(passage => passage.id) : null
+  };
+}
+
+// One result per rule, in playbook order; quotes that can't be found in the contract are not used as evidence
+function buildPlaybookResults(rules, modelResults, text) {
+  const index = buildNormalizedIndex(text);
+  const clauses = splitIntoClauses(text);
+  const resultsById = new Map();
+  modelResults.forEach(result => {
+    if (result && typeof result === 'object' && result.ruleId !== undefined && !resultsById.has(String(result.ruleId))) {
+      resultsById.set(String(result.ruleId), result);
+    }
+  });
+
+  return rules.map(rule => {
+    const result = resultsById.get(rule.id);
+    if (!result) {
+      return { ruleId: rule.id, title: rule.title, severity: rule.severity, status: 'not_found', explanation: 'The rule was not evaluated', evidence: [], unverifiedQuotes: 0 };
+    }
+
+    const status = String(result.status || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+    const quotes = (Array.isArray(result.quotes) ? result.quotes : [result.quotes])
+      .filter(quote => typeof quote === 'string' && quote.trim());
+    const evidence = quotes
+      .map(quote => verifyQuote(quote, index, text, clauses))
+      .filter(Boolean);
+
+    return {
+      ruleId: rule.id,
+      title: rule.title,
+      severity: rule.severity,
+      status: PLAYBOOK_RULE_STATUSES.includes(status) ? status : 'not_found',
+      explanation: result.explanation || '',
+      evidence: evidence,
+      unverifiedQuotes: quotes.length - evidence.length
+    };
+  });
+}
+
+// Failed rules (and unaddressed required ones) become red/yellow risks by severity, passed rules green ones.
+// The score is recomputed afterwards by applyRiskScoring, using the rule's category like any other risk.
+function foldPlaybookIntoRiskAssessment(analysis, rules, results) {
+  const riskAssessment = analysis.riskAssessment;
+  const ruleById = new Map(rules.map(rule => [rule.id, rule]));
+  const added = { green: 0, yellow: 0, red: 0 };
+
+  results.forEach(result => {
+    const rule = ruleById.get(result.ruleId);
+    const failed = result.status === 'fail' || (result.status === 'not_found' && rule.required);
+    if (!failed && result.status !== 'pass') return;
+
+    const level = !failed ? 'green' : rule.severity === 'High' ? 'red' : 'yellow';
+    const firstEvidence = result.evidence[0];
+    const risk = {
+      type: rule.category,
+      description: `${rule.title}: ${result.explanation || (result.status === 'not_found' ? 'Not addressed in the contract' : result.status)}`,
+      location: firstEvidence ? (firstEvidence.clauseHeading || 'See quote') : 'Not found in the contract',
+      quote: firstEvidence ? firstEvidence.text : undefined,
+      recommendation: failed ? (rule.recommendation || `Bring the contract in line with the playbook rule "${rule.title}"`) : undefined,
+      source: 'playbook',
+      ruleId: rule.id,
+      clauseIds: [...new Set(result.evidence.map(span => span.clauseId).filter(Boolean))],
+      spans: result.evidence.map(({ start, end, text, clauseId }) => ({ start, end, text, clauseId }))
+    };
+
+    riskAssessment[`${level}Risks`] = [...(riskAssessment[`${level}Risks`] || []), risk];
+    riskAssessment[`${level}Points`] = (riskAssessment[`${level}Points`] || 0) + 1;
+    added[level]++;
+  });
+
+  return added;
+}
+
+// Evaluate a saved playbook and record the outcome on analysis.playbook. A failed evaluation is reported
+// there instead of failing the analysis it was attached to.
+async function applyPlaybook(analysis, text, playbookRow, outputLanguage = null, redactor = null) {
+  const rules = playbookRow.rules || [];
+  try {
+    const language = resolveAnalysisLanguage(text, outputLanguage);
+    const { results: modelResults, passageIds } = await evaluatePlaybookWithGemini(rules, text, language, redactor);
+    const results = buildPlaybookResults(rules, modelResults, text);
+    const addedRisks = foldPlaybookIntoRiskAssessment(analysis, rules, results);
+
+    analysis.playbook = {
+      id: playbookRow.id,
+      name: playbookRow.name,
+      status: 'evaluated',
+      evaluatedAt: new Date().toISOString(),
+      summary: {
+        total: results.length,
+        pass: results.filter(result => result.status === 'pass').length,
+        fail: results.filter(result => result.status === 'fail').length,
+        notFound: results.filter(result => result.status === 'not_found').length
+      },
+      addedRisks: addedRisks,
+      passageIds: passageIds,
+      results: results
+    };
+  } catch (error) {
+    logger.error('Playbook evaluation failed', { playbookId: playbookRow.id, error });
+    analysis.playbook = {
+      id: playbookRow.id,
+      name: playbookRow.name,
+      status: 'failed',
+      error: error.message,
+      results: []
+    };
+  }
+  return analysis;
+}
+
+// Q&A sessions - conversations about a saved analysis are stored server-side so clients only send
+// the analysis id, session id and question.
+// Table qa_sessions: id (uuid), user_id, analysis_id, title, message_count, created_at, updated_at
+// Table qa_messages: id (uuid), session_id, role (user/assistant), content, metadata (jsonb), created_at
+const QA_HISTORY_MAX_MESSAGES = readIntEnv('QA_HISTORY_MAX_MESSAGES', 20);
+
+function serializeQaSession(row) {
+  return {
+    id: row.id,
+    analysisId: row.analysis_id,
+    title: row.title,
+    messageCount: row.message_count || 0,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+async function loadQaSession(userId, sessionId) {
+  const { data, error } = await supabase
+    .from('qa_sessions')
+    .select('*')
+    .eq('id', sessionId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// Oldest first; limit keeps only the most recent messages
+async function loadQaMessages(sessionId, limit = null) {
+  let query = supabase
+    .from('qa_messages')
+    .select('id, role, content, metadata, created_at')
+    .eq('session_id', sessionId)
+    .order('created_at', { ascending: false });
+
+  if (limit) query = query.limit(limit);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return (data || []).reverse();
+}
+
+async function createQaSession(user, analysisId, question) {
+  const now = new Date().toISOString();
+  const { data, error } = await supabase
+    .from('qa_sessions')
+    .insert([{
+      id: uuidv4(),
+      user_id: user.id,
+      analysis_id: analysisId,
+      title: question.length > 80 ? `${question.slice(0, 77)}...` : question,
+      message_count: 0,
+      created_at: now,
+      updated_at: now
+    }])
+    .select();
+
+  if (error) throw error;
+  return data[0];
+}
+
+async function appendQaExchange(session, question, answer, metadata) {
+  const askedAt = new Date();
+  // The answer is stamped a millisecond later so the pair always sorts question-first
+  const answeredAt = new Date(askedAt.getTime() + 1);
+  const { error: insertError } = await supabase
+    .from('qa_messages')
+    .insert([
+      { id: uuidv4(), session_id: session.id, role: 'user', content: question, metadata: {}, created_at: askedAt.toISOString() },
+      { id: uuidv4(), session_id: session.id, role: 'assistant', content: answer, metadata: metadata || {}, created_at: answeredAt.toISOString() }
+    ]);
+
+  if (insertError) throw insertError;
+
+  const { error: updateError } = await supabase
+    .from('qa_sessions')
+    .update({
+      message_count: (session.message_count || 0) + 2,
+      updated_at: answeredAt.toISOString()
+    })
+    .eq('id', session.id);
+
+  if (updateError) throw updateError;
+}
+
+async function deleteQaSessions(sessionIds) {
+  if (sessionIds.length === 0) return;
+
+  const { error: messagesError } = await supabase
+    .from('qa_messages')
+    .delete()
+    .in('session_id', sessionIds);
+
+  if (messagesError) throw messagesError;
+
+  const { error: sessionsError } = await supabase
+    .from('qa_sessions')
+    .delete()
+    .in('id', sessionIds);
+
+  if (sessionsError) throw sessionsError;
+}
+
+// Search - a small in-process BM25 index over each user's saved contracts, built on demand from
+// Supabase and rebuilt after the user saves or deletes something.
+const SEARCH_INDEX_TTL_MS = readIntEnv('SEARCH_INDEX_TTL_MS', 5 * 60 * 1000);
+const SEARCH_INDEX_MAX_USERS = readIntEnv('SEARCH_INDEX_MAX_USERS', 50);
+const SEARCH_FIELD_WEIGHTS = {
+  title: 3,
+  keyTerms: 2,
+  legalReferences: 2,
+  risks: 1.5,
+  originalText: 1
+};
+const SEARCH_STOPWORDS = new Set(['a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'it', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'with', 'which', 'all', 'our', 'have', 'has', 'any']);
+const SEARCH_SNIPPET_RADIUS = 120;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const searchIndexes = new Map();
+
+// Unicode-aware so Hindi or German contracts are searchable too
+function tokenizeForSearch(text) {
+  const tokens = [];
+  const pattern = /[\p{L}\p{M}\p{N}]+/gu;
+  let match;
+  while ((match = pattern.exec(text || '')) !== null) {
+    const token = match[0].toLowerCase();
+    if (SEARCH_STOPWORDS.has(token)) continue;
+    tokens.push({ term: stemSearchTerm(token), start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+}
+
+// Light English plural/suffix folding so "liabilities" finds "liability"
+function stemSearchTerm(term) {
+  if (term.length <= 4 || /\d/.test(term)) return term;
+  if (term.endsWith('ies')) return `${term.slice(0, -3)}y`;
+  if (term.endsWith('sses')) return term.slice(0, -2);
+  if (term.endsWith('s') && !term.endsWith('ss') && !term.endsWith('us')) return term.slice(0, -1);
+  return term;
+}
+
+// Flatten a saved analysis into the searchable fields
+function buildSearchFields(analysis, originalText, title) {
+  const riskAssessment = (analysis && analysis.riskAssessment) || {};
+  const risks = [
+    ...(riskAssessment.redRisks || []),
+    ...(riskAssessment.yellowRisks || []),
+    ...(riskAssessment.greenRisks || [])
+  ];
+
+  return {
+    title: [title, analysis && analysis.summary && analysis.summary.documentType].filter(Boolean).join(' - '),
+    keyTerms: ((analysis && analysis.keyTerms) || [])
+      .map(term => [term.category, term.term, term.explanation].filter(Boolean).join(': '))
+      .join('\n'),
+    legalReferences: ((analysis && analysis.legalReferences) || [])
+      .map(reference => [reference.reference, reference.context, reference.shortExplanation].filter(Boolean).join(': '))
+      .join('\n'),
+    risks: [
+      ...risks.map(risk => [risk.type, risk.description, risk.recommendation].filter(Boolean).join(': ')),
+      ...((analysis && analysis.redFlags) || [])
+    ].join('\n'),
+    originalText: originalText || ''
+  };
+}
+
+// Token offsets of one field, kept with the index so snippets never re-tokenize the text.
+// positions maps each term to the ordinals of its tokens; starts/ends give each ordinal's offsets.
+function buildFieldTokenIndex(tokens) {
+  const starts = new Int32Array(tokens.length);
+  const ends = new Int32Array(tokens.length);
+  const positions = new Map();
+  tokens.forEach((token, ordinal) => {
+    starts[ordinal] = token.start;
+    ends[ordinal] = token.end;
+    if (!positions.has(token.term)) positions.set(token.term, []);
+    positions.get(token.term).push(ordinal);
+  });
+  return { starts, ends, positions };
+}
+
+function buildSearchIndex(records) {
+  const postings = new Map();
+  const documents = records.map((record, docIndex) => {
+    const fields = buildSearchFields(record.analysis, record.originalText, record.title);
+    const fieldTokens = {};
+    let weightedLength = 0;
+
+    Object.entries(fields).forEach(([field, text]) => {
+      const tokens = tokenizeForSearch(text);
+      fieldTokens[field] = buildFieldTokenIndex(tokens);
+      weightedLength += tokens.length * SEARCH_FIELD_WEIGHTS[field];
+      tokens.forEach(token => {
+        if (!postings.has(token.term)) postings.set(token.term, new Map());
+        const termPostings = postings.get(token.term);
+        termPostings.set(docIndex, (termPostings.get(docIndex) || 0) + SEARCH_FIELD_WEIGHTS[field]);
+      });
+    });
+
+    return { ...record, fields, fieldTokens, weightedLength };
+  });
+
+  const averageLength = documents.reduce((sum, doc) => sum + doc.weightedLength, 0) / (documents.length || 1);
+  return { documents, postings, averageLength, builtAt: Date.now() };
+}
+
+// Saved analyses plus legacy user_data blobs that contain an analysis
+async function loadSearchableRecords(user) {
+  const [{ data: analysisRows, error: analysesError }, { data: userDataRows, error: userDataError }] = await Promise.all([
+    supabase
+      .from('analyses')
+      .select('id, title, document_type, overall_risk, risk_score, analysis, original_text, updated_at')
+      .eq('user_id', user.id),
+    supabase
+      .from('user_data')
+      .select('serial, data, updated_at')
+      .eq('email', user.email)
+  ]);
+
+  if (analysesError) throw analysesError;
+  if (userDataError) throw userDataError;
+
+  const records = (analysisRows || []).map(row => ({
+    source: 'analysis',
+    analysisId: row.id,
+    serial: null,
+    title: row.title,
+    documentType: row.document_type,
+    overallRisk: row.overall_risk,
+    riskScore: row.risk_score,
+    updatedAt: row.updated_at,
+    analysis: row.analysis,
+    originalText: row.original_text
+  }));
+
+  (userDataRows || []).forEach(row => {
+    const savedData = row.data || {};
+    const analysis = savedData.analysis || (savedData.riskAssessment ? savedData : null);
+    if (!analysis && !savedData.originalText) return;
+
+    const summary = (analysis && analysis.summary) || {};
+    const riskAssessment = (analysis && analysis.riskAssessment) || {};
+    records.push({
+      source: 'user_data',
+      analysisId: null,
+      serial: row.serial,
+      title: savedData.title || summary.documentType || `Saved contract ${row.serial}`,
+      documentType: summary.documentType || null,
+      overallRisk: riskAssessment.overallRisk || null,
+      riskScore: typeof riskAssessment.riskScore === 'number' ? riskAssessment.riskScore : null,
+      updatedAt: row.updated_at,
+      analysis: analysis,
+      originalText: savedData.originalText || null
+    });
+  });
+
+  return records;
+}
+
+async function getSearchIndex(user) {
+  const cached = searchIndexes.get(user.id);
+  if (cached && Date.now() - cached.builtAt < SEARCH_INDEX_TTL_MS) {
+    // Re-insert so the Map stays ordered by most recent use
+    searchIndexes.delete(user.id);
+    searchIndexes.set(user.id, cached);
+    return cached;
+  }
+
+  const index = buildSearchIndex(await loadSearchableRecords(user));
+  searchIndexes.delete(user.id);
+  searchIndexes.set(user.id, index);
+  while (searchIndexes.size > SEARCH_INDEX_MAX_USERS) {
+    searchIndexes.delete(searchIndexes.keys().next().value);
+  }
+  return index;
+}
+
+function invalidateSearchIndex(user) {
+  if (user) searchIndexes.delete(user.id);
+}
+
+// "quoted phrases" must appear as written; the remaining words are ranked with BM25
+function parseSearchQuery(query) {
+  const phrases = [];
+  const withoutPhrases = query.replace(/"([^"]+)"/g, (_, phrase) => {
+    phrases.push(phrase.trim());
+    return ` ${phrase} `;
+  });
+  const terms = [...new Set(tokenizeForSearch(withoutPhrases).map(token => token.term))];
+  return { terms, phrases: phrases.filter(Boolean) };
+}
+
+// Best window of a field around the densest cluster of matched terms, found from the field's token index
+function buildSearchSnippet(text, tokenIndex, terms, phrases) {
+  const { starts, ends, positions } = tokenIndex;
+  const hits = [];
+  terms.forEach(term => {
+    (positions.get(term) || []).forEach(ordinal => hits.push({ key: term, start: starts[ordinal], end: ends[ordinal] }));
+  });
+
+  // A phrase hit is a run of consecutive tokens with the phrase's terms
+  phrases.forEach(phrase => {
+    const phraseTerms = tokenizeForSearch(phrase).map(token => token.term);
+    if (phraseTerms.length === 0) return;
+    const following = phraseTerms.slice(1).map(term => new Set(positions.get(term) || []));
+    let found = 0;
+    for (const ordinal of positions.get(phraseTerms[0]) || []) {
+      if (following.every((ordinals, offset) => ordinals.has(ordinal + offset + 1))) {
+        const start = starts[ordinal];
+        hits.push({ key: `phrase:${start}`, start, end: ends[ordinal + phraseTerms.length - 1] });
+        if (++found === 3) break;
+      }
+    }
+  });
+  if (hits.length === 0) return null;
+
+  hits.sort((a, b) => a.start - b.start);
+
+  // Two-pointer slide over the hits, keeping the window that covers the most distinct terms
+  const windowChars = SEARCH_SNIPPET_RADIUS * 2;
+  const windowCounts = new Map();
+  let best = { start: hits[0].start, score: -1 };
+  let next = 0;
+  for (let first = 0; first < hits.length; first++) {
+    if (next < first) next = first;
+    while (next < hits.length && hits[next].end <= hits[first].start + windowChars) {
+      windowCounts.set(hits[next].key, (windowCounts.get(hits[next].key) || 0) + 1);
+      next++;
+    }
+
+    const score = windowCounts.size + (next - first) / 100;
+    if (score > best.score) best = { start: hits[first].start, score };
+
+    if (next > first) {
+      const remaining = windowCounts.get(hits[first].key) - 1;
+      if (remaining === 0) windowCounts.delete(hits[first].key);
+      else windowCounts.set(hits[first].key, remaining);
+    }
+  }
+
+  let start = Math.max(0, best.start - Math.floor(SEARCH_SNIPPET_RADIUS / 2));
+  let end = Math.min(text.length, start + windowChars);
+  // Don't cut words in half
+  while (start > 0 && /\S/.test(text[start - 1])) start--;
+  while (end < text.length && /\S/.test(text[end])) end++;
+
+  // Whitespace is replaced one for one so hit offsets still line up with the snippet
+  const snippetText = text.slice(start, end).replace(/\s/g, ' ');
+  const prefix = start > 0 ? '…' : '';
+  const highlights = [];
+  hits.filter(hit => hit.start >= start && hit.end <= end).forEach(hit => {
+    const span = { start: hit.start - start + prefix.length, end: hit.end - start + prefix.length };
+    if (!highlights.some(existing => span.start < existing.end && existing.start < span.end)) {
+      highlights.push(span);
+    }
+  });
+
+  return {
+    text: `${prefix}${snippetText}${end < text.length ? '…' : ''}`,
+    highlights: highlights.sort((a, b) => a.start - b.start)
+  };
+}
+
+function searchIndex(index, query, { limit = 20, riskLevels = null } = {}) {
+  const { terms, phrases } = parseSearchQuery(query);
+  if (terms.length === 0) return [];
+
+  const documentCount = index.documents.length;
+  const scores = new Map();
+  terms.forEach(term => {
+    const termPostings = index.postings.get(term);
+    if (!termPostings) return;
+    const idf = Math.log(1 + (documentCount - termPostings.size + 0.5) / (termPostings.size + 0.5));
+    termPostings.forEach((weightedFrequency, docIndex) => {
+      const doc = index.documents[docIndex];
+      const norm = BM25_K1 * (1 - BM25_B + BM25_B * doc.weightedLength / (index.averageLength || 1));
+      const termScore = idf * weightedFrequency * (BM25_K1 + 1) / (weightedFrequency + norm);
+      const entry = scores.get(docIndex) || { score: 0, matchedTerms: new Set() };
+      entry.score += termScore;
+      entry.matchedTerms.add(term);
+      scores.set(docIndex, entry);
+    });
+  });
+
+  const results = [];
+  scores.forEach((entry, docIndex) => {
+    const doc = index.documents[docIndex];
+    if (riskLevels && !riskLevels.includes(doc.overallRisk)) return;
+
+    const matchedPhrases = phrases.filter(phrase =>
+      Object.values(doc.fields).some(text => normalizeForSearch(text).includes(normalizeForSearch(phrase))));
+    if (matchedPhrases.length < phrases.length) return;
+
+    // Documents matching every word rank above those matching only some
+    const coverage = entry.matchedTerms.size / terms.length;
+    const score = entry.score * (0.5 + coverage / 2) * (1 + matchedPhrases.length * 0.5);
+
+    const snippets = Object.keys(SEARCH_FIELD_WEIGHTS)
+      .map(field => {
+        const snippet = doc.fields[field] ? buildSearchSnippet(doc.fields[field], doc.fieldTokens[field], [...entry.matchedTerms], phrases) : null;
+        return snippet ? { field, ...snippet } : null;
+      })
+      .filter(Boolean)
+      .slice(0, 3);
+
+    results.push({
+      score: Math.round(score * 1000) / 1000,
+      source: doc.source,
+      analysisId: doc.analysisId,
+      serial: doc.serial,
+      title: doc.title,
+      documentType: doc.documentType,
+      overallRisk: doc.overallRisk,
+      riskScore: doc.riskScore,
+      updatedAt: doc.updatedAt,
+      matchedTerms: [...entry.matchedTerms],
+      snippets: snippets
+    });
+  });
+
+  return results.sort((a, b) => b.score - a.score).slice(0, limit);
+}
+
+// Retrieval for Q&A - the contract is cut into clause-based passages and only the passages (and
+// analysis items) most relevant to the question are put in the prompt, so prompt size stays flat
+// however long the contract or conversation gets.
+const QA_PASSAGE_MAX_CHARS = readIntEnv('QA_PASSAGE_MAX_CHARS', 1200);
+const QA_PASSAGE_COUNT = readIntEnv('QA_PASSAGE_COUNT', 6);
+const QA_CONTEXT_MAX_CHARS = readIntEnv('QA_CONTEXT_MAX_CHARS', 9000);
+const QA_PROMPT_HISTORY_MESSAGES = readIntEnv('QA_PROMPT_HISTORY_MESSAGES', 6);
+const PASSAGE_INDEX_CACHE_SIZE = 20;
+
+const passageIndexCache = new Map();
+
+// One passage per clause, with long clauses split at sentence boundaries
+function buildContractPassages(text) {
+  const passages = [];
+  splitIntoClauses(text).forEach(clause => {
+    let start = clause.start;
+    while (start < clause.end) {
+      let end = Math.min(clause.end, start + QA_PASSAGE_MAX_CHARS);
+      if (end < clause.end) {
+        const window = text.slice(start, end);
+        const sentenceBreak = Math.max(window.lastIndexOf('. '), window.lastIndexOf('.\n'), window.lastIndexOf('; '));
+        if (sentenceBreak > QA_PASSAGE_MAX_CHARS / 2) end = start + sentenceBreak + 1;
+      }
+      const [passageStart, passageEnd] = trimSpan(text, start, end);
+      if (passageEnd > passageStart) {
+        passages.push({
+          id: `p-${passages.length + 1}`,
+          clauseId: clause.id,
+          number: clause.number,
+          heading: clause.heading,
+          start: passageStart,
+          end: passageEnd,
+          text: text.slice(passageStart, passageEnd)
+        });
+      }
+      start = end;
+    }
+  });
+  return passages;
+}
+
+function getPassageIndex(text) {
+  const key = crypto.createHash('sha256').update(text).digest('hex');
+  if (passageIndexCache.has(key)) {
+    const cached = passageIndexCache.get(key);
+    passageIndexCache.delete(key);
+    passageIndexCache.set(key, cached);
+    return cached;
+  }
+
+  const passages = buildContractPassages(text);
+  const documentFrequency = new Map();
+  passages.forEach(passage => {
+    const headingTerms = tokenizeForSearch(passage.heading || '').map(token => token.term);
+    passage.termCounts = new Map();
+    [...tokenizeForSearch(passage.text).map(token => token.term), ...headingTerms, ...headingTerms].forEach(term => {
+      passage.termCounts.set(term, (passage.termCounts.get(term) || 0) + 1);
+    });
+    passage.length = [...passage.termCounts.values()].reduce((sum, count) => sum + count, 0);
+    passage.termCounts.forEach((count, term) => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+  });
+
+  const index = {
+    passages,
+    documentFrequency,
+    averageLength: passages.reduce((sum, passage) => sum + passage.length, 0) / (passages.length || 1),
+    totalChars: text.length
+  };
+  passageIndexCache.set(key, index);
+  while (passageIndexCache.size > PASSAGE_INDEX_CACHE_SIZE) {
+    passageIndexCache.delete(passageIndexCache.keys().next().value);
+  }
+  return index;
+}
+
+// BM25 over passages; follow-up questions ("and when?") also use the previous question's words
+function retrievePassages(index, question, conversationHistory = []) {
+  // Short contracts fit in the budget as they are
+  if (index.totalChars <= QA_CONTEXT_MAX_CHARS) return index.passages;
+
+  const previousQuestion = [...conversationHistory].reverse().find(message => message.role === 'user');
+  const weightedTerms = new Map();
+  tokenizeForSearch(question).forEach(token => weightedTerms.set(token.term, 1));
+  if (previousQuestion) {
+    tokenizeForSearch(previousQuestion.content).forEach(token => {
+      if (!weightedTerms.has(token.term)) weightedTerms.set(token.term, 0.4);
+    });
+  }
+
+  const passageCount = index.passages.length;
+  const scored = index.passages.map(passage => {
+    let score = 0;
+    weightedTerms.forEach((weight, term) => {
+      const frequency = passage.termCounts.get(term);
+      if (!frequency) return;
+      const documentFrequency = index.documentFrequency.get(term);
+      const idf = Math.log(1 + (passageCount - documentFrequency + 0.5) / (documentFrequency + 0.5));
+      const norm = BM25_K1 * (1 - BM25_B + BM25_B * passage.length / (index.averageLength || 1));
+      score += weight * idf * frequency * (BM25_K1 + 1) / (frequency + norm);
+    });
+    return { passage, score };
+  });
+
+  const selected = [];
+  let usedChars = 0;
+  scored
+    .filter(entry => entry.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .forEach(entry => {
+      if (selected.length >= QA_PASSAGE_COUNT || usedChars + entry.passage.text.length > QA_CONTEXT_MAX_CHARS) return;
+      selected.push(entry.passage);
+      usedChars += entry.passage.text.length;
+    });
+
+  // Keep contract order so the model reads clauses as they appear
+  return selected.sort((a, b) => a.start - b.start);
+}
+
+// Overview fields plus only the analysis items tied to the retrieved clauses or mentioning the question's words
+function selectRelevantAnalysis(analysis, clauseIds, question) {
+  if (!analysis || typeof analysis !== 'object') return {};
+
+  const questionTerms = new Set(tokenizeForSearch(question).map(token => token.term));
+  const isRelevant = (item, text) => {
+    if ((item.clauseIds || []).some(clauseId => clauseIds.has(clauseId))) return true;
+    return tokenizeForSearch(text).some(token => questionTerms.has(token.term));
+  };
+  const stripLinks = ({ clauseIds: _clauseIds, spans: _spans, ...item }) => item;
+  const pick = (items, getText, max) => (items || [])
+    .filter(item => item && isRelevant(item, getText(item)))
+    .slice(0, max)
+    .map(stripLinks);
+
+  const summary = analysis.summary || {};
+  const riskAssessment = analysis.riskAssessment || {};
+  const riskText = risk => `${risk.type || ''} ${risk.description || ''} ${risk.quote || ''}`;
+
+  return {
+    summary: {
+      documentType: summary.documentType,
+      mainPurpose: summary.mainPurpose,
+      contractSummary: summary.contractSummary
+    },
+    riskAssessment: {
+      overallRisk: riskAssessment.overallRisk,
+      riskScore: riskAssessment.riskScore,
+      redRisks: pick(riskAssessment.redRisks, riskText, 5),
+      yellowRisks: pick(riskAssessment.yellowRisks, riskText, 5),
+      greenRisks: pick(riskAssessment.greenRisks, riskText, 3)
+    },
+    keyTerms: pick(analysis.keyTerms, term => `${term.category || ''} ${term.term || ''} ${term.explanation || ''}`, 8),
+    vagueTerms: pick(analysis.vagueTerms, term => `${term.term || ''} ${term.context || ''}`, 5),
+    legalReferences: pick(analysis.legalReferences, reference => `${reference.reference || ''} ${reference.context || ''}`, 5)
+  };
+}
+
+// Redlines - the model proposes replacement wording for yellow/red risks, and the edits are written
+// into a DOCX as Word tracked changes (w:del / w:ins) with a comment explaining each one.
+const REDLINE_AUTHOR = process.env.REDLINE_AUTHOR || REPORT_BRAND_NAME;
+
+// Collect each yellow/red risk with the clause text it refers to
+function buildRedlineContexts(analysis, text) {
+  const clauses = splitIntoClauses(text);
+  const clauseById = new Map(clauses.map(clause => [clause.id, clause]));
+  const riskAssessment = analysis.riskAssessment || {};
+  const contexts = [];
+
+  [['red', riskAssessment.redRisks || []], ['yellow', riskAssessment.yellowRisks || []]].forEach(([severity, risks]) => {
+    risks.forEach((risk, index) => {
+      // Analyses from older clients may not be linked to clauses yet
+      const linked = risk.clauseIds ? risk : locateAnalysisItem({
+        quotes: [risk.quote].filter(Boolean),
+        location: risk.location,
+        description: `${risk.type || ''} ${risk.description || ''}`
+      }, clauses, buildNormalizedIndex(text), text);
+
+      const clauseText = (linked.clauseIds || [])
+        .map(clauseId => clauseById.get(clauseId))
+        .filter(Boolean)
+        .map(clause => clause.text)
+        .join('\n\n')
+        .slice(0, 3000);
+
+      contexts.push({
+        riskId: `${severity}-${index + 1}`,
+        severity: severity,
+        type: risk.type,
+        description: risk.description,
+        recommendation: risk.recommendation,
+        quote: risk.quote || null,
+        clauseText: clauseText || null
+      });
+    });
+  });
+
+  return contexts;
+}
+
+async function generateRedlineSuggestions(contexts, parties = {}, language = null, redactor = null) {
+  if (redactor) {
+    contexts = contexts.map(context => Object.fromEntries(Object.entries(context).map(([key, value]) => [key, redactor.redact(value)])));
+    parties = Object.fromEntries(Object.entries(parties || {}).map(([key, value]) => [key, redactor.redact(value)]));
+  }
+  const risksJson = JSON.stringify(contexts, null, 2);
+  const prompt = `
+    You are an expert contract lawyer preparing redlines to send back to the other party.
+    ${parties.party1 || parties.party2 ? `
+    We act for: ${parties.party1 || 'Not specified'}. Other party: ${parties.party2 || 'Not specified'}.
+    ` : ''}
+    For each risk below, propose replacement wording for the problem clause that fixes the issue while staying reasonable and likely to be accepted.
+
+    Risks:
+    ${risksJson}
+    ${buildPlaceholderNote(risksJson)}
+    Rules:
+    - "originalText" MUST be copied EXACTLY, character for character, from that risk's "clauseText" (or "quote"). Keep it as short as possible while covering the full sentence(s) you are changing.
+    - "replacementText" is the complete new wording that replaces "originalText", written in proper contract language${language ? ` and in ${language.document.name}, the language of the contract` : ''}.
+    - "comment" explains the change in one or two plain ${language ? language.output.name : 'English'} sentences for the other party.
+    - Skip a risk if it has no clauseText and no quote, or if it is about something missing that cannot be fixed by replacing existing text.
+
+    Provide your answer in the following JSON structure:
+    {
+      "redlines": [
+        {
+          "riskId": "string - riskId from the list above",
+          "originalText": "string - exact text to replace",
+          "replacementText": "string - new wording",
+          "comment": "string - why the change is needed"
+        }
+      ]
+    }
+
+    Return only valid JSON without any additional text or formatting.`;
+
+  const responseText = await llmProvider.generateText(prompt, { task: 'redline-suggestions', input: contexts, json: true });
+  const parsed = parseModelJson(responseText);
+  const redlines = Array.isArray(parsed.redlines) ? parsed.redlines : [];
+  return redactor ? redactor.restoreDeep(redlines) : redlines;
+}
+
+// How many matches of a redline's text are considered when picking one that doesn't overlap another redline
+const REDLINE_MAX_OCCURRENCES = 50;
+
+// Keep only redlines whose originalText really exists in the document (and doesn't overlap another).
+// `occurrence` is which match of the text was picked, so the DOCX edit lands on that same match.
+function resolveRedlines(redlines, text) {
+  const index = buildNormalizedIndex(text);
+  const accepted = [];
+  const unmatched = [];
+
+  redlines.forEach(redline => {
+    if (!redline || typeof redline.originalText !== 'string' || typeof redline.replacementText !== 'string') return;
+    const spans = findTextSpans(index, redline.originalText, text, REDLINE_MAX_OCCURRENCES);
+    const occurrence = spans.findIndex(span => !accepted.some(existing => span.start < existing.end && existing.start < span.end));
+    if (occurrence === -1) {
+      unmatched.push({ ...redline, reason: spans.length > 0 ? 'Overlaps another redline' : 'Original text not found in the document' });
+      return;
+    }
+    const span = spans[occurrence];
+    accepted.push({ ...redline, originalText: span.text, start: span.start, end: span.end, occurrence });
+  });
+
+  return { accepted: accepted.sort((a, b) => a.start - b.start), unmatched };
+}
+
+function unescapeXml(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(parseInt(code, 10)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCharCode(parseInt(code, 16)))
+    .replace(/&amp;/g, '&');
+}
+
+// Flat list of tags and text with their offsets - enough to find element boundaries in document.xml
+// without rewriting anything we don't touch
+function tokenizeXml(xml) {
+  const tokenPattern = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[[\s\S]*?\]\]>|<[^>]*>|[^<]+/g;
+  const tokens = [];
+  let match;
+  while ((match = tokenPattern.exec(xml)) !== null) {
+    const raw = match[0];
+    const token = { raw, start: match.index, end: match.index + raw.length, type: 'text', name: null };
+    if (raw[0] === '<') {
+      if (raw[1] === '!' || raw[1] === '?') {
+        token.type = 'other';
+      } else if (raw[1] === '/') {
+        token.type = 'close';
+        token.name = raw.slice(2, -1).trim();
+      } else {
+        token.type = raw.endsWith('/>') ? 'empty' : 'open';
+        token.name = raw.match(/^<([^\s/>]+)/)[1];
+      }
+    }
+    tokens.push(token);
+  }
+  return tokens;
+}
+
+// Innermost <w:p> elements in document order. Text boxes nest paragraphs inside a run, so a paragraph
+// holding other paragraphs is left alone; self-closing <w:p/> never opens an element.
+function findDocxParagraphs(tokens) {
+  const paragraphs = [];
+  const open = [];
+  tokens.forEach((token, tokenIndex) => {
+    if (token.name !== 'w:p') return;
+    if (token.type === 'open') {
+      if (open.length > 0) open[open.length - 1].nested = true;
+      open.push({ first: tokenIndex, nested: false });
+    } else if (token.type === 'close' && open.length > 0) {
+      const paragraph = open.pop();
+      if (!paragraph.nested) paragraphs.push({ first: paragraph.first, last: tokenIndex });
+    }
+  });
+  return paragraphs.sort((a, b) => a.first - b.first);
+}
+
+// Runs of a paragraph and each run child's share of the paragraph text:
+// { text, runs: [{ open, rPr, start, end, containers, children: [{ kind, xml, text, textStart, textEnd }] }] }
+// `containers` are the elements between the paragraph and the run (w:hyperlink, w:ins, ...).
+function parseDocxParagraph(xml, tokens, paragraph) {
+  const runs = [];
+  const containers = [];
+  let run = null;
+  let child = null;
+  let text = '';
+
+  const addChild = (name, childXml, content) => {
+    if (name === 'w:rPr') {
+      run.rPr = childXml;
+      return;
+    }
+    let kind = 'other';
+    let childText = '';
+    if (name === 'w:t') {
+      kind = 't';
+      childText = unescapeXml(content);
+    } else if (name === 'w:tab' && !content) {
+      kind = 'tab';
+      childText = '\t';
+    } else if ((name === 'w:br' || name === 'w:cr') && !content) {
+      kind = 'br';
+      childText = '\n';
+    }
+    run.children.push({ kind, xml: childXml, text: childText, textStart: text.length, textEnd: text.length + childText.length });
+    text += childText;
+  };
+
+  for (let i = paragraph.first + 1; i < paragraph.last; i++) {
+    const token = tokens[i];
+    if (!run) {
+      if (token.type === 'open' && token.name === 'w:r') {
+        run = { open: token.raw, rPr: '', start: token.start, end: null, containers: [...containers], children: [] };
+      } else if (token.type === 'open') {
+        containers.push(token.name);
+      } else if (token.type === 'close') {
+        containers.pop();
+      }
+    } else if (child) {
+      if (token.type === 'open' && token.name === child.name) {
+        child.depth++;
+      } else if (token.type === 'close' && token.name === child.name && --child.depth === 0) {
+        addChild(child.name, xml.slice(child.start, token.end), child.content);
+        child = null;
+      } else if (child.depth === 1) {
+        child.content += token.raw;
+      }
+    } else if (token.type === 'close' && token.name === 'w:r') {
+      run.end = token.end;
+      runs.push(run);
+      run = null;
+    } else if (token.type === 'empty') {
+      addChild(token.name, token.raw, '');
+    } else if (token.type === 'open') {
+      child = { name: token.name, start: token.start, depth: 1, content: '' };
+    }
+  }
+
+  return { text, runs };
+}
+
+// Runs that may hold a redline - anything else (fields, existing tracked changes, ...) is left untouched
+const REDLINE_RUN_CONTAINERS = new Set(['w:hyperlink', 'w:smartTag', 'w:sdt', 'w:sdtContent', 'w:customXml']);
+
+function runOverlapsSpan(run, span) {
+  return run.children.some(child => child.textEnd > child.textStart && child.textEnd > span.start && child.textStart < span.end);
+}
+
+// Sets match.firstRun / match.lastRun, or returns why the span can't be edited safely
+function checkRedlineSpan(paragraph, match) {
+  const overlapping = paragraph.runs
+    .map((run, runIndex) => runOverlapsSpan(run, match) ? runIndex : -1)
+    .filter(runIndex => runIndex !== -1);
+  if (overlapping.length === 0) return 'Original text not found in the document paragraphs';
+
+  match.firstRun = overlapping[0];
+  match.lastRun = overlapping[overlapping.length - 1];
+
+  for (let runIndex = match.firstRun; runIndex <= match.lastRun; runIndex++) {
+    const run = paragraph.runs[runIndex];
+    if (overlapping.includes(runIndex) && run.containers.some(container => !REDLINE_RUN_CONTAINERS.has(container))) {
+      return 'Text is inside a field or an existing tracked change';
+    }
+    const inlineContent = run.children.some(child =>
+      child.kind === 'other' && child.textStart > match.start && child.textStart < match.end
+    );
+    if (inlineContent) return 'Text contains a field, image or other inline content';
+  }
+  return null;
+}
+
+// Split a run at the redline boundaries; deleted parts are wrapped in w:del, and the insertion,
+// comment range and comment reference follow the last deleted part of each redline
+function buildRedlinedRun(run, runIndex, matches, markup) {
+  const pieces = [];
+  run.children.forEach(child => {
+    if (child.kind === 'other' || child.textEnd === child.textStart) {
+      pieces.push({ owner: null, xml: child.xml });
+      return;
+    }
+
+    const cuts = [child.textStart, child.textEnd];
+    matches.forEach(match => {
+      [match.start, match.end].forEach(cut => {
+        if (cut > child.textStart && cut < child.textEnd) cuts.push(cut);
+      });
+    });
+    cuts.sort((a, b) => a - b);
+
+    for (let i = 0; i < cuts.length - 1; i++) {
+      const [from, to] = [cuts[i], cuts[i + 1]];
+      const owner = matches.find(match => from >= match.start && to <= match.end) || null;
+      const value = child.text.slice(from - child.textStart, to - child.textStart);
+      let pieceXml;
+      if (child.kind !== 't') {
+        pieceXml = owner && child.kind === 'tab' ? '<w:tab/>' : child.xml;
+      } else if (owner) {
+        pieceXml = `<w:delText xml:space="preserve">${escapeXml(value)}</w:delText>`;
+      } else {
+        pieceXml = cuts.length === 2 ? child.xml : `<w:t xml:space="preserve">${escapeXml(value)}</w:t>`;
+      }
+      pieces.push({ owner, xml: pieceXml });
+    }
+  });
+
+  const groups = [];
+  pieces.forEach(piece => {
+    const last = groups[groups.length - 1];
+    if (last && last.owner === piece.owner) last.xml += piece.xml;
+    else groups.push({ owner: piece.owner, xml: piece.xml });
+  });
+
+  return groups.map(group => {
+    const runXml = `${run.open}${run.rPr}${group.xml}</w:r>`;
+    if (!group.owner) return runXml;
+
+    const match = group.owner;
+    let result = '';
+    if (runIndex === match.firstRun) result += `<w:commentRangeStart w:id="${match.commentId}"/>`;
+    result += `<w:del w:id="${markup.nextRevisionId()}" w:author="${markup.author}" w:date="${markup.date}">${runXml}</w:del>`;
+    if (runIndex === match.lastRun) {
+      result += `<w:ins w:id="${markup.nextRevisionId()}" w:author="${markup.author}" w:date="${markup.date}">${match.insertedRun}</w:ins>`;
+      result += `<w:commentRangeEnd w:id="${match.commentId}"/><w:r><w:commentReference w:id="${match.commentId}"/></w:r>`;
+    }
+    return result;
+  }).join('');
+}
+
+// Apply redlines to a .docx buffer as tracked changes + comments; returns the new buffer and what was applied.
+// Only the runs a redline overlaps are rewritten - the rest of document.xml is kept byte for byte.
+async function applyRedlinesToDocx(docxBuffer, redlines, author = REDLINE_AUTHOR) {
+  const zip = await JSZip.loadAsync(docxBuffer);
+  let documentXml = await zip.file('word/document.xml').async('string');
+  const date = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+  const escapedAuthor = escapeXml(author);
+  const initials = escapeXml(author.split(/\s+/).filter(Boolean).map(word => word[0]).join('').toUpperCase());
+
+  // Comment ids continue after any comments already in the document
+  const existingComments = zip.file('word/comments.xml') ? await zip.file('word/comments.xml').async('string') : null;
+  const existingCommentIds = existingComments ? [...existingComments.matchAll(/<w:comment\b[^>]*w:id="(\d+)"/g)].map(match => parseInt(match[1], 10)) : [];
+  let nextCommentId = existingCommentIds.length > 0 ? Math.max(...existingCommentIds) + 1 : 0;
+  // Revision ids continue after every id already in the body (existing tracked changes, bookmarks, ...)
+  let nextRevisionId = [...documentXml.matchAll(/\bw:id="(\d+)"/g)]
+    .reduce((highest, match) => Math.max(highest, parseInt(match[1], 10) + 1), 0);
+  const markup = { author: escapedAuthor, date, nextRevisionId: () => nextRevisionId++ };
+
+  const applied = [];
+  const notApplied = [];
+  const newComments = [];
+  const edits = [];
+  const located = new Set();
+  const occurrencesSeen = new Map();
+
+  const tokens = tokenizeXml(documentXml);
+  findDocxParagraphs(tokens).forEach(paragraphRange => {
+    if (located.size === redlines.length) return;
+
+    const paragraph = parseDocxParagraph(documentXml, tokens, paragraphRange);
+    if (!paragraph.text.trim()) return;
+
+    // Count matches in document order until reaching the occurrence resolveRedlines picked
+    const paragraphIndex = buildNormalizedIndex(paragraph.text);
+    const matches = [];
+    redlines.forEach(redline => {
+      if (located.has(redline)) return;
+      const spans = findTextSpans(paragraphIndex, redline.originalText, paragraph.text, REDLINE_MAX_OCCURRENCES);
+      const seen = occurrencesSeen.get(redline) || 0;
+      const target = (redline.occurrence || 0) - seen;
+      occurrencesSeen.set(redline, seen + spans.length);
+      if (target < spans.length) {
+        located.add(redline);
+        matches.push({ start: spans[target].start, end: spans[target].end, text: spans[target].text, redline });
+      }
+    });
+    if (matches.length === 0) return;
+
+    const accepted = [];
+    matches.sort((a, b) => a.start - b.start).forEach(match => {
+      const problem = accepted.some(existing => match.start < existing.end && existing.start < match.end)
+        ? 'Overlaps another redline'
+        : checkRedlineSpan(paragraph, match);
+      if (problem) {
+        notApplied.push({ ...match.redline, reason: problem });
+        return;
+      }
+
+      const firstRun = paragraph.runs[match.firstRun];
+      match.commentId = nextCommentId++;
+      match.insertedRun = `${firstRun.open}${firstRun.rPr}<w:t xml:space="preserve">${escapeXml(match.redline.replacementText)}</w:t></w:r>`;
+      accepted.push(match);
+
+      newComments.push(`<w:comment w:id="${match.commentId}" w:author="${escapedAuthor}" w:date="${date}" w:initials="${initials}"><w:p><w:r><w:t xml:space="preserve">${escapeXml(match.redline.comment || 'Suggested change')}</w:t></w:r></w:p></w:comment>`);
+      applied.push(match.redline);
+    });
+
+    paragraph.runs.forEach((run, runIndex) => {
+      const runMatches = accepted.filter(match => runOverlapsSpan(run, match));
+      if (runMatches.length > 0) {
+        edits.push({ start: run.start, end: run.end, xml: buildRedlinedRun(run, runIndex, runMatches, markup) });
+      }
+    });
+  });
+
+  redlines
+    .filter(redline => !located.has(redline))
+    .forEach(redline => notApplied.push({ ...redline, reason: 'Text spans more than one paragraph in the document' }));
+
+  // Splice from the end so earlier offsets stay valid
+  edits.sort((a, b) => b.start - a.start).forEach(edit => {
+    documentXml = documentXml.slice(0, edit.start) + edit.xml + documentXml.slice(edit.end);
+  });
+  zip.file('word/document.xml', documentXml);
+
+  if (newComments.length > 0) {
+    const commentsXml = existingComments
+      ? existingComments.replace('</w:comments>', `${newComments.join('')}</w:comments>`)
+      : `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<w:comments xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">${newComments.join('')}</w:comments>`;
+    zip.file('word/comments.xml', commentsXml);
+
+    if (!existingComments) {
+      let contentTypes = await zip.file('[Content_Types].xml').async('string');
+      if (!contentTypes.includes('/word/comments.xml')) {
+        contentTypes = contentTypes.replace('</Types>', '<Override PartName="/word/comments.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.comments+xml"/></Types>');
+        zip.file('[Content_Types].xml', contentTypes);
+      }
+
+      let relationships = await zip.file('word/_rels/document.xml.rels').async('string');
+      if (!relationships.includes('relationships/comments"')) {
+        relationships = relationships.replace('</Relationships>', '<Relationship Id="rIdRedlineComments" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/comments" Target="comments.xml"/></Relationships>');
+        zip.file('word/_rels/document.xml.rels', relationships);
+      }
+    }
+  }
+
+  const buffer = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+  return { buffer, applied, notApplied };
+}
+
+// Plain DOCX with one paragraph per line, used when the upload wasn't a .docx
+function buildDocxFromText(text, title = null) {
+  const children = text.replace(/\r\n/g, '\n').split('\n').map(line => new Paragraph({ children: [new TextRun(line)] }));
+  return Packer.toBuffer(new Document({
+    creator: REPORT_BRAND_NAME,
+    title: title || 'Contract',
+    sections: [{ children }]
+  }));
+}
+
+// Health check endpoint
+app.get('/api/health', (req, res) => {
+  res.json({ 
+    status: 'OK', 
+    message: 'Legal AI Backend is running',
+    timestamp: new Date().toISOString(),
+    geminiConfigured: !!process.env.GEMINI_API_KEY,
+    llmProvider: llmProvider.name,
+    aiConfigured: llmProvider.isConfigured(),
+    analysisCache: analysisCache ? analysisCache.name : 'disabled',
+    piiRedaction: PII_REDACTION_DEFAULT ? PII_REDACTION_TYPES : 'off'
+  });
+});
+
+// Prometheus metrics. Set METRICS_TOKEN to require "Authorization: Bearer <METRICS_TOKEN>" from the scraper.
+app.get('/metrics', (req, res) => {
+  const metricsToken = process.env.METRICS_TOKEN;
+  if (metricsToken) {
+    const expected = Buffer.from(`Bearer ${metricsToken}`);
+    const provided = Buffer.from(req.headers.authorization || '');
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'A valid metrics token is required'
+      });
+    }
+  }
+
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(renderMetrics());
+});
+
+// Main document analysis endpoint
+// Main document analysis endpoint with authentication and serial tracking
+app.post('/api/analyze-document', analyzeRateLimiters.perIp, requireAuth, analyzeRateLimiters.perUser, enforceDailyQuota('analyses'), upload.single('document'), async (req, res) => {
+  let filePath = req.file ? req.file.path : null;
+  
+  try {
+    const { parties } = req.body;
+    const email = req.user.email;
+
+    const force = parseBooleanParam(req.query.force || req.body.force);
+    const requestedLanguage = req.query.outputLanguage || req.body.outputLanguage;
+    const outputLanguage = resolveLanguageCode(requestedLanguage || DEFAULT_OUTPUT_LANGUAGE);
+    if (!outputLanguage) {
+      return res.status(400).json({
+        error: 'Unsupported output language',
+        message: `Supported languages: auto, ${Object.keys(LANGUAGE_NAMES).join(', ')}`
+      });
+    }
+
+    // Optional - resolves obligation deadlines for contracts that don't state their own effective date
+    const effectiveDate = req.query.effectiveDate || req.body.effectiveDate || null;
+    if (effectiveDate && !parseIsoDate(effectiveDate)) {
+      return res.status(400).json({
+        error: 'Invalid effective date',
+        message: 'effectiveDate must be a YYYY-MM-DD date'
+      });
+    }
+
+    const scoringProfile = resolveRiskScoringProfile(req.query.scoringProfile || req.body.scoringProfile, req.user);
+    if (!scoringProfile) {
+      return res.status(400).json({
+        error: 'Unknown scoring profile',
+        message: `Available profiles: ${Object.keys(RISK_SCORING_PROFILES).join(', ')}`
+      });
+    }
+
+    const { redaction, error: redactionError } = parseRedactionOptions(req.query.redactPii || req.body.redactPii, req.query.redactionTypes || req.body.redactionTypes);
+    if (redactionError) {
+      return res.status(400).json({
+        error: 'Invalid redaction options',
+        message: redactionError
+      });
+    }
+
+    // Optional saved playbook whose rules are checked against the contract
+    const playbookId = req.query.playbookId || req.body.playbookId || null;
+    const playbook = playbookId ? await loadPlaybook(req.user.id, playbookId) : null;
+    if (playbookId && !playbook) {
+      return res.status(404).json({
+        error: 'Playbook not found',
+        message: `No playbook found for id: ${playbookId}`
+      });
+    }
     
-    Contract Text:
-    ${text}
+    // Count the user's saved records for the userInfo block
+    const { count: totalRecords, error: countError } = await supabase
+      .from('user_data')
+      .select('serial', { count: 'exact', head: true })
+      .eq('email', email);
+    
+    if (countError) {
+      return res.status(500).json({ 
+        error: 'Failed to load user records', 
+        message: countError.message 
+      });
+    }
+    
+    // Parse parties if provided
+    let parsedParties = {};
+    if (parties) {
+      try {
+        parsedParties = typeof parties === 'string' ? JSON.parse(parties) : parties;
+      } catch (e) {
+        logger.warn('Failed to parse parties data', { error: e });
+      }
+    }
+    
+    // Check if the AI provider is configured
+    if (!llmProvider.isConfigured()) {
+      return res.status(500).json({ 
+        error: 'AI service not configured', 
+        message: `API key not found for LLM provider "${llmProvider.name}"` 
+      });
+    }
+    
+    const userInfo = {
+      email: email,
+      isAuthenticated: true,
+      totalRecords: totalRecords || 0
+    };
+    
+    // Job mode: return a job id right away and let the client poll or subscribe for progress
+    if ((req.query.mode || req.body.mode) === 'async') {
+      if (!req.file && !req.body.text) {
+        return res.status(400).json({ 
+          error: 'No document or text provided'
+        });
+      }
+
+      // Uploaded files are only measured once the job has extracted their text
+      if (!req.file && req.body.text.length < 100) {
+        return res.status(400).json({
+          error: 'Document content is too short for meaningful analysis (minimum 100 characters)'
+        });
+      }
+      if (!req.file && req.body.text.length > MAX_DOCUMENT_CHARS) {
+        return res.status(400).json({
+          error: `Document content is too long (maximum ${MAX_DOCUMENT_CHARS.toLocaleString('en-US')} characters)`
+        });
+      }
+
+      if (!(await consumeDailyQuota(req, res, 'analyses'))) return;
+      
+      const job = createAnalysisJob(req.user);
+      // The job now owns the uploaded file and deletes it when finished
+      filePath = null;
+      runAnalysisJob(job, {
+        file: req.file || null,
+        text: req.body.text || null,
+        parties: parsedParties,
+        outputLanguage: outputLanguage,
+        force: force,
+        effectiveDate: effectiveDate,
+        playbook: playbook,
+        scoringProfile: scoringProfile,
+        redaction: redaction,
+        userInfo: userInfo
+      });
+      
+      logger.info('Queued analysis job', { jobId: job.id });
+      return res.status(202).json({
+        success: true,
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `/api/jobs/${job.id}`,
+        eventsUrl: `/api/jobs/${job.id}/events`
+      });
+    }
+    
+    let documentText = '';
+    let analysisSource = '';
+    
+    if (req.file) {
+      // File upload processing
+      analysisSource = 'file';
+      logger.info('Processing file', { filename: req.file.originalname, size: req.file.size });
+      documentText = await extractTextFromFile(filePath, req.file.originalname);
+    } else if (req.body.text) {
+      // Direct text input processing
+      documentText = req.body.text;
+      analysisSource = 'text';
+      logger.info('Processing direct text input', { length: documentText.length });
+    } else {
+      return res.status(400).json({ 
+        error: 'No document or text provided' 
+      });
+    }
+    
+    // Validate minimum content length
+    if (documentText.length < 100) {
+      return res.status(400).json({ 
+        error: 'Document content is too short for meaningful analysis (minimum 100 characters)' 
+      });
+    }
+    
+    // Validate maximum content length (longer than SINGLE_PASS_MAX_CHARS is analyzed in sections)
+    if (documentText.length > MAX_DOCUMENT_CHARS) {
+      return res.status(400).json({ 
+        error: `Document content is too long (maximum ${MAX_DOCUMENT_CHARS.toLocaleString('en-US')} characters)` 
+      });
+    }
+
+    if (!(await consumeDailyQuota(req, res, 'analyses'))) return;
+    
+    // Perform AI analysis with Gemini
+    logger.info('Starting document analysis', { provider: llmProvider.name });
+    const analysis = await analyzeDocumentText(documentText, parsedParties, null, { outputLanguage, force, effectiveDate, playbook, scoringProfile, redaction });
+    logger.info('Document analysis completed', { analysisId: analysis.metadata.analysisId });
+    
+    // Return analysis results with authentication and serial info
+    res.json(buildAnalysisResponse({
+      analysis,
+      documentText,
+      source: analysisSource,
+      originalFilename: req.file ? req.file.originalname : null,
+      ...userInfo
+    }));
+    
+  } catch (error) {
+    logger.error('Error processing document', { error });
+
+    if (error.code === 'ANALYSIS_INVALID') {
+      return res.status(502).json({
+        error: 'AI analysis failed validation',
+        status: 'analysis_invalid',
+        message: error.message,
+        validationErrors: error.validationErrors || []
+      });
+    }
+
+    // The stack stays in the server log; clients get the request id to quote in bug reports
+    res.status(500).json({ 
+      error: 'Failed to process document', 
+      message: error.message,
+      requestId: req.id
+    });
+  } finally {
+    // Always clean up temporary file
+    if (filePath && fs.existsSync(filePath)) {
+      try {
+        fs.unlinkSync(filePath);
+        logger.debug('Temporary file deleted', { file: path.basename(filePath) });
+      } catch (deleteError) {
+        logger.error('Error deleting temporary file', { error: deleteError });
+      }
+    }
+  }
+});
+
+// Compare two versions of a contract (two files, two texts, or a saved analysis plus a new version)
+app.post('/api/compare-documents', analyzeRateLimiters.perIp, requireAuth, analyzeRateLimiters.perUser, enforceDailyQuota('analyses'), upload.fields([
+  { name: 'originalDocument', maxCount: 1 },
+  { name: 'revisedDocument', maxCount: 1 }
+]), async (req, res) => {
+  const uploadedFiles = [
+    ...((req.files && req.files.originalDocument) || []),
+    ...((req.files && req.files.revisedDocument) || [])
+  ];
+
+  try {
+    const { parties, originalSerial, originalAnalysisId } = req.body;
+    const email = req.user.email;
+    const force = parseBooleanParam(req.body.force);
+
+    const outputLanguage = resolveLanguageCode(req.body.outputLanguage || DEFAULT_OUTPUT_LANGUAGE);
+    if (!outputLanguage) {
+      return res.status(400).json({
+        error: 'Unsupported output language',
+        message: `Supported languages: auto, ${Object.keys(LANGUAGE_NAMES).join(', ')}`
+      });
+    }
+
+    const scoringProfile = resolveRiskScoringProfile(req.body.scoringProfile, req.user);
+    if (!scoringProfile) {
+      return res.status(400).json({
+        error: 'Unknown scoring profile',
+        message: `Available profiles: ${Object.keys(RISK_SCORING_PROFILES).join(', ')}`
+      });
+    }
+
+    const { redaction, error: redactionError } = parseRedactionOptions(req.body.redactPii, req.body.redactionTypes);
+    if (redactionError) {
+      return res.status(400).json({
+        error: 'Invalid redaction options',
+        message: redactionError
+      });
+    }
+
+    if (!llmProvider.isConfigured()) {
+      return res.status(500).json({
+        error: 'AI service not configured',
+        message: `API key not found for LLM provider "${llmProvider.name}"`
+      });
+    }
+
+    let parsedParties = {};
+    if (parties) {
+      try {
+        parsedParties = typeof parties === 'string' ? JSON.parse(parties) : parties;
+      } catch (e) {
+        logger.warn('Failed to parse parties data', { error: e });
+      }
+    }
+
+    // Resolve the original version
+    let originalText = '';
+    let originalAnalysis = null;
+    let originalSource = '';
+    const originalFile = req.files && req.files.originalDocument && req.files.originalDocument[0];
+
+    if (originalFile) {
+      logger.info('Processing original file', { filename: originalFile.originalname, size: originalFile.size });
+      originalText = await extractTextFromFile(originalFile.path, originalFile.originalname);
+      originalSource = 'file';
+    } else if (originalSerial !== undefined || originalAnalysisId) {
+      const saved = await loadStoredAnalysis(req.user, { serial: originalSerial, analysisId: originalAnalysisId });
+
+      if (!saved) {
+        return res.status(404).json({
+          error: 'Saved analysis not found',
+          message: originalAnalysisId
+            ? `No saved analysis found for id: ${originalAnalysisId}`
+            : `No data found for email: ${email} and serial: ${originalSerial}`
+        });
+      }
+
+      originalAnalysis = saved.analysis;
+      originalText = saved.originalText || '';
+      originalSource = 'saved';
+    } else if (req.body.originalAnalysis) {
+      try {
+        originalAnalysis = typeof req.body.originalAnalysis === 'string'
+          ? JSON.parse(req.body.originalAnalysis)
+          : req.body.originalAnalysis;
+      } catch (e) {
+        return res.status(400).json({
+          error: 'originalAnalysis must be valid JSON'
+        });
+      }
+      const validationErrors = validateAgainstSchema(originalAnalysis, ANALYSIS_SCHEMA, 'originalAnalysis');
+      if (validationErrors.length > 0) {
+        return res.status(400).json({
+          error: 'originalAnalysis failed validation',
+          validationErrors: validationErrors.slice(0, 20)
+        });
+      }
+      originalText = req.body.originalText || '';
+      originalSource = 'analysis';
+    } else if (req.body.originalText) {
+      originalText = req.body.originalText;
+      originalSource = 'text';
+    } else {
+      return res.status(400).json({
+        error: 'No original document, text, or saved analysis provided'
+      });
+    }
+
+    // Resolve the revised version
+    let revisedText = '';
+    const revisedFile = req.files && req.files.revisedDocument && req.files.revisedDocument[0];
+
+    if (revisedFile) {
+      logger.info('Processing revised file', { filename: revisedFile.originalname, size: revisedFile.size });
+      revisedText = await extractTextFromFile(revisedFile.path, revisedFile.originalname);
+    } else if (req.body.revisedText) {
+      revisedText = req.body.revisedText;
+    } else {
+      return res.status(400).json({
+        error: 'No revised document or text provided'
+      });
+    }
+
+    if (!originalText) {
+      return res.status(400).json({
+        error: 'Original contract text is required for comparison (saved analysis has no originalText)'
+      });
+    }
+
+    for (const [label, text] of [['Original', originalText], ['Revised', revisedText]]) {
+      if (text.length < 100) {
+        return res.status(400).json({
+          error: `${label} document content is too short for meaningful analysis (minimum 100 characters)`
+        });
+      }
+      if (text.length > MAX_DOCUMENT_CHARS) {
+        return res.status(400).json({
+          error: `${label} document content is too long (maximum ${MAX_DOCUMENT_CHARS.toLocaleString('en-US')} characters)`
+        });
+      }
+    }
+
+    // Each document the model has to analyze is charged as one analysis
+    if (!(await consumeDailyQuota(req, res, 'analyses', originalAnalysis ? 1 : 2))) return;
+
+    // Only re-analyze the original if we don't already have its analysis
+    logger.info('Starting comparison analysis', { provider: llmProvider.name });
+    const [resolvedOriginalAnalysis, revisedAnalysis] = await Promise.all([
+      originalAnalysis
+        ? applyRiskScoring(originalAnalysis, scoringProfile)
+        : analyzeDocumentText(originalText, parsedParties, null, { outputLanguage, force, scoringProfile, redaction }),
+      analyzeDocumentText(revisedText, parsedParties, null, { outputLanguage, force, scoringProfile, redaction })
+    ]);
+    logger.info('Comparison analysis completed');
+
+    res.json({
+      success: true,
+      clauseDiff: diffClauses(originalText, revisedText),
+      riskDelta: compareRiskAssessments(resolvedOriginalAnalysis, revisedAnalysis, scoringProfile),
+      originalAnalysis: resolvedOriginalAnalysis,
+      revisedAnalysis: revisedAnalysis,
+      metadata: {
+        originalSource: originalSource,
+        revisedSource: revisedFile ? 'file' : 'text',
+        originalFilename: originalFile ? originalFile.originalname : null,
+        revisedFilename: revisedFile ? revisedFile.originalname : null,
+        processedAt: new Date().toISOString(),
+        model: llmProvider.textModel
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error comparing documents', { error });
+
+    if (error.code === 'ANALYSIS_INVALID') {
+      return res.status(502).json({
+        error: 'AI analysis failed validation',
+        status: 'analysis_invalid',
+        message: error.message,
+        validationErrors: error.validationErrors || []
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to compare documents',
+      message: error.message
+    });
+  } finally {
+    // Always clean up temporary files
+    uploadedFiles.forEach(file => {
+      if (file.path && fs.existsSync(file.path)) {
+        try {
+          fs.unlinkSync(file.path);
+          logger.debug('Temporary file deleted', { file: path.basename(file.path) });
+        } catch (deleteError) {
+          logger.error('Error deleting temporary file', { error: deleteError });
+        }
+      }
+    });
+  }
+});
+
+// Export an analysis (saved serial or passed in the body) as a PDF or DOCX report
+app.post('/api/export-analysis', requireAuth, async (req, res) => {
+  try {
+    const { serial, analysisId, title } = req.body;
+    const format = (req.body.format || 'pdf').toLowerCase();
+
+    if (!['pdf', 'docx'].includes(format)) {
+      return res.status(400).json({
+        error: 'Format must be pdf or docx'
+      });
+    }
+
+    let analysis = req.body.analysis;
+    if (serial !== undefined || analysisId) {
+      const saved = await loadStoredAnalysis(req.user, { serial, analysisId });
+      if (!saved || !saved.analysis) {
+        return res.status(404).json({
+          error: 'Saved analysis not found',
+          message: `No analysis found for ${analysisId ? `id: ${analysisId}` : `serial: ${serial}`}`
+        });
+      }
+      analysis = saved.analysis;
+    }
+
+    if (!analysis || typeof analysis !== 'object') {
+      return res.status(400).json({
+        error: 'An analysis object, a saved analysisId, or a saved serial is required'
+      });
+    }
+
+    const report = buildAnalysisReport(analysis, title);
+    const buffer = format === 'pdf'
+      ? await renderAnalysisReportPdf(report)
+      : await renderAnalysisReportDocx(report);
+
+    const filename = `contract-analysis-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.setHeader('Content-Type', format === 'pdf'
+      ? 'application/pdf'
+      : 'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(buffer);
+
+  } catch (error) {
+    logger.error('Error exporting analysis', { error });
+
+    res.status(500).json({
+      error: 'Failed to export analysis',
+      message: error.message
+    });
+  }
+});
+
+// Dated obligations as an iCalendar file. Deadlines are re-resolved here so a saved analysis can be
+// exported once the contract is signed and its effective date is known.
+app.post('/api/export-calendar', requireAuth, async (req, res) => {
+  try {
+    const { serial, analysisId, title, effectiveDate } = req.body;
+
+    if (effectiveDate && !parseIsoDate(effectiveDate)) {
+      return res.status(400).json({
+        error: 'Invalid effective date',
+        message: 'effectiveDate must be a YYYY-MM-DD date'
+      });
+    }
+
+    const reminderDays = req.body.reminderDays === undefined ? CALENDAR_REMINDER_DAYS : Number(req.body.reminderDays);
+    if (!Number.isInteger(reminderDays) || reminderDays < 0 || reminderDays > 365) {
+      return res.status(400).json({
+        error: 'reminderDays must be a whole number between 0 and 365'
+      });
+    }
+
+    let analysis = req.body.analysis;
+    if (serial !== undefined || analysisId) {
+      const saved = await loadStoredAnalysis(req.user, { serial, analysisId });
+      if (!saved || !saved.analysis) {
+        return res.status(404).json({
+          error: 'Saved analysis not found',
+          message: `No analysis found for ${analysisId ? `id: ${analysisId}` : `serial: ${serial}`}`
+        });
+      }
+      analysis = saved.analysis;
+    }
+
+    if (!analysis || typeof analysis !== 'object') {
+      return res.status(400).json({
+        error: 'An analysis object, a saved analysisId, or a saved serial is required'
+      });
+    }
+
+    // Work on a copy and run it through the same repairs as a fresh analysis
+    const calendarAnalysis = JSON.parse(JSON.stringify(analysis));
+    repairObligations(calendarAnalysis, []);
+    resolveObligationDates(calendarAnalysis, effectiveDate);
+
+    const unresolved = calendarAnalysis.obligations
+      .filter(obligation => !obligation.resolved.date)
+      .map(({ id, obligor, description, resolved }) => ({ id, obligor, description, reason: resolved.reason }));
+
+    const calendarId = analysisId || (calendarAnalysis.metadata && calendarAnalysis.metadata.analysisId) || uuidv4();
+    const { calendar, eventCount } = buildObligationsCalendar(calendarAnalysis, { calendarId, title, reminderDays });
+    if (eventCount === 0) {
+      return res.status(400).json({
+        error: 'No dated obligations to export',
+        message: calendarAnalysis.obligations.length
+          ? 'None of the obligations could be resolved to a date. Pass effectiveDate if the contract counts deadlines from it.'
+          : 'The analysis has no obligations. Re-run the analysis to extract them.',
+        unresolved: unresolved
+      });
+    }
+
+    const filename = `contract-obligations-${new Date().toISOString().slice(0, 10)}.ics`;
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('X-Calendar-Events', String(eventCount));
+    res.setHeader('X-Calendar-Unresolved', String(unresolved.length));
+    res.send(calendar);
+
+  } catch (error) {
+    logger.error('Error exporting calendar', { error });
+
+    res.status(500).json({
+      error: 'Failed to export calendar',
+      message: error.message
+    });
+  }
+});
+
+// Suggested redlines for yellow/red risks as a DOCX with tracked changes and comments.
+// Uses the uploaded .docx when there is one, otherwise rebuilds a DOCX from the contract text.
+app.post('/api/redlines', analyzeRateLimiters.perIp, requireAuth, analyzeRateLimiters.perUser, enforceDailyQuota('analyses'), upload.single('document'), async (req, res) => {
+  try {
+    const { parties, serial, analysisId, title } = req.body;
+    const format = (req.body.format || 'docx').toLowerCase();
+
+    if (!['docx', 'json'].includes(format)) {
+      return res.status(400).json({
+        error: 'Format must be docx or json'
+      });
+    }
+
+    const outputLanguage = resolveLanguageCode(req.body.outputLanguage || DEFAULT_OUTPUT_LANGUAGE);
+    if (!outputLanguage) {
+      return res.status(400).json({
+        error: 'Unsupported output language',
+        message: `Supported languages: auto, ${Object.keys(LANGUAGE_NAMES).join(', ')}`
+      });
+    }
+
+    const { redaction, error: redactionError } = parseRedactionOptions(req.body.redactPii, req.body.redactionTypes);
+    if (redactionError) {
+      return res.status(400).json({
+        error: 'Invalid redaction options',
+        message: redactionError
+      });
+    }
+
+    if (!llmProvider.isConfigured()) {
+      return res.status(500).json({
+        error: 'AI service not configured',
+        message: `API key not found for LLM provider "${llmProvider.name}"`
+      });
+    }
+
+    let parsedParties = {};
+    if (parties) {
+      try {
+        parsedParties = typeof parties === 'string' ? JSON.parse(parties) : parties;
+      } catch (e) {
+        logger.warn('Failed to parse parties data', { error: e });
+      }
+    }
+
+    let analysis = null;
+    if (req.body.analysis) {
+      try {
+        analysis = typeof req.body.analysis === 'string' ? JSON.parse(req.body.analysis) : req.body.analysis;
+      } catch (e) {
+        return res.status(400).json({
+          error: 'analysis must be valid JSON'
+        });
+      }
+    }
+
+    let documentText = '';
+    let originalDocx = null;
+    if (req.file) {
+      logger.info('Processing file for redlines', { filename: req.file.originalname, size: req.file.size });
+      documentText = await extractTextFromFile(req.file.path, req.file.originalname);
+      if (path.extname(req.file.originalname).toLowerCase() === '.docx') {
+        originalDocx = fs.readFileSync(req.file.path);
+      }
+    } else if (serial !== undefined || analysisId) {
+      const saved = await loadStoredAnalysis(req.user, { serial, analysisId });
+      if (!saved || !saved.originalText) {
+        return res.status(404).json({
+          error: 'Saved analysis not found',
+          message: `No saved contract text found for ${analysisId ? `id: ${analysisId}` : `serial: ${serial}`}`
+        });
+      }
+      documentText = saved.originalText;
+      analysis = analysis || saved.analysis;
+    } else if (req.body.text) {
+      documentText = req.body.text;
+    } else {
+      return res.status(400).json({
+        error: 'No document, text, saved analysisId, or saved serial provided'
+      });
+    }
+
+    if (documentText.length < 100) {
+      return res.status(400).json({
+        error: 'Document content is too short for meaningful analysis (minimum 100 characters)'
+      });
+    }
+    if (documentText.length > MAX_DOCUMENT_CHARS) {
+      return res.status(400).json({
+        error: `Document content is too long (maximum ${MAX_DOCUMENT_CHARS.toLocaleString('en-US')} characters)`
+      });
+    }
+
+    if (!(await consumeDailyQuota(req, res, 'analyses'))) return;
+
+    if (!analysis) {
+      logger.info('No analysis provided for redlines, analyzing document');
+      analysis = await analyzeDocumentText(documentText, parsedParties, null, { outputLanguage, redaction });
+    }
+
+    const language = resolveAnalysisLanguage(documentText, outputLanguage);
+    const contexts = buildRedlineContexts(analysis, documentText);
+    const redactor = redaction ? createPiiRedactor({ types: redaction.types, names: getPartyNames(parsedParties) }) : null;
+    const suggestions = contexts.length > 0 ? await generateRedlineSuggestions(contexts, parsedParties, language, redactor) : [];
+    const { accepted, unmatched } = resolveRedlines(suggestions, documentText);
+
+    const baseDocx = originalDocx || await buildDocxFromText(documentText, title);
+    const { buffer, applied, notApplied } = await applyRedlinesToDocx(baseDocx, accepted);
+    logger.info('Redlines applied', { applied: applied.length, unmatched: unmatched.length + notApplied.length });
+
+    const redlines = applied.map(({ riskId, originalText, replacementText, comment, start, end }) => ({
+      riskId, originalText, replacementText, comment, start, end
+    }));
+    const skipped = [
+      ...unmatched,
+      ...notApplied.map(({ occurrence: _occurrence, ...redline }) => redline)
+    ];
+
+    if (format === 'json') {
+      return res.json({
+        success: true,
+        redlines: redlines,
+        unmatched: skipped,
+        document: buffer.toString('base64'),
+        metadata: {
+          source: originalDocx ? 'original-docx' : 'rebuilt-docx',
+          riskCount: contexts.length,
+          author: REDLINE_AUTHOR,
+          language: language,
+          redaction: redactor ? redactor.summary(false) : { enabled: false },
+          processedAt: new Date().toISOString(),
+          model: llmProvider.textModel
+        }
+      });
+    }
+
+    const filename = `contract-redlines-${new Date().toISOString().slice(0, 10)}.docx`;
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('X-Redline-Count', String(redlines.length));
+    res.setHeader('X-Redline-Unmatched', String(skipped.length));
+    res.send(buffer);
+
+  } catch (error) {
+    logger.error('Error generating redlines', { error });
+
+    if (error.code === 'ANALYSIS_INVALID') {
+      return res.status(502).json({
+        error: 'AI analysis failed validation',
+        status: 'analysis_invalid',
+        message: error.message,
+        validationErrors: error.validationErrors || []
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to generate redlines',
+      message: error.message
+    });
+  } finally {
+    if (req.file && req.file.path && fs.existsSync(req.file.path)) {
+      try {
+        fs.unlinkSync(req.file.path);
+        logger.debug('Temporary file deleted', { file: path.basename(req.file.path) });
+      } catch (deleteError) {
+        logger.error('Error deleting temporary file', { error: deleteError });
+      }
+    }
+  }
+});
+
+// Export the contract flowchart as Mermaid, Graphviz DOT, standalone SVG, or laid-out JSON
+app.post('/api/export-flowchart', requireAuth, async (req, res) => {
+  try {
+    const { serial, analysisId } = req.body;
+    const format = (req.body.format || 'svg').toLowerCase();
+
+    if (!['mermaid', 'dot', 'svg', 'json'].includes(format)) {
+      return res.status(400).json({
+        error: 'Format must be mermaid, dot, svg or json'
+      });
+    }
+
+    let flowchartData = req.body.flowchartData || (req.body.analysis && req.body.analysis.flowchartData);
+    if (serial !== undefined || analysisId) {
+      const saved = await loadStoredAnalysis(req.user, { serial, analysisId });
+      if (!saved || !saved.analysis) {
+        return res.status(404).json({
+          error: 'Saved analysis not found',
+          message: `No analysis found for ${analysisId ? `id: ${analysisId}` : `serial: ${serial}`}`
+        });
+      }
+      flowchartData = saved.analysis.flowchartData;
+    }
+
+    if (!flowchartData || typeof flowchartData !== 'object') {
+      return res.status(400).json({
+        error: 'flowchartData, an analysis, a saved analysisId, or a saved serial is required'
+      });
+    }
+
+    // Accept whatever the client has, but don't render dangling edges or duplicate nodes
+    const repairs = [];
+    const cleanFlowchart = JSON.parse(JSON.stringify(flowchartData));
+    repairFlowchart(cleanFlowchart, repairs);
+    const laidOut = layoutFlowchart(cleanFlowchart);
+
+    switch (format) {
+      case 'mermaid':
+        res.type('text/plain').send(flowchartToMermaid(laidOut));
+        break;
+      case 'dot':
+        res.type('text/vnd.graphviz').send(flowchartToDot(laidOut));
+        break;
+      case 'svg':
+        res.type('image/svg+xml').send(flowchartToSvg(laidOut));
+        break;
+      default:
+        res.json({
+          success: true,
+          flowchartData: laidOut,
+          repairs: repairs
+        });
+    }
+
+  } catch (error) {
+    logger.error('Error exporting flowchart', { error });
+
+    res.status(500).json({
+      error: 'Failed to export flowchart',
+      message: error.message
+    });
+  }
+});
+
+// Risk scoring profiles and the one analyses use for the signed-in user when none is requested
+app.get('/api/scoring-profiles', requireAuth, (req, res) => {
+  res.json({
+    success: true,
+    defaultProfile: resolveRiskScoringProfile(null, req.user).name,
+    profiles: Object.values(RISK_SCORING_PROFILES)
+  });
+});
+
+// Remaining daily allowance and rate limits for the signed-in user
+app.get('/api/usage', requireAuth, async (req, res) => {
+  try {
+    const [limits, usage] = await Promise.all([
+      getUserQuotaLimits(req.user.id),
+      getUserUsage(req.user.id)
+    ]);
+
+    const quotas = {};
+    QUOTA_KINDS.forEach(kind => {
+      quotas[kind] = {
+        limit: limits[kind],
+        used: usage[kind],
+        remaining: Math.max(0, limits[kind] - usage[kind])
+      };
+    });
+
+    res.json({
+      success: true,
+      date: currentUsageDate(),
+      resetsAt: nextQuotaReset(),
+      quotas: quotas,
+      rateLimits: RATE_LIMITS
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving usage', { error });
+
+    res.status(500).json({
+      error: 'Failed to retrieve usage',
+      message: error.message
+    });
+  }
+});
+
+// Poll an asynchronous analysis job
+app.get('/api/jobs/:id', requireAuth, (req, res) => {
+  const job = analysisJobs.get(req.params.id);
+  
+  // Other users' jobs are reported as missing rather than forbidden
+  if (!job || job.userId !== req.user.id) {
+    return res.status(404).json({
+      error: 'Job not found',
+      message: `No analysis job with id: ${req.params.id}`
+    });
+  }
+  
+  res.json({
+    success: true,
+    ...serializeJob(job)
+  });
+});
+
+// Subscribe to job progress over Server-Sent Events (past events are replayed first)
+app.get('/api/jobs/:id/events', requireAuth, (req, res) => {
+  const job = analysisJobs.get(req.params.id);
+  
+  if (!job || job.userId !== req.user.id) {
+    return res.status(404).json({
+      error: 'Job not found',
+      message: `No analysis job with id: ${req.params.id}`
+    });
+  }
+  
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no'); // Disable buffering for Nginx
+  
+  job.events.forEach(event => {
+    res.write(`data: ${JSON.stringify(event)}\n\n`);
+  });
+  if (res.flush) res.flush();
+  
+  if (job.status === 'completed' || job.status === 'failed') {
+    return res.end();
+  }
+  
+  job.subscribers.add(res);
+  req.on('close', () => {
+    job.subscribers.delete(res);
+  });
+});
+
+// New endpoint for answering user questions
+app.post('/api/ask-question-stream', questionRateLimiters.perIp, requireAuth, questionRateLimiters.perUser, enforceDailyQuota('questions'), async (req, res) => {
+  try {
+    const { question, analysisId, sessionId } = req.body;
+    let { context, conversationHistory, originalText } = req.body;
     
-    ${parties.party1 || parties.party2 ? `
-    Parties involved:
-    - Party 1: ${parties.party1 || 'Not specified'}
-    - Party 2: ${parties.party2 || 'Not specified'}
-    ` : ''}
+    if (!question) {
+      return res.status(400).json({
+        error: 'Question is required'
+      });
+    }
+
+    // Without an explicit outputLanguage the answer follows the analysis language
+    const outputLanguage = req.body.outputLanguage ? resolveLanguageCode(req.body.outputLanguage) : null;
+    if (req.body.outputLanguage && !outputLanguage) {
+      return res.status(400).json({
+        error: 'Unsupported output language',
+        message: `Supported languages: auto, ${Object.keys(LANGUAGE_NAMES).join(', ')}`
+      });
+    }
     
-    IMPORTANT INSTRUCTIONS FOR RISK ASSESSMENT:
+    const unverifiedQuotes = String(req.body.unverifiedQuotes || QA_UNVERIFIED_QUOTES).toLowerCase();
+    if (!['flag', 'drop'].includes(unverifiedQuotes)) {
+      return res.status(400).json({
+        error: 'unverifiedQuotes must be flag or drop'
+      });
+    }
+
+    const { redaction, error: redactionError } = parseRedactionOptions(req.body.redactPii, req.body.redactionTypes);
+    if (redactionError) {
+      return res.status(400).json({
+        error: 'Invalid redaction options',
+        message: redactionError
+      });
+    }
+
+    // Session mode: the analysis, contract text and history come from the server. Clients that
+    // still send the full context without a sessionId keep the old stateless behaviour.
+    let session = null;
+    const useSession = !!sessionId || !context;
+    if (useSession) {
+      if (!analysisId) {
+        return res.status(400).json({
+          error: 'analysisId of a saved analysis (or an analysis context) is required'
+        });
+      }
+
+      const savedAnalysis = await loadSavedAnalysisRecord(req.user.id, analysisId);
+      if (!savedAnalysis) {
+        return res.status(404).json({
+          error: 'Analysis not found'
+        });
+      }
+
+      if (sessionId) {
+        session = await loadQaSession(req.user.id, sessionId);
+        if (!session || session.analysis_id !== savedAnalysis.id) {
+          return res.status(404).json({
+            error: 'Session not found for this analysis'
+          });
+        }
+        conversationHistory = (await loadQaMessages(session.id, QA_HISTORY_MAX_MESSAGES))
+          .map(message => ({ role: message.role, content: message.content }));
+      } else {
+        conversationHistory = [];
+      }
+
+      context = savedAnalysis.analysis;
+      originalText = savedAnalysis.original_text;
+    }
     
-    You must categorize ALL clauses, terms, and conditions into THREE risk levels:
+    if (!llmProvider.isConfigured()) {
+      return res.status(500).json({
+        error: 'AI service not configured',
+        message: `API key not found for LLM provider "${llmProvider.name}"`
+      });
+    }
+
+    if (!(await consumeDailyQuota(req, res, 'questions'))) return;
+
+    if (useSession && !session) {
+      session = await createQaSession(req.user, analysisId, question);
+    }
     
-    1. GREEN (Very Low to No Risk): Favorable, standard, or protective clauses
-       - Fair and balanced terms
-       - Standard industry practices
-       - Clear definitions
-       - Reasonable timelines
-       - Mutual benefits
-       - Adequate protections
-       
-    2. YELLOW (Medium Risk): Potentially concerning but not critical
-       - Slightly vague language
-       - Terms that could be more specific
-       - Standard risks that need awareness
-       - Clauses requiring negotiation consideration
-       
-    3. RED (High Risk): Critical issues requiring immediate attention
-       - Unfair or one-sided terms
-       - Unlimited liability
-       - Unreasonable obligations
-       - Missing protections
-       - Ambiguous termination clauses
-       - Potentially illegal provisions
+    // Set headers for Server-Sent Events (SSE)
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no'); // Disable buffering for Nginx
     
-    CRITICAL: Only include YELLOW and RED risks if they genuinely exist in the contract. Do NOT force-create risks. If the contract is well-written with mostly favorable terms, it's perfectly acceptable to have many GREEN points and few or zero YELLOW/RED points.
+    logger.info('Processing streaming question', { sessionId: session ? session.id : null, questionLength: question.length });
+
+    if (session) {
+      res.write(`data: ${JSON.stringify({ type: 'session', sessionId: session.id, analysisId: session.analysis_id })}\n\n`);
+    }
     
-    For the flowchartData section, create a very simple visual representation of the contract flow including:
-    1. Contract parties and their roles
-    2. Key obligations and responsibilities  
-    3. Payment flow and timelines
-    4. Termination conditions
-    5. Decision points and conditional paths
-    6. Important milestones or deadlines
+    try {
+      const answer = await answerQuestionWithGeminiStream(
+        question, 
+        context, 
+        conversationHistory || [], 
+        originalText || null,
+        res,
+        { outputLanguage, unverifiedQuotes, redaction, sessionId: session ? session.id : null }
+      );
+
+      if (session) {
+        try {
+          await appendQaExchange(session, question, answer.fullText, { ...answer.metadata, citationList: answer.citations });
+        } catch (saveError) {
+          // The client already has the answer, so report the failure without failing the stream
+          logger.error('Error saving Q&A exchange', { error: saveError });
+          res.write(`data: ${JSON.stringify({ type: 'warning', message: 'Answer could not be saved to the session' })}\n\n`);
+        }
+      }
+      
+      res.end();
+    } catch (streamError) {
+      logger.error('Streaming error', { error: streamError });
+      if (session && !sessionId) {
+        // Don't leave an empty conversation behind when its first question failed
+        deleteQaSessions([session.id]).catch(deleteError => logger.error('Error deleting empty Q&A session', { error: deleteError }));
+      }
+      res.write(`data: ${JSON.stringify({ error: streamError.message })}\n\n`);
+      res.end();
+    }
     
-    Position nodes logically with start nodes at top-left and end nodes at bottom-right. Use appropriate node types:
-    - "start": Contract initiation
-    - "party": Contract parties
-    - "process": Actions/obligations  
-    - "decision": Conditional points
-    - "end": Contract completion/termination
+  } catch (error) {
+    logger.error('Error processing streaming question', { error });
     
-    Please provide your analysis in the following JSON structure:
+    // If headers not sent yet, send JSON error
+    if (!res.headersSent) {
+      res.status(500).json({
+        error: 'Failed to process question',
+        message: error.message
+      });
+    } else {
+      // If streaming already started, send SSE error
+      res.write(`data: ${JSON.stringify({ error: error.message })}\n\n`);
+      res.end();
+    }
+  }
+});
+app.post('/api/text-to-speech', ttsRateLimiters.perIp, requireAuth, ttsRateLimiters.perUser, enforceDailyQuota('tts'), async (req, res) => {
+  try {
+    const { voiceName, stream } = req.body;
+    let { text, stylePrompt } = req.body;
+    const format = (req.body.format || 'wav').toLowerCase();
     
-    {
-      "summary": {
-        "documentType": "string - type of contract (e.g., Service Agreement, Employment Contract, etc.)",
-        "mainPurpose": "string - primary purpose of the contract",
-        "keyHighlights": ["array of 5-10 main contract points"],
-        "whatIsIncluded": ["array of all key things included in this contract - major clauses, benefits, obligations, deliverables"],
-        "contractSummary": "string - 1 paragraph comprehensive summary of the entire contract in plain language",
-        "wordCount": number,
-        "estimatedReadingTime": "string - e.g., '5 minutes'"
-      },
-      "riskAssessment": {
-        "overallRisk": "string - Low/Medium/High (based on the distribution of risk levels)",
-        "greenPoints": number - count of favorable/safe clauses,
-        "yellowPoints": number - count of moderately risky clauses (ONLY if they exist),
-        "redPoints": number - count of high-risk clauses (ONLY if they exist),
-        "riskScore": 0,
-        "greenRisks": [
-          {
-            "type": "string - risk category",
-            "description": "string - what makes this favorable or low-risk",
-            "location": "string - where in document this appears"
-          }
-        ],
-        "yellowRisks": [
-          {
-            "type": "string - risk category",
-            "description": "string - detailed description of the concern",
-            "location": "string - where in document this appears",
-            "recommendation": "string - suggested action"
-          }
-        ],
-        "redRisks": [
-          {
-            "type": "string - risk category",
-            "description": "string - detailed description of the critical issue",
-            "location": "string - where in document this appears",
-            "recommendation": "string - urgent action needed"
-          }
-        ]
-      },
-      "legalReferences": [
-        {
-          "reference": "string - the legal reference (e.g., 'Section 48 of Constitution', 'Companies Act 2013', 'IPC Section 420')",
-          "context": "string - where/how it's mentioned in contract",
-          "shortExplanation": "string - brief plain language explanation of what this law/section means and why it matters in this contract (2-3 sentences)",
-          "relevance": "string - High/Medium/Low - how relevant to contract"
-        }
-      ],
-      "vagueTerms": [
-        {
-          "term": "string - the vague term found",
-          "context": "string - surrounding context",
-          "issue": "string - why this is problematic",
-          "suggestion": "string - how to clarify"
-        }
-      ],
-      "keyTerms": [
-        {
-          "category": "string - e.g., Payment, Termination, Liability",
-          "term": "string - the actual term",
-          "explanation": "string - plain language explanation",
-          "importance": "string - High/Medium/Low"
-        }
-      ],
-      "recommendations": [
-        "string - actionable recommendations for the user"
-      ],
-      "redFlags": [
-        "string - any major concerns that need immediate attention (ONLY if they exist)"
-      ],
-      "suggestedQuestions": [
-        {
-          "question": "string - a question users commonly ask about this type of contract",
-          "answer": "string - detailed answer based on the contract content",
-          "category": "string - e.g., Payment, Termination, Liability, General, Obligations"
-        }
-      ],
-      "flowchartData": {
-        "nodes": [
-          {
-            "id": "string - unique identifier",
-            "type": "string - start/process/decision/end/party",
-            "label": "string - node text",
-            "description": "string - detailed explanation",
-            "position": {"x": number, "y": number}
-          }
-        ],
-        "edges": [
-          {
-            "id": "string - unique identifier", 
-            "source": "string - source node id",
-            "target": "string - target node id",
-            "label": "string - edge description",
-            "type": "string - default/conditional"
-          }
-        ],
-        "title": "string - flowchart title"
-      }
+    if (!text) {
+      return res.status(400).json({
+        error: 'Text is required'
+      });
+    }
+
+    const outputLanguage = req.body.outputLanguage ? resolveLanguageCode(req.body.outputLanguage) : null;
+    if (req.body.outputLanguage && (!outputLanguage || outputLanguage === 'auto')) {
+      return res.status(400).json({
+        error: 'Unsupported output language',
+        message: `Supported languages: ${Object.keys(LANGUAGE_NAMES).join(', ')}`
+      });
+    }
+
+    // Only the translation prompt is redacted - the speech model has to be given the real words
+    const { redaction, error: redactionError } = parseRedactionOptions(req.body.redactPii, req.body.redactionTypes);
+    if (redactionError) {
+      return res.status(400).json({
+        error: 'Invalid redaction options',
+        message: redactionError
+      });
+    }
+
+    if (!AUDIO_FORMATS[format]) {
+      return res.status(400).json({
+        error: `Format must be one of: ${Object.keys(AUDIO_FORMATS).join(', ')}`
+      });
     }
-    
-    Focus on:
-    1. Being honest about risk levels - don't inflate or deflate risks
-    2. Identifying genuinely favorable clauses as GREEN
-    3. Only marking YELLOW if there's a real concern worth noting
-    4. Only marking RED if there's a critical issue
-    5. Explaining complex legal language in plain terms
-    6. Providing actionable recommendations only where needed
-    7. Being thorough but realistic about the contract quality
 
-    CRITICAL - SIMPLE ENGLISH REQUIREMENT:
-    ========================================
-    Write ALL explanations, descriptions, recommendations, and answers in SIMPLE, EVERYDAY ENGLISH that anyone without legal knowledge can easily understand. 
-    
-    - Use everyday words: Say "protect you from costs" instead of "indemnify", say "from now on" instead of "hereinafter"
-    - Write like you're explaining to a friend who knows nothing about law
-    - Assume the reader has no legal background
-    
-    Every description, explanation, and recommendation must be understandable by someone with a 7th-grade reading level.
-    ========================================
-    
-    Return only valid JSON without any additional text or formatting.`;
+    if (text.length > TTS_MAX_TEXT_CHARS) {
+      return res.status(400).json({
+        error: `Text is too long (maximum ${TTS_MAX_TEXT_CHARS.toLocaleString('en-US')} characters)`
+      });
+    }
 
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    const analysisText = response.text();
-    
-    // Clean up the response to ensure it's valid JSON
-    const cleanedText = analysisText.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-    
-    try {
-      const analysis = JSON.parse(cleanedText);
-      
-      // Calculate risk score using the NEW formula
-      if (analysis.riskAssessment) {
-        const { greenPoints = 0, yellowPoints = 0, redPoints = 0 } = analysis.riskAssessment;
-        analysis.riskAssessment.riskScore = calculateRiskScore(greenPoints, yellowPoints, redPoints);
-        
-        // Ensure the risk arrays exist
-        if (!analysis.riskAssessment.greenRisks) analysis.riskAssessment.greenRisks = [];
-        if (!analysis.riskAssessment.yellowRisks) analysis.riskAssessment.yellowRisks = [];
-        if (!analysis.riskAssessment.redRisks) analysis.riskAssessment.redRisks = [];
-      }
-      
-      // Add metadata
-      analysis.metadata = {
-        analysisId: uuidv4(),
-        timestamp: new Date().toISOString(),
-        model: 'gemini-2.5-flash',
-        parties: parties
-      };
-      
-      // Ensure other required fields exist (same as before)
-      if (!analysis.legalReferences || !Array.isArray(analysis.legalReferences)) {
-        analysis.legalReferences = [];
-      }
-      
-      if (analysis.summary) {
-        if (!analysis.summary.whatIsIncluded || !Array.isArray(analysis.summary.whatIsIncluded)) {
-          analysis.summary.whatIsIncluded = ["Contract details could not be fully extracted"];
-        }
-        if (!analysis.summary.contractSummary) {
-          analysis.summary.contractSummary = "A detailed summary of the contract could not be generated. Please review the document manually.";
-        }
+    if (!llmProvider.isConfigured()) {
+      return res.status(500).json({
+        error: 'AI service not configured',
+        message: `API key not found for LLM provider "${llmProvider.name}"`
+      });
+    }
+
+    if (!(await consumeDailyQuota(req, res, 'tts'))) return;
+
+    // Speak in the requested language, translating first if the text is written in another one
+    const textLanguage = detectLanguage(text);
+    let translated = false;
+    if (outputLanguage) {
+      if (textLanguage.code !== outputLanguage && textLanguage.confidence > 0) {
+        logger.info('Translating speech text', { from: textLanguage.code, to: outputLanguage });
+        text = await translateText(text, outputLanguage, redaction ? createPiiRedactor({ types: redaction.types }) : null);
+        translated = true;
       }
-      
-      if (!analysis.suggestedQuestions || !Array.isArray(analysis.suggestedQuestions)) {
-        analysis.suggestedQuestions = [
-          {
-            "question": "What are my main obligations under this contract?",
-            "answer": "Based on the contract analysis, your main obligations would be determined by the specific terms outlined in the agreement. Please refer to the key terms section for detailed obligations.",
-            "category": "Obligations"
-          },
-          {
-            "question": "How can this contract be terminated?",
-            "answer": "Contract termination procedures should be clearly outlined in the termination clause. Look for specific notice periods and termination conditions.",
-            "category": "Termination"
-          },
-          {
-            "question": "What are the payment terms?",
-            "answer": "Payment terms including amounts, due dates, and payment methods should be specified in the contract. Check for any late payment penalties.",
-            "category": "Payment"
-          },
-          {
-            "question": "What happens if there's a dispute?",
-            "answer": "Dispute resolution mechanisms such as mediation, arbitration, or court procedures should be outlined in the contract.",
-            "category": "General"
-          },
-          {
-            "question": "What are the potential risks I should be aware of?",
-            "answer": "Based on the risk assessment, review the identified risks and red flags in the analysis above.",
-            "category": "General"
+      const languageHint = `Read aloud in natural ${LANGUAGE_NAMES[outputLanguage]}`;
+      stylePrompt = stylePrompt ? `${stylePrompt}. ${languageHint}` : languageHint;
+    }
+
+    const voice = voiceName || 'Puck';
+    const segments = splitTextForSpeech(text);
+    logger.info('Generating speech', { segmentCount: segments.length, format });
+
+    // Streaming mode: send audio as each segment is ready so playback can start early
+    if (stream) {
+      res.setHeader('Content-Type', AUDIO_FORMATS[format]);
+      res.setHeader('Cache-Control', 'no-cache');
+      res.setHeader('X-Accel-Buffering', 'no'); // Disable buffering for Nginx
+      res.setHeader('X-Audio-Segments', String(segments.length));
+
+      let mp3Encoder = null;
+      try {
+        await synthesizeSpeechSegments(segments, voice, stylePrompt, async ({ pcm, sampleRate, index }) => {
+          if (index === 0) {
+            if (format === 'wav') res.write(createWavHeader(sampleRate));
+            if (format === 'mp3') mp3Encoder = await createMp3Encoder(sampleRate);
           }
-        ];
+          res.write(mp3Encoder ? mp3Encoder.encode(pcm) : pcm);
+          if (res.flush) res.flush();
+        });
+        if (mp3Encoder) res.write(mp3Encoder.flush());
+        res.end();
+      } catch (streamError) {
+        // Headers are already sent, so the only signal left is an aborted response
+        logger.error('Error streaming speech', { error: streamError });
+        res.destroy(streamError);
       }
-      
-      return analysis;
-      
-    } catch (parseError) {
-      console.error('Error parsing Gemini response as JSON:', parseError);
-      console.log('Raw response:', analysisText);
-      
-      // Fallback response (same as before but with new structure)
-      return {
-        summary: {
-          documentType: "Legal Document",
-          mainPurpose: "Contract Analysis",
-          keyHighlights: ["Document processed successfully"],
-          whatIsIncluded: ["Analysis in progress"],
-          contractSummary: "Unable to generate summary due to processing error. Please retry analysis.",
-          wordCount: text.split(' ').length,
-          estimatedReadingTime: "5 minutes"
-        },
-        riskAssessment: {
-          overallRisk: "Medium",
-          greenPoints: 0,
-          yellowPoints: 1,
-          redPoints: 0,
-          riskScore: 50,
-          greenRisks: [],
-          yellowRisks: [{
-            type: "Analysis Error",
-            description: "Unable to parse detailed analysis. Please try again or contact support.",
-            location: "General",
-            recommendation: "Retry analysis or seek manual review"
-          }],
-          redRisks: []
-        },
-        legalReferences: [],
-        vagueTerms: [],
-        keyTerms: [],
-        recommendations: ["Please retry the analysis for detailed insights"],
-        redFlags: [],
-        suggestedQuestions: [
-          {
-            "question": "What are my main obligations under this contract?",
-            "answer": "Due to analysis error, please retry the document analysis for specific obligation details.",
-            "category": "Obligations"
-          }
-        ],
-        metadata: {
-          analysisId: uuidv4(),
-          timestamp: new Date().toISOString(),
-          model: 'gemini-2.5-flash',
-          parties: parties,
-          error: 'JSON parsing failed'
-        }
-      };
+      return;
     }
-    
+
+    const pcmParts = [];
+    let sampleRate = DEFAULT_PCM_SAMPLE_RATE;
+    await synthesizeSpeechSegments(segments, voice, stylePrompt, async segment => {
+      pcmParts.push(segment.pcm);
+      sampleRate = segment.sampleRate;
+    });
+    const pcm = Buffer.concat(pcmParts);
+    const audio = await encodePcmAudio(pcm, format, sampleRate);
+
+    // Return audio data as base64
+    res.json({
+      success: true,
+      audioData: audio.toString('base64'),
+      mimeType: format === 'pcm' ? `audio/pcm;codec=pcm;rate=${sampleRate}` : AUDIO_FORMATS[format],
+      metadata: {
+        voiceName: voice,
+        model: llmProvider.ttsModel,
+        timestamp: new Date().toISOString(),
+        textLength: text.length,
+        format: format,
+        segmentCount: segments.length,
+        durationSeconds: Math.round(pcm.length / 2 / sampleRate * 100) / 100,
+        language: outputLanguage || textLanguage.code,
+        translated: translated
+      }
+    });
+
   } catch (error) {
-    console.error('Error calling Gemini API:', error);
-    throw new Error('Failed to analyze document with AI: ' + error.message);
+    logger.error('Error in text-to-speech endpoint', { error });
+    
+    res.status(500).json({
+      error: 'Failed to generate speech',
+      message: error.message
+    });
   }
-}
+});
 
-// Function to answer user questions about the contract
-async function answerQuestionWithGeminiStream(question, analysisContext, conversationHistory = [], originalText = null, res) {
+// Narrated "listen to your contract" briefing assembled into one audio file with a chapter index
+app.post('/api/audio-briefing', ttsRateLimiters.perIp, requireAuth, ttsRateLimiters.perUser, enforceDailyQuota('tts'), async (req, res) => {
   try {
-    // Build conversation context from history
-    let conversationContext = '';
-    if (conversationHistory && conversationHistory.length > 0) {
-      conversationContext = '\n\nPrevious Conversation:\n';
-      conversationHistory.forEach(msg => {
-        if (msg.role === 'user') {
-          conversationContext += `User: ${msg.content}\n`;
-        } else if (msg.role === 'assistant') {
-          conversationContext += `Assistant: ${msg.content}\n`;
-        }
+    const { serial, analysisId, narratorVoice, calloutVoice, stylePrompts, maxRedRisks } = req.body;
+    const format = (req.body.format || 'wav').toLowerCase();
+
+    if (!['wav', 'mp3'].includes(format)) {
+      return res.status(400).json({
+        error: 'Format must be wav or mp3'
       });
     }
 
-    const prompt = `
-You are an expert legal AI assistant. A user has asked a question about their legal document that you've previously analyzed.
-
-${originalText ? `
-Full Original Contract Text:
-${originalText}
+    let analysis = req.body.analysis;
+    if (serial !== undefined || analysisId) {
+      const saved = await loadStoredAnalysis(req.user, { serial, analysisId });
+      if (!saved || !saved.analysis) {
+        return res.status(404).json({
+          error: 'Saved analysis not found',
+          message: `No analysis found for ${analysisId ? `id: ${analysisId}` : `serial: ${serial}`}`
+        });
+      }
+      analysis = saved.analysis;
+    }
 
-` : ''}
-Previous Analysis Context:
-${JSON.stringify(analysisContext, null, 2)}
-${conversationContext}
+    if (!analysis || typeof analysis !== 'object') {
+      return res.status(400).json({
+        error: 'An analysis object, a saved analysisId, or a saved serial is required'
+      });
+    }
 
-Current User Question: "${question}"
+    if (!llmProvider.isConfigured()) {
+      return res.status(500).json({
+        error: 'AI service not configured',
+        message: `API key not found for LLM provider "${llmProvider.name}"`
+      });
+    }
 
-Please provide a helpful, accurate answer based on the FULL CONTRACT TEXT and document analysis. Your answer should:
-1. Reference specific clauses, sections, or exact text from the contract when relevant
-2. Be specific to the actual contract content
-3. Reference previous questions/answers if relevant to provide continuity
-4. Use plain language that non-lawyers can understand
-5. Provide actionable advice when appropriate
-6. Be concise but comprehensive
-7. If you need to quote the contract, use quotation marks and specify the section/clause if identifiable
-8. If the question cannot be answered from the available information, clearly state this
+    const voices = {
+      narrator: narratorVoice || BRIEFING_DEFAULT_VOICES.narrator,
+      callout: calloutVoice || BRIEFING_DEFAULT_VOICES.callout
+    };
+    const script = buildBriefingScript(analysis, {
+      maxRedRisks: maxRedRisks,
+      stylePrompts: stylePrompts || {}
+    });
 
-IMPORTANT: Respond with PLAIN TEXT ONLY. Do NOT use:
-- Markdown formatting (**, *, ##, etc.)
-- Code blocks (\`\`\`)
-- HTML tags
-- Asterisks or special characters for formatting
-- Bullet points with special characters
+    const scriptLength = getBriefingScriptLength(script);
+    if (scriptLength > TTS_MAX_TEXT_CHARS) {
+      return res.status(400).json({
+        error: `Briefing script is too long (${scriptLength.toLocaleString('en-US')} characters, maximum ${TTS_MAX_TEXT_CHARS.toLocaleString('en-US')})`
+      });
+    }
 
-Just write in clear, natural sentences and paragraphs. Use line breaks for separation if needed.
+    if (!(await consumeDailyQuota(req, res, 'tts'))) return;
 
-Respond with just the answer text, no JSON formatting needed.`;
+    logger.info('Generating audio briefing', { chapterCount: script.length });
+    const briefing = await synthesizeBriefing(script, voices);
+    const audio = await encodePcmAudio(briefing.pcm, format, briefing.sampleRate);
 
-    // Use streaming with Gemini
-    const result = await model.generateContentStream(prompt);
-    
-    let fullAnswer = '';
-    
-    for await (const chunk of result.stream) {
-      const chunkText = chunk.text();
-      fullAnswer += chunkText;
-      
-      // Send chunk to client via SSE
-      res.write(`data: ${JSON.stringify({ 
-        type: 'chunk', 
-        text: chunkText 
-      })}\n\n`);
-      
-      // Flush the response to ensure immediate delivery
-      if (res.flush) res.flush();
-    }
-    
-    // Send completion message with metadata
-    res.write(`data: ${JSON.stringify({ 
-      type: 'done', 
-      fullText: fullAnswer,
+    res.json({
+      success: true,
+      audioData: audio.toString('base64'),
+      mimeType: AUDIO_FORMATS[format],
+      chapters: briefing.chapters,
+      script: script,
       metadata: {
-        questionId: uuidv4(),
+        voices: voices,
+        model: llmProvider.ttsModel,
         timestamp: new Date().toISOString(),
-        model: 'gemini-2.5-flash'
+        format: format,
+        durationSeconds: Math.round(briefing.pcm.length / 2 / briefing.sampleRate * 100) / 100
       }
-    })}\n\n`);
+    });
+
+  } catch (error) {
+    logger.error('Error generating audio briefing', { error });
+
+    res.status(500).json({
+      error: 'Failed to generate audio briefing',
+      message: error.message
+    });
+  }
+});
+
+app.post('/api/save-user-data', requireAuth, async (req, res) => {
+  try {
+    const { serial, data } = req.body;
+    const email = req.user.email;
     
-    if (res.flush) res.flush();
+    if (serial === undefined || !data) {
+      return res.status(400).json({
+        error: 'Serial and data are required'
+      });
+    }
+
+    // Check if record exists
+    const { data: existingData, error: fetchError } = await supabase
+      .from('user_data')
+      .select('*')
+      .eq('email', email)
+      .eq('serial', serial)
+      .single();
+
+    if (fetchError && fetchError.code !== 'PGRST116') { // PGRST116 is "not found" error
+      throw fetchError;
+    }
+
+    let result;
+    if (existingData) {
+      // Update existing record
+      const { data: updatedData, error: updateError } = await supabase
+        .from('user_data')
+        .update({ 
+          data: data,
+          updated_at: new Date().toISOString()
+        })
+        .eq('email', email)
+        .eq('serial', serial)
+        .select();
+
+      if (updateError) throw updateError;
+      result = updatedData;
+      invalidateSearchIndex(req.user);
+
+      res.json({
+        success: true,
+        message: 'Data updated successfully',
+        data: result[0],
+        operation: 'update'
+      });
+
+    } else {
+      // Insert new record
+      const { data: insertedData, error: insertError } = await supabase
+        .from('user_data')
+        .insert([{ 
+          email, 
+          serial, 
+          data 
+        }])
+        .select();
+
+      if (insertError) throw insertError;
+      result = insertedData;
+      invalidateSearchIndex(req.user);
+
+      res.json({
+        success: true,
+        message: 'Data saved successfully',
+        data: result[0],
+        operation: 'insert'
+      });
+    }
+
+  } catch (error) {
+    logger.error('Error saving user data', { error });
     
+    res.status(500).json({
+      error: 'Failed to save data',
+      message: error.message
+    });
+  }
+});
+// The legacy /:email routes are kept for older clients but only work for the signed-in user's own email
+function requireOwnEmailParam(req, res, next) {
+  if (req.params.email && req.params.email.toLowerCase() !== req.user.email.toLowerCase()) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'You can only access your own data'
+    });
+  }
+  next();
+}
+
+app.get(['/api/user-data', '/api/get-user-data/:email'], requireAuth, requireOwnEmailParam, async (req, res) => {
+  try {
+    const email = req.user.email;
+
+    const { data, error } = await supabase
+      .from('user_data')
+      .select('*')
+      .eq('email', email)
+      .order('serial', { ascending: true });
+
+    if (error) throw error;
+
+    if (!data || data.length === 0) {
+      return res.status(404).json({
+        error: 'No data found for this email',
+        email: email
+      });
+    }
+
+    res.json({
+      success: true,
+      email: email,
+      count: data.length,
+      data: data
+    });
+
   } catch (error) {
-    console.error('Error in streaming answer:', error);
-    throw error;
+    logger.error('Error retrieving user data', { error });
+    
+    res.status(500).json({
+      error: 'Failed to retrieve data',
+      message: error.message
+    });
   }
-}
-
-// Health check endpoint
-app.get('/api/health', (req, res) => {
-  res.json({ 
-    status: 'OK', 
-    message: 'Legal AI Backend is running',
-    timestamp: new Date().toISOString(),
-    geminiConfigured: !!process.env.GEMINI_API_KEY
-  });
 });
 
-// Main document analysis endpoint
-// Main document analysis endpoint with authentication and serial tracking
-app.post('/api/analyze-document', upload.single('document'), async (req, res) => {
-  let filePath = null;
-  
+// Delete specific user data by serial for the signed-in user
+app.delete(['/api/user-data/:serial', '/api/delete-user-data/:email/:serial'], requireAuth, requireOwnEmailParam, async (req, res) => {
   try {
-    const { parties, email } = req.body; // ADD email parameter
+    const { serial } = req.params;
+    const email = req.user.email;
     
-    // Check if email is provided
-    if (!email) {
-      return res.status(400).json({ 
-        error: 'Email is required for authentication' 
+    if (!serial) {
+      return res.status(400).json({
+        error: 'Serial is required'
       });
     }
+
+    // Convert serial to integer
+    const serialNumber = parseInt(serial, 10);
     
-    // Verify email exists in database (authentication check)
-    const { data: userData, error: authError } = await supabase
+    if (isNaN(serialNumber)) {
+      return res.status(400).json({
+        error: 'Serial must be a valid number'
+      });
+    }
+
+    // Check if record exists before deleting
+    const { data: existingData, error: fetchError } = await supabase
       .from('user_data')
-      .select('email, serial')
+      .select('*')
       .eq('email', email)
-      .order('serial', { ascending: false })
-      .limit(1);
-    
-    if (authError) {
-      return res.status(500).json({ 
-        error: 'Authentication check failed', 
-        message: authError.message 
+      .eq('serial', serialNumber)
+      .single();
+
+    if (fetchError || !existingData) {
+      return res.status(404).json({
+        error: 'Record not found',
+        message: `No data found for email: ${email} and serial: ${serialNumber}`
       });
     }
+
+    // Delete the record
+    const { error: deleteError } = await supabase
+      .from('user_data')
+      .delete()
+      .eq('email', email)
+      .eq('serial', serialNumber);
+
+    if (deleteError) throw deleteError;
+    invalidateSearchIndex(req.user);
+
+    res.json({
+      success: true,
+      message: 'Data deleted successfully',
+      deletedRecord: {
+        email: email,
+        serial: serialNumber
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error deleting user data', { error });
     
-    // Get the last serial number for this email (or 0 if no records exist)
-    const lastSerial = userData && userData.length > 0 ? userData[0].serial : 0;
-    const isAuthenticated = userData && userData.length > 0;
-    
-    // Optional: Require user to exist in database
-    // Uncomment these lines if you want to enforce that user must exist
-    /* 
-    if (!isAuthenticated) {
-      return res.status(401).json({ 
-        error: 'Unauthorized', 
-        message: 'Email not found in database. Please register first.' 
-      });
-    } 
-    */
-    
-    let documentText = '';
-    let analysisSource = '';
-    
-    if (req.file) {
-      // File upload processing
-      filePath = req.file.path;
-      analysisSource = 'file';
-      console.log(`Processing file: ${req.file.originalname}`);
-      documentText = await extractTextFromFile(filePath, req.file.originalname);
-    } else if (req.body.text) {
-      // Direct text input processing
-      documentText = req.body.text;
-      analysisSource = 'text';
-      console.log('Processing direct text input');
-    } else {
-      return res.status(400).json({ 
-        error: 'No document or text provided' 
+    res.status(500).json({
+      error: 'Failed to delete data',
+      message: error.message
+    });
+  }
+});
+
+// Save an analysis as a first-class record (server-assigned id, version 1)
+app.post('/api/analyses', requireAuth, async (req, res) => {
+  try {
+    const { title, originalText, parties } = req.body;
+    const analysis = req.body.analysis;
+
+    if (!analysis || typeof analysis !== 'object') {
+      return res.status(400).json({
+        error: 'An analysis object is required'
       });
     }
-    
-    // Validate minimum content length
-    if (documentText.length < 100) {
-      return res.status(400).json({ 
-        error: 'Document content is too short for meaningful analysis (minimum 100 characters)' 
+
+    const validationErrors = validateAgainstSchema(analysis, ANALYSIS_SCHEMA);
+    if (validationErrors.length > 0) {
+      return res.status(400).json({
+        error: 'Analysis failed validation',
+        validationErrors: validationErrors.slice(0, 20)
       });
     }
-    
-    // Validate maximum content length for Gemini
-    if (documentText.length > 100000) {
-      return res.status(400).json({ 
-        error: 'Document content is too long (maximum 100,000 characters)' 
+
+    const now = new Date().toISOString();
+    const { data: inserted, error: insertError } = await supabase
+      .from('analyses')
+      .insert([{
+        id: uuidv4(),
+        user_id: req.user.id,
+        email: req.user.email,
+        ...buildSavedAnalysisColumns(analysis, { title, parties }),
+        analysis: analysis,
+        original_text: originalText || null,
+        version: 1,
+        created_at: now,
+        updated_at: now
+      }])
+      .select();
+
+    if (insertError) throw insertError;
+    await insertSavedAnalysisVersion(inserted[0]);
+    invalidateSearchIndex(req.user);
+
+    res.status(201).json({
+      success: true,
+      data: serializeSavedAnalysis(inserted[0])
+    });
+
+  } catch (error) {
+    logger.error('Error saving analysis', { error });
+
+    res.status(500).json({
+      error: 'Failed to save analysis',
+      message: error.message
+    });
+  }
+});
+
+// List saved analyses: ?page=1&pageSize=20&sort=updatedAt&order=desc&riskLevel=High,Medium&documentType=Lease
+app.get('/api/analyses', requireAuth, async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const pageSize = Math.min(SAVED_ANALYSIS_MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.pageSize, 10) || 20));
+    const sort = req.query.sort || 'updatedAt';
+    const order = (req.query.order || 'desc').toLowerCase();
+
+    if (!SAVED_ANALYSIS_SORT_COLUMNS[sort]) {
+      return res.status(400).json({
+        error: `Sort must be one of: ${Object.keys(SAVED_ANALYSIS_SORT_COLUMNS).join(', ')}`
       });
     }
-    
-    // Parse parties if provided
-    let parsedParties = {};
-    if (parties) {
-      try {
-        parsedParties = typeof parties === 'string' ? JSON.parse(parties) : parties;
-      } catch (e) {
-        console.warn('Failed to parse parties data:', e);
+    if (!['asc', 'desc'].includes(order)) {
+      return res.status(400).json({
+        error: 'Order must be asc or desc'
+      });
+    }
+
+    let riskLevels = null;
+    if (req.query.riskLevel) {
+      riskLevels = String(req.query.riskLevel).split(',').map(level => level.trim()).filter(Boolean);
+      const invalid = riskLevels.filter(level => !RISK_LEVEL_ORDER.includes(level));
+      if (invalid.length > 0) {
+        return res.status(400).json({
+          error: `Risk level must be one of: ${RISK_LEVEL_ORDER.join(', ')}`
+        });
       }
     }
-    
-    // Check if Gemini API key is configured
-    if (!process.env.GEMINI_API_KEY) {
-      return res.status(500).json({ 
-        error: 'AI service not configured', 
-        message: 'Gemini API key not found' 
-      });
+
+    let query = supabase
+      .from('analyses')
+      .select(SAVED_ANALYSIS_SUMMARY_COLUMNS, { count: 'exact' })
+      .eq('user_id', req.user.id);
+
+    if (riskLevels) query = query.in('overall_risk', riskLevels);
+    if (req.query.documentType) {
+      // Case-insensitive exact match - escape the LIKE wildcards
+      query = query.ilike('document_type', String(req.query.documentType).replace(/[\\%_]/g, match => `\\${match}`));
     }
-    
-    // Perform AI analysis with Gemini
-    console.log('Starting Gemini AI analysis...');
-    const analysis = await analyzeContractWithGemini(documentText, parsedParties);
-    console.log('Gemini analysis completed successfully');
-    
-    // Return analysis results with authentication and serial info
+
+    const from = (page - 1) * pageSize;
+    const { data, count, error } = await query
+      .order(SAVED_ANALYSIS_SORT_COLUMNS[sort], { ascending: order === 'asc' })
+      .order('id', { ascending: true })
+      .range(from, from + pageSize - 1);
+
+    if (error) throw error;
+
     res.json({
       success: true,
-      analysis: analysis,
-      originalText: documentText,
-      metadata: {
-        source: analysisSource,
-        originalFilename: req.file ? req.file.originalname : null,
-        processedAt: new Date().toISOString(),
-        contentLength: documentText.length,
-        model: 'gemini-2.5-flash'
-      },
-      userInfo: {
-        email: email,
-        isAuthenticated: isAuthenticated,
-        totalRecords: userData && userData.length > 0 ? userData.length : 0
+      count: data.length,
+      data: data.map(row => serializeSavedAnalysis(row, false)),
+      pagination: {
+        page: page,
+        pageSize: pageSize,
+        total: count || 0,
+        totalPages: Math.ceil((count || 0) / pageSize)
       }
     });
-    
+
   } catch (error) {
-    console.error('Error processing document:', error);
-    res.status(500).json({ 
-      error: 'Failed to process document', 
-      message: error.message,
-      details: error.stack 
+    logger.error('Error listing analyses', { error });
+
+    res.status(500).json({
+      error: 'Failed to list analyses',
+      message: error.message
     });
-  } finally {
-    // Always clean up temporary file
-    if (filePath && fs.existsSync(filePath)) {
-      try {
-        fs.unlinkSync(filePath);
-        console.log(`Temporary file deleted: ${filePath}`);
-      } catch (deleteError) {
-        console.error('Error deleting temporary file:', deleteError);
-      }
+  }
+});
+
+app.get('/api/analyses/:id', requireAuth, async (req, res) => {
+  try {
+    const row = await loadSavedAnalysisRecord(req.user.id, req.params.id);
+    if (!row) {
+      return res.status(404).json({
+        error: 'Analysis not found'
+      });
     }
+
+    res.json({
+      success: true,
+      data: serializeSavedAnalysis(row)
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving analysis', { error });
+
+    res.status(500).json({
+      error: 'Failed to retrieve analysis',
+      message: error.message
+    });
   }
 });
 
-// New endpoint for answering user questions
-app.post('/api/ask-question-stream', async (req, res) => {
+// Update title, parties, analysis or text. Send the version you edited so a stale tab gets a 409
+// instead of silently overwriting newer changes.
+app.patch('/api/analyses/:id', requireAuth, async (req, res) => {
   try {
-    const { question, analysisId, context, conversationHistory, originalText } = req.body;
-    
-    if (!question) {
+    const { title, parties, originalText, analysis, version } = req.body;
+
+    if (title === undefined && parties === undefined && originalText === undefined && analysis === undefined) {
       return res.status(400).json({
-        error: 'Question is required'
+        error: 'Nothing to update (title, parties, originalText or analysis)'
       });
     }
-    
-    if (!context) {
-      return res.status(400).json({
-        error: 'Analysis context is required'
+
+    if (analysis !== undefined) {
+      const validationErrors = analysis && typeof analysis === 'object'
+        ? validateAgainstSchema(analysis, ANALYSIS_SCHEMA)
+        : ['analysis: expected object'];
+      if (validationErrors.length > 0) {
+        return res.status(400).json({
+          error: 'Analysis failed validation',
+          validationErrors: validationErrors.slice(0, 20)
+        });
+      }
+    }
+
+    const existing = await loadSavedAnalysisRecord(req.user.id, req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        error: 'Analysis not found'
       });
     }
-    
-    if (!process.env.GEMINI_API_KEY) {
-      return res.status(500).json({
-        error: 'AI service not configured',
-        message: 'Gemini API key not found'
+
+    const expectedVersion = version !== undefined ? parseInt(version, 10) : existing.version;
+    if (expectedVersion !== existing.version) {
+      return res.status(409).json({
+        error: 'Version conflict',
+        message: `Analysis was modified since version ${expectedVersion}`,
+        currentVersion: existing.version
       });
     }
-    
-    // Set headers for Server-Sent Events (SSE)
-    res.setHeader('Content-Type', 'text/event-stream');
-    res.setHeader('Cache-Control', 'no-cache');
-    res.setHeader('Connection', 'keep-alive');
-    res.setHeader('X-Accel-Buffering', 'no'); // Disable buffering for Nginx
-    
-    console.log(`Processing streaming question: ${question}`);
-    
-    try {
-      await answerQuestionWithGeminiStream(
-        question, 
-        context, 
-        conversationHistory || [], 
-        originalText || null,
-        res
-      );
-      
-      res.end();
-    } catch (streamError) {
-      console.error('Streaming error:', streamError);
-      res.write(`data: ${JSON.stringify({ error: streamError.message })}\n\n`);
-      res.end();
+
+    const nextAnalysis = analysis !== undefined ? analysis : existing.analysis;
+    const derived = buildSavedAnalysisColumns(nextAnalysis, {
+      title: title !== undefined ? title : existing.title,
+      parties: parties !== undefined ? parties : existing.parties
+    });
+    const changes = {
+      ...derived,
+      analysis: nextAnalysis,
+      original_text: originalText !== undefined ? originalText : existing.original_text,
+      version: existing.version + 1,
+      updated_at: new Date().toISOString()
+    };
+
+    // The version check in the filter makes the update atomic against concurrent writers
+    const { data: updated, error: updateError } = await supabase
+      .from('analyses')
+      .update(changes)
+      .eq('id', existing.id)
+      .eq('user_id', req.user.id)
+      .eq('version', existing.version)
+      .select();
+
+    if (updateError) throw updateError;
+    if (!updated || updated.length === 0) {
+      return res.status(409).json({
+        error: 'Version conflict',
+        message: 'Analysis was modified by another request',
+        currentVersion: existing.version + 1
+      });
     }
-    
+
+    await insertSavedAnalysisVersion(updated[0]);
+    invalidateSearchIndex(req.user);
+
+    res.json({
+      success: true,
+      data: serializeSavedAnalysis(updated[0])
+    });
+
   } catch (error) {
-    console.error('Error processing streaming question:', error);
-    
-    // If headers not sent yet, send JSON error
-    if (!res.headersSent) {
-      res.status(500).json({
-        error: 'Failed to process question',
-        message: error.message
+    logger.error('Error updating analysis', { error });
+
+    res.status(500).json({
+      error: 'Failed to update analysis',
+      message: error.message
+    });
+  }
+});
+
+app.delete('/api/analyses/:id', requireAuth, async (req, res) => {
+  try {
+    const existing = await loadSavedAnalysisRecord(req.user.id, req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        error: 'Analysis not found'
       });
-    } else {
-      // If streaming already started, send SSE error
-      res.write(`data: ${JSON.stringify({ error: error.message })}\n\n`);
-      res.end();
     }
+
+    const { data: sessions, error: sessionsError } = await supabase
+      .from('qa_sessions')
+      .select('id')
+      .eq('analysis_id', existing.id);
+
+    if (sessionsError) throw sessionsError;
+    await deleteQaSessions((sessions || []).map(session => session.id));
+
+    const { error: versionsError } = await supabase
+      .from('analysis_versions')
+      .delete()
+      .eq('analysis_id', existing.id);
+
+    if (versionsError) throw versionsError;
+
+    const { error: deleteError } = await supabase
+      .from('analyses')
+      .delete()
+      .eq('id', existing.id)
+      .eq('user_id', req.user.id);
+
+    if (deleteError) throw deleteError;
+    invalidateSearchIndex(req.user);
+
+    res.json({
+      success: true,
+      message: 'Analysis deleted successfully',
+      deletedId: existing.id
+    });
+
+  } catch (error) {
+    logger.error('Error deleting analysis', { error });
+
+    res.status(500).json({
+      error: 'Failed to delete analysis',
+      message: error.message
+    });
   }
 });
-app.post('/api/text-to-speech', async (req, res) => {
+
+// Version history, newest first (without the full analysis bodies)
+app.get('/api/analyses/:id/versions', requireAuth, async (req, res) => {
   try {
-    const { text, voiceName, stylePrompt } = req.body;
-    
-    if (!text) {
-      return res.status(400).json({
-        error: 'Text is required'
+    const existing = await loadSavedAnalysisRecord(req.user.id, req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        error: 'Analysis not found'
       });
     }
 
+    const { data, error } = await supabase
+      .from('analysis_versions')
+      .select('version, title, parties, created_at')
+      .eq('analysis_id', existing.id)
+      .order('version', { ascending: false });
 
+    if (error) throw error;
 
-    if (!process.env.GEMINI_API_KEY) {
-      return res.status(500).json({
-        error: 'AI service not configured',
-        message: 'Gemini API key not found'
+    res.json({
+      success: true,
+      currentVersion: existing.version,
+      count: data.length,
+      data: data.map(row => ({
+        version: row.version,
+        title: row.title,
+        parties: row.parties || {},
+        createdAt: row.created_at
+      }))
+    });
+
+  } catch (error) {
+    logger.error('Error listing analysis versions', { error });
+
+    res.status(500).json({
+      error: 'Failed to list analysis versions',
+      message: error.message
+    });
+  }
+});
+
+app.get('/api/analyses/:id/versions/:version', requireAuth, async (req, res) => {
+  try {
+    const existing = await loadSavedAnalysisRecord(req.user.id, req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        error: 'Analysis not found'
       });
     }
 
-    console.log('Generating speech with Gemini TTS...');
-    const result = await generateSpeechWithGemini(
-      text, 
-      voiceName || 'Puck',
-      stylePrompt
-    );
+    const { data, error } = await supabase
+      .from('analysis_versions')
+      .select('*')
+      .eq('analysis_id', existing.id)
+      .eq('version', parseInt(req.params.version, 10))
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) {
+      return res.status(404).json({
+        error: 'Version not found'
+      });
+    }
 
-    // Return audio data as base64
     res.json({
       success: true,
-      audioData: result.audioData,
-      mimeType: result.mimeType,
-      metadata: {
-        voiceName: voiceName || 'Puck',
-        model: 'gemini-2.5-flash-preview-tts',
-        timestamp: new Date().toISOString(),
-        textLength: text.length
+      data: {
+        id: existing.id,
+        version: data.version,
+        title: data.title,
+        parties: data.parties || {},
+        analysis: data.analysis,
+        originalText: data.original_text || null,
+        createdAt: data.created_at
       }
     });
 
   } catch (error) {
-    console.error('Error in text-to-speech endpoint:', error);
-    
+    logger.error('Error retrieving analysis version', { error });
+
     res.status(500).json({
-      error: 'Failed to generate speech',
+      error: 'Failed to retrieve analysis version',
       message: error.message
     });
   }
 });
 
-app.post('/api/save-user-data', async (req, res) => {
+// Q&A conversations about a saved analysis, most recently active first
+app.get('/api/analyses/:id/sessions', requireAuth, async (req, res) => {
   try {
-    const { email, serial, data } = req.body;
-    
-    if (!email || serial === undefined || !data) {
-      return res.status(400).json({
-        error: 'Email, serial, and data are required'
+    const existing = await loadSavedAnalysisRecord(req.user.id, req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        error: 'Analysis not found'
       });
     }
 
-    // Check if record exists
-    const { data: existingData, error: fetchError } = await supabase
-      .from('user_data')
+    const { data, error } = await supabase
+      .from('qa_sessions')
       .select('*')
-      .eq('email', email)
-      .eq('serial', serial)
-      .single();
+      .eq('analysis_id', existing.id)
+      .eq('user_id', req.user.id)
+      .order('updated_at', { ascending: false });
 
-    if (fetchError && fetchError.code !== 'PGRST116') { // PGRST116 is "not found" error
-      throw fetchError;
-    }
+    if (error) throw error;
 
-    let result;
-    if (existingData) {
-      // Update existing record
-      const { data: updatedData, error: updateError } = await supabase
-        .from('user_data')
-        .update({ 
-          data: data,
-          updated_at: new Date().toISOString()
-        })
-        .eq('email', email)
-        .eq('serial', serial)
-        .select();
+    res.json({
+      success: true,
+      count: data.length,
+      data: data.map(serializeQaSession)
+    });
 
-      if (updateError) throw updateError;
-      result = updatedData;
+  } catch (error) {
+    logger.error('Error listing Q&A sessions', { error });
 
-      res.json({
-        success: true,
-        message: 'Data updated successfully',
-        data: result[0],
-        operation: 'update'
+    res.status(500).json({
+      error: 'Failed to list Q&A sessions',
+      message: error.message
+    });
+  }
+});
+
+// Resume a conversation: the session with its full message history
+app.get('/api/qa-sessions/:sessionId', requireAuth, async (req, res) => {
+  try {
+    const session = await loadQaSession(req.user.id, req.params.sessionId);
+    if (!session) {
+      return res.status(404).json({
+        error: 'Session not found'
       });
+    }
 
-    } else {
-      // Insert new record
-      const { data: insertedData, error: insertError } = await supabase
-        .from('user_data')
-        .insert([{ 
-          email, 
-          serial, 
-          data 
-        }])
-        .select();
+    const messages = await loadQaMessages(session.id);
 
-      if (insertError) throw insertError;
-      result = insertedData;
+    res.json({
+      success: true,
+      data: {
+        ...serializeQaSession(session),
+        messages: messages.map(message => ({
+          id: message.id,
+          role: message.role,
+          content: message.content,
+          metadata: message.metadata || {},
+          createdAt: message.created_at
+        }))
+      }
+    });
 
-      res.json({
-        success: true,
-        message: 'Data saved successfully',
-        data: result[0],
-        operation: 'insert'
+  } catch (error) {
+    logger.error('Error retrieving Q&A session', { error });
+
+    res.status(500).json({
+      error: 'Failed to retrieve Q&A session',
+      message: error.message
+    });
+  }
+});
+
+app.delete('/api/qa-sessions/:sessionId', requireAuth, async (req, res) => {
+  try {
+    const session = await loadQaSession(req.user.id, req.params.sessionId);
+    if (!session) {
+      return res.status(404).json({
+        error: 'Session not found'
       });
     }
 
+    await deleteQaSessions([session.id]);
+
+    res.json({
+      success: true,
+      message: 'Session deleted successfully',
+      deletedId: session.id
+    });
+
   } catch (error) {
-    console.error('Error saving user data:', error);
-    
+    logger.error('Error deleting Q&A session', { error });
+
     res.status(500).json({
-      error: 'Failed to save data',
+      error: 'Failed to delete Q&A session',
       message: error.message
     });
   }
 });
-app.get('/api/get-user-data/:email', async (req, res) => {
+
+// Playbooks: { name, description, rules: [{ id, title, description, category, severity, recommendation, required }] }
+// Attach one to an analysis with playbookId on /api/analyze-document.
+app.post('/api/playbooks', requireAuth, async (req, res) => {
   try {
-    const { email } = req.params;
-    
-    if (!email) {
+    const { playbook, errors } = normalizePlaybook(req.body || {});
+    if (errors.length > 0) {
       return res.status(400).json({
-        error: 'Email is required'
+        error: 'Playbook failed validation',
+        validationErrors: errors.slice(0, 20)
       });
     }
 
+    const now = new Date().toISOString();
+    const { data: inserted, error: insertError } = await supabase
+      .from('playbooks')
+      .insert([{
+        id: uuidv4(),
+        user_id: req.user.id,
+        ...playbook,
+        created_at: now,
+        updated_at: now
+      }])
+      .select();
+
+    if (insertError) throw insertError;
+
+    res.status(201).json({
+      success: true,
+      data: serializePlaybook(inserted[0])
+    });
+
+  } catch (error) {
+    logger.error('Error saving playbook', { error });
+
+    res.status(500).json({
+      error: 'Failed to save playbook',
+      message: error.message
+    });
+  }
+});
+
+app.get('/api/playbooks', requireAuth, async (req, res) => {
+  try {
     const { data, error } = await supabase
-      .from('user_data')
+      .from('playbooks')
       .select('*')
-      .eq('email', email)
-      .order('serial', { ascending: true });
+      .eq('user_id', req.user.id)
+      .order('name', { ascending: true });
 
     if (error) throw error;
 
-    if (!data || data.length === 0) {
+    res.json({
+      success: true,
+      count: (data || []).length,
+      data: (data || []).map(serializePlaybook)
+    });
+
+  } catch (error) {
+    logger.error('Error listing playbooks', { error });
+
+    res.status(500).json({
+      error: 'Failed to list playbooks',
+      message: error.message
+    });
+  }
+});
+
+app.get('/api/playbooks/:id', requireAuth, async (req, res) => {
+  try {
+    const row = await loadPlaybook(req.user.id, req.params.id);
+    if (!row) {
       return res.status(404).json({
-        error: 'No data found for this email',
-        email: email
+        error: 'Playbook not found'
       });
     }
 
     res.json({
       success: true,
-      email: email,
-      count: data.length,
-      data: data
+      data: serializePlaybook(row)
     });
 
   } catch (error) {
-    console.error('Error retrieving user data:', error);
-    
+    logger.error('Error retrieving playbook', { error });
+
     res.status(500).json({
-      error: 'Failed to retrieve data',
+      error: 'Failed to retrieve playbook',
       message: error.message
     });
   }
 });
 
-// Delete specific user data by email and serial
-app.delete('/api/delete-user-data/:email/:serial', async (req, res) => {
+// Update name, description or rules. Rules are replaced as a whole list.
+app.patch('/api/playbooks/:id', requireAuth, async (req, res) => {
   try {
-    const { email, serial } = req.params;
-    
-    if (!email || !serial) {
+    const { name, description, rules } = req.body;
+
+    if (name === undefined && description === undefined && rules === undefined) {
       return res.status(400).json({
-        error: 'Email and serial are required'
+        error: 'Nothing to update (name, description or rules)'
       });
     }
 
-    // Convert serial to integer
-    const serialNumber = parseInt(serial, 10);
-    
-    if (isNaN(serialNumber)) {
+    const existing = await loadPlaybook(req.user.id, req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        error: 'Playbook not found'
+      });
+    }
+
+    const { playbook, errors } = normalizePlaybook({
+      name: name !== undefined ? name : existing.name,
+      description: description !== undefined ? description : existing.description,
+      rules: rules !== undefined ? rules : existing.rules
+    });
+    if (errors.length > 0) {
       return res.status(400).json({
-        error: 'Serial must be a valid number'
+        error: 'Playbook failed validation',
+        validationErrors: errors.slice(0, 20)
       });
     }
 
-    // Check if record exists before deleting
-    const { data: existingData, error: fetchError } = await supabase
-      .from('user_data')
-      .select('*')
-      .eq('email', email)
-      .eq('serial', serialNumber)
-      .single();
+    const { data: updated, error: updateError } = await supabase
+      .from('playbooks')
+      .update({ ...playbook, updated_at: new Date().toISOString() })
+      .eq('id', existing.id)
+      .eq('user_id', req.user.id)
+      .select();
 
-    if (fetchError || !existingData) {
+    if (updateError) throw updateError;
+
+    res.json({
+      success: true,
+      data: serializePlaybook(updated[0])
+    });
+
+  } catch (error) {
+    logger.error('Error updating playbook', { error });
+
+    res.status(500).json({
+      error: 'Failed to update playbook',
+      message: error.message
+    });
+  }
+});
+
+app.delete('/api/playbooks/:id', requireAuth, async (req, res) => {
+  try {
+    const existing = await loadPlaybook(req.user.id, req.params.id);
+    if (!existing) {
       return res.status(404).json({
-        error: 'Record not found',
-        message: `No data found for email: ${email} and serial: ${serialNumber}`
+        error: 'Playbook not found'
       });
     }
 
-    // Delete the record
     const { error: deleteError } = await supabase
-      .from('user_data')
+      .from('playbooks')
       .delete()
-      .eq('email', email)
-      .eq('serial', serialNumber);
+      .eq('id', existing.id)
+      .eq('user_id', req.user.id);
 
     if (deleteError) throw deleteError;
 
     res.json({
       success: true,
-      message: 'Data deleted successfully',
-      deletedRecord: {
-        email: email,
-        serial: serialNumber
+      message: 'Playbook deleted successfully',
+      deletedId: existing.id
+    });
+
+  } catch (error) {
+    logger.error('Error deleting playbook', { error });
+
+    res.status(500).json({
+      error: 'Failed to delete playbook',
+      message: error.message
+    });
+  }
+});
+
+// Full-text search across the user's saved contracts: ?q=unlimited liability&limit=20&riskLevel=High
+// Use "quotes" for exact phrases, e.g. ?q="Section 420" IPC
+app.get('/api/search', requireAuth, async (req, res) => {
+  try {
+    const query = String(req.query.q || '').trim();
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+    if (!query) {
+      return res.status(400).json({
+        error: 'Search query (q) is required'
+      });
+    }
+    if (query.length > 500) {
+      return res.status(400).json({
+        error: 'Search query is too long (maximum 500 characters)'
+      });
+    }
+
+    let riskLevels = null;
+    if (req.query.riskLevel) {
+      riskLevels = String(req.query.riskLevel).split(',').map(level => level.trim()).filter(Boolean);
+      if (riskLevels.some(level => !RISK_LEVEL_ORDER.includes(level))) {
+        return res.status(400).json({
+          error: `Risk level must be one of: ${RISK_LEVEL_ORDER.join(', ')}`
+        });
+      }
+    }
+
+    const index = await getSearchIndex(req.user);
+    const results = searchIndex(index, query, { limit, riskLevels });
+
+    res.json({
+      success: true,
+      query: query,
+      count: results.length,
+      results: results,
+      metadata: {
+        indexedDocuments: index.documents.length,
+        indexedAt: new Date(index.builtAt).toISOString()
       }
     });
 
   } catch (error) {
-    console.error('Error deleting user data:', error);
-    
+    logger.error('Error searching saved contracts', { error });
+
     res.status(500).json({
-      error: 'Failed to delete data',
+      error: 'Failed to search saved contracts',
       message: error.message
     });
   }
@@ -1013,7 +8433,7 @@ app.delete('/api/delete-user-data/:email/:serial', async (req, res) => {
 
 // Error handling middleware
 app.use((error, req, res, next) => {
-  console.error('Unhandled error:', error);
+  logger.error('Unhandled error', { error });
   
   if (error instanceof multer.MulterError) {
     if (error.code === 'LIMIT_FILE_SIZE') {
@@ -1026,7 +8446,8 @@ app.use((error, req, res, next) => {
   
   res.status(500).json({
     error: 'Internal server error',
-    message: error.message
+    message: error.message,
+    requestId: req.id
   });
 });
 
@@ -1041,9 +8462,9 @@ function cleanupTempFiles() {
       const filePath = path.join(tempDir, file);
       try {
         fs.unlinkSync(filePath);
-        console.log(`Cleaned up: ${file}`);
+        logger.debug('Cleaned up temporary file', { file });
       } catch (error) {
-        console.error(`Error cleaning up ${file}:`, error);
+        logger.error('Error cleaning up temporary file', { file, error });
       }
     });
   }
@@ -1051,13 +8472,13 @@ function cleanupTempFiles() {
 
 // Graceful shutdown
 process.on('SIGINT', () => {
-  console.log('Server shutting down...');
+  logger.info('Server shutting down', { signal: 'SIGINT' });
   cleanupTempFiles();
   process.exit(0);
 });
 
 process.on('SIGTERM', () => {
-  console.log('Server terminated...');
+  logger.info('Server shutting down', { signal: 'SIGTERM' });
   cleanupTempFiles();
   process.exit(0);
 });
@@ -1078,19 +8499,38 @@ setInterval(() => {
         // Delete files older than 1 hour
         if (fileAge > 60 * 60 * 1000) {
           fs.unlinkSync(filePath);
-          console.log(`Auto-cleaned old temp file: ${file}`);
+          logger.debug('Auto-cleaned old temporary file', { file });
         }
       } catch (error) {
-        console.error(`Error processing temp file ${file}:`, error);
+        logger.error('Error processing temporary file', { file, error });
       }
     });
   }
 }, 60 * 60 * 1000);
 
+// Periodic cleanup of finished analysis jobs (every 10 minutes)
+setInterval(() => {
+  const now = Date.now();
+  analysisJobs.forEach((job, jobId) => {
+    const finished = job.status === 'completed' || job.status === 'failed';
+    if (finished && now - new Date(job.updatedAt).getTime() > JOB_TTL_MS) {
+      analysisJobs.delete(jobId);
+      logger.debug('Expired analysis job', { jobId });
+    }
+  });
+}, 10 * 60 * 1000);
+
 app.listen(PORT, () => {
-  console.log(`Legal AI Backend Server running on port ${PORT}`);
-  console.log(`Health check: http://localhost:${PORT}/api/health`);
-  console.log(`Gemini API configured: ${!!process.env.GEMINI_API_KEY}`);
+  logger.info('Legal AI Backend Server running', {
+    port: PORT,
+    healthCheck: `http://localhost:${PORT}/api/health`,
+    llmProvider: llmProvider.name,
+    llmConfigured: llmProvider.isConfigured(),
+    analysisCache: analysisCache ? `${analysisCache.name} (TTL ${ANALYSIS_CACHE_TTL_MS} ms)` : 'disabled',
+    piiRedaction: PII_REDACTION_DEFAULT ? PII_REDACTION_TYPES : 'off by default',
+    metricsProtected: !!process.env.METRICS_TOKEN,
+    logLevel: LOG_LEVEL
+  });
 });
 
 module.exports = app;
\ No newline at end of file